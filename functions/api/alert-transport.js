@@ -0,0 +1,136 @@
+/**
+ * Schengen Calc - Alert Transport
+ * Pluggable delivery for the scheduled alerts. Choose the transport with
+ * ALERT_TRANSPORT:
+ *   console  - logs alerts instead of delivering them (for local development)
+ *   channels - delivers them to each channel the user chose
+ * Like MAIL_TRANSPORT it has no default, so alerts fail rather than only
+ * being logged when it is missing.
+ *
+ * A transport is an object with `async deliver(channel, recipient, digest)`
+ * that returns { success, error? }. recipient is { userId, email, firstName,
+ * webhookUrl } and digest is { subject, text, html, alerts, unsubscribeUrl,
+ * oneClickUnsubscribeUrl }.
+ *
+ * A channel is an object with `async send(env, recipient, digest)` that
+ * returns the same. Email goes through the mail transport, so MAIL_TRANSPORT
+ * still decides how it leaves.
+ */
+
+import { sendMail } from './mail-transport.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const channels = {
+  email: {
+    async send(env, recipient, digest) {
+      return await sendMail(env, {
+        to: recipient.email,
+        subject: digest.subject,
+        text: digest.text,
+        html: digest.html,
+        headers: {
+          'List-Unsubscribe': `<${digest.oneClickUnsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+    }
+  },
+
+  // JSON POST; the "text" field is what Slack and Teams style webhooks show
+  webhook: {
+    async send(env, recipient, digest) {
+      if (!recipient.webhookUrl) {
+        return { success: false, error: 'No webhook URL set' };
+      }
+
+      const response = await fetch(recipient.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'SchengenCalc-Alerts' },
+        body: JSON.stringify({
+          text: `${digest.subject}\n\n${digest.text}`,
+          alerts: digest.alerts.map(({ key, kind, message }) => ({ key, kind, message })),
+          unsubscribeUrl: digest.unsubscribeUrl
+        }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        return { success: false, error: `Webhook error: ${response.status} ${response.statusText}` };
+      }
+      return { success: true };
+    }
+  }
+};
+
+const transports = {
+  console: () => ({
+    name: 'console',
+    async deliver(channel, recipient, digest) {
+      console.log(`🔔 [alerts] ${channel} to user ${recipient.userId}\nSubject: ${digest.subject}\n\n${digest.text}`);
+      return { success: true };
+    }
+  }),
+
+  channels: (env) => ({
+    name: 'channels',
+    async deliver(channel, recipient, digest) {
+      if (!channels[channel]) {
+        return { success: false, error: `Unknown alert channel: ${channel}` };
+      }
+      return await channels[channel].send(env, recipient, digest);
+    }
+  })
+};
+
+/**
+ * Add or replace a channel, e.g. SMS or another chat service
+ */
+export function registerAlertChannel(name, channel) {
+  channels[name] = channel;
+}
+
+/**
+ * Add or replace a transport, e.g. for tests
+ */
+export function registerAlertTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * Names of the channels users can choose
+ */
+export function getAlertChannels() {
+  return Object.keys(channels);
+}
+
+/**
+ * Transport configured for this environment
+ */
+export function getAlertTransport(env) {
+  const name = env.ALERT_TRANSPORT;
+  if (!name) {
+    throw new Error('ALERT_TRANSPORT is not set (use channels, or console for local development)');
+  }
+
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown ALERT_TRANSPORT: ${name}`);
+  }
+
+  return factory(env);
+}
+
+/**
+ * Deliver a digest on one channel, never throwing: failures are logged and
+ * returned
+ */
+export async function deliverAlert(env, channel, recipient, digest) {
+  try {
+    return await getAlertTransport(env).deliver(channel, recipient, digest);
+  } catch (error) {
+    console.error(`Error delivering alert by ${channel}:`, error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,484 @@
+/**
+ * Schengen Calc - Alerts API
+ * Scheduled warnings for accounts with the "alerts" feature (Business). The
+ * alerts worker evaluates each account's stored trips under the rule that
+ * applies to the traveller and sends:
+ *   threshold - the days left have fallen to or below a threshold the user chose
+ *   overstay  - a planned (or current) trip would break the 90/180 rule
+ *   visa      - a planned trip would need more visa days or entries than are left
+ *   recovery  - a block of days is about to come back
+ *
+ * Each alert is sent once; alert_deliveries remembers what went out. A
+ * threshold alert can fire again once the days left have gone back above
+ * it. Alerts due during the user's quiet hours are held until the first run
+ * after them, and nothing is evaluated while alerts are paused.
+ */
+
+import { today, addDays, isValidTrip, simulateItinerary, MAX_STAY_DAYS } from '../../js/schengen-rules.js';
+import { assessTraveller, countingTrips, checkPlannedVisas } from '../../js/traveller-rules.js';
+import { getJwtSecret } from './auth-api.js';
+import { hashToken } from './email-auth-api.js';
+import { getEntitlements } from './entitlements-api.js';
+import { getTravellerProfile } from './traveller-api.js';
+import { tripFromRow } from './trips-api.js';
+import { deliverAlert, getAlertChannels, getAlertTransport } from './alert-transport.js';
+import { escapeHtml } from './response-utils.js';
+
+export const DEFAULT_ALERT_SETTINGS = {
+  thresholds: [30, 10],
+  plannedOverstay: true,
+  recovery: true,
+  recoveryMinDays: 10,
+  recoveryLookaheadDays: 7,
+  channels: ['email'],
+  webhookUrl: null,
+  quietHours: null, // { start: 'HH:MM', end: 'HH:MM' } in the user's time zone
+  timezone: 'UTC',
+  pausedUntil: null // YYYY-MM-DD, inclusive
+};
+
+const MAX_THRESHOLDS = 5;
+const MAX_LOOKAHEAD_DAYS = 60;
+
+function formatDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function accountUrl(env) {
+  return `${env.APP_BASE_URL || 'https://shengencalc.com'}/account/`;
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Date (YYYY-MM-DD) and time (HH:MM) at `now` in a time zone
+ */
+function localDateTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Settings with defaults filled in and values coerced to their types
+ */
+export function normalizeAlertSettings(input) {
+  const settings = { ...DEFAULT_ALERT_SETTINGS, ...(input || {}) };
+  const quietHours = settings.quietHours && settings.quietHours.start && settings.quietHours.end
+    ? { start: String(settings.quietHours.start), end: String(settings.quietHours.end) }
+    : null;
+
+  return {
+    thresholds: [...new Set((Array.isArray(settings.thresholds) ? settings.thresholds : []).map(Number))]
+      .sort((a, b) => b - a),
+    plannedOverstay: Boolean(settings.plannedOverstay),
+    recovery: Boolean(settings.recovery),
+    recoveryMinDays: Number(settings.recoveryMinDays),
+    recoveryLookaheadDays: Number(settings.recoveryLookaheadDays),
+    channels: [...new Set(Array.isArray(settings.channels) ? settings.channels.map(String) : [])],
+    webhookUrl: settings.webhookUrl ? String(settings.webhookUrl).trim() : null,
+    quietHours,
+    timezone: String(settings.timezone || 'UTC'),
+    pausedUntil: settings.pausedUntil ? String(settings.pausedUntil) : null
+  };
+}
+
+/**
+ * First problem with normalized settings, or null
+ */
+export function validateAlertSettings(settings) {
+  if (settings.thresholds.length > MAX_THRESHOLDS) {
+    return `Choose up to ${MAX_THRESHOLDS} thresholds`;
+  }
+  if (settings.thresholds.some(threshold => !Number.isInteger(threshold) || threshold < 0 || threshold >= MAX_STAY_DAYS)) {
+    return `Thresholds must be whole numbers of days from 0 to ${MAX_STAY_DAYS - 1}`;
+  }
+  if (!Number.isInteger(settings.recoveryMinDays) || settings.recoveryMinDays < 1 || settings.recoveryMinDays > MAX_STAY_DAYS) {
+    return `recoveryMinDays must be between 1 and ${MAX_STAY_DAYS}`;
+  }
+  if (!Number.isInteger(settings.recoveryLookaheadDays) || settings.recoveryLookaheadDays < 1 || settings.recoveryLookaheadDays > MAX_LOOKAHEAD_DAYS) {
+    return `recoveryLookaheadDays must be between 1 and ${MAX_LOOKAHEAD_DAYS}`;
+  }
+
+  const known = getAlertChannels();
+  const unknown = settings.channels.find(channel => !known.includes(channel));
+  if (unknown) {
+    return `Unknown channel: ${unknown}`;
+  }
+  if (settings.channels.includes('webhook')) {
+    let url = null;
+    try {
+      url = new URL(settings.webhookUrl);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      return 'The webhook URL must be an https:// address';
+    }
+  }
+
+  if (settings.quietHours) {
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!time.test(settings.quietHours.start) || !time.test(settings.quietHours.end)) {
+      return 'Quiet hours must be times like 22:00';
+    }
+  }
+  if (!isTimeZone(settings.timezone)) {
+    return 'Unknown time zone';
+  }
+  if (settings.pausedUntil && !/^\d{4}-\d{2}-\d{2}$/.test(settings.pausedUntil)) {
+    return 'pausedUntil must be a date (YYYY-MM-DD)';
+  }
+
+  return null;
+}
+
+/**
+ * Whether `now` falls in the user's quiet hours. A period whose end is
+ * earlier than its start runs over midnight.
+ */
+export function isQuietTime(settings, now = new Date()) {
+  const quiet = settings.quietHours;
+  if (!quiet || quiet.start === quiet.end) {
+    return false;
+  }
+
+  const { time } = localDateTime(now, settings.timezone);
+  return quiet.start < quiet.end
+    ? time >= quiet.start && time < quiet.end
+    : time >= quiet.start || time < quiet.end;
+}
+
+/**
+ * Alerts the trips call for on the reference date. Returns { alerts, rearm }:
+ * alerts are { key, kind, message, covers } where covers lists every
+ * delivery key the alert settles, and rearm lists threshold keys to forget
+ * because the days left are above them again. Pure, so the calculator's
+ * rules decide what is sent.
+ */
+export function evaluateAlerts(trips, profile, settings, referenceDate = today()) {
+  const valid = (trips || []).filter(isValidTrip);
+  const status = assessTraveller(valid, profile, referenceDate);
+  const result = { alerts: [], rearm: [] };
+
+  if (status.unlimited) {
+    return result;
+  }
+
+  // Only the lowest threshold crossed is sent; the ones above it are settled too
+  const crossed = settings.thresholds.filter(threshold => status.remaining <= threshold);
+  result.rearm = settings.thresholds
+    .filter(threshold => status.remaining > threshold)
+    .map(threshold => `threshold:${threshold}`);
+
+  if (crossed.length > 0) {
+    const lowest = Math.min(...crossed);
+    let message = status.overstayDays > 0
+      ? `You are ${plural(status.overstayDays, 'day')} over the ${MAX_STAY_DAYS}-day limit.`
+      : `You have ${plural(status.remaining, 'day')} left in the Schengen area${status.limitedBy === 'visa' ? ' on your visa' : ''}.`;
+    if (status.limitedBy === 'no-visa') {
+      message += ' You need a valid visa before your next entry.';
+    }
+    if (status.nextRecovery) {
+      message += ` ${plural(status.nextRecovery.days, 'day')} come back on ${formatDate(status.nextRecovery.recoveryStart)}.`;
+    }
+    result.alerts.push({
+      key: `threshold:${lowest}`,
+      kind: 'threshold',
+      message,
+      covers: crossed.map(threshold => `threshold:${threshold}`)
+    });
+  }
+
+  // Trips not yet over are checked as a plan on top of the finished ones
+  if (settings.plannedOverstay) {
+    const finished = valid.filter(trip => trip.exitDate <= referenceDate);
+    const upcoming = valid.filter(trip => trip.exitDate > referenceDate);
+    const simulation = simulateItinerary(countingTrips(finished, profile), countingTrips(upcoming, profile));
+
+    upcoming.forEach(trip => {
+      const violations = simulation.violations.filter(violation => violation.trip && violation.trip.id === trip.id);
+      if (violations.length === 0) {
+        return;
+      }
+      const overBy = violations.reduce((max, violation) => Math.max(max, violation.overBy), 0);
+      const where = trip.country ? ` to ${trip.country}` : '';
+      const key = `overstay:${trip.id}:${trip.entryDate}:${trip.exitDate}`;
+      result.alerts.push({
+        key,
+        kind: 'overstay',
+        message: `Your trip${where} from ${formatDate(trip.entryDate)} to ${formatDate(trip.exitDate)} would overstay from ${formatDate(violations[0].date)}, by up to ${plural(overBy, 'day')}.`,
+        covers: [key]
+      });
+    });
+
+    checkPlannedVisas(finished, upcoming, profile).forEach(problem => {
+      const key = `visa:${problem.type}:${problem.date}`;
+      result.alerts.push({ key, kind: 'visa', message: problem.message, covers: [key] });
+    });
+  }
+
+  if (settings.recovery) {
+    const lastDay = addDays(referenceDate, settings.recoveryLookaheadDays);
+    status.rollOffs
+      .filter(entry => entry.recoveryStart > referenceDate && entry.recoveryStart <= lastDay && entry.days >= settings.recoveryMinDays)
+      .forEach(entry => {
+        const key = `recovery:${entry.recoveryStart}`;
+        result.alerts.push({
+          key,
+          kind: 'recovery',
+          message: `${plural(entry.days, 'day')} from your stay of ${formatDate(entry.stayStart)} to ${formatDate(entry.stayEnd)} come back between ${formatDate(entry.recoveryStart)} and ${formatDate(entry.recoveryEnd)}. With no other travel you will then have ${entry.remainingAfter} of ${MAX_STAY_DAYS} days.`,
+          covers: [key]
+        });
+      });
+  }
+
+  return result;
+}
+
+async function unsubscribeToken(env, userId) {
+  return await hashToken(`${getJwtSecret(env)}:alerts-unsubscribe:${userId}`);
+}
+
+/**
+ * Unsubscribe links for a user: `page` asks them to confirm (for the message
+ * body, where link scanners may open it) and `oneClick` takes the
+ * List-Unsubscribe-Post request mail clients send
+ */
+async function unsubscribeLinks(env, userId) {
+  const base = env.APP_BASE_URL || 'https://shengencalc.com';
+  const query = `user=${userId}&token=${await unsubscribeToken(env, userId)}`;
+  return {
+    page: `${base}/account/unsubscribe.html?${query}`,
+    oneClick: `${base}/api/alerts/unsubscribe?${query}`
+  };
+}
+
+/**
+ * Whether an unsubscribe link's token belongs to the user
+ */
+export async function verifyUnsubscribeToken(env, userId, token) {
+  if (!/^\d+$/.test(String(userId || '')) || !/^[0-9a-f]{64}$/.test(token || '')) {
+    return false;
+  }
+  return token === await unsubscribeToken(env, userId);
+}
+
+async function hasAlerts(env, userId) {
+  const entitlements = await getEntitlements(env, { subject: `user:${userId}`, userId });
+  return entitlements.features.includes('alerts');
+}
+
+/**
+ * The user's alert settings (defaults if never saved) and whether their plan
+ * includes alerts
+ */
+export async function getAlertSettings(env, userId) {
+  const row = await env.DB.prepare(
+    'SELECT enabled, settings, updated_at FROM alert_settings WHERE user_id = ?'
+  ).bind(userId).first();
+
+  let settings = {};
+  if (row) {
+    try {
+      settings = JSON.parse(row.settings);
+    } catch (error) {
+      console.warn(`Unreadable alert settings for user ${userId}`);
+    }
+  }
+
+  return {
+    enabled: row ? Boolean(row.enabled) : true,
+    settings: normalizeAlertSettings(settings),
+    updatedAt: row ? row.updated_at : null,
+    available: await hasAlerts(env, userId),
+    channels: getAlertChannels()
+  };
+}
+
+/**
+ * Replace the user's alert settings
+ */
+export async function saveAlertSettings(env, userId, input) {
+  if (!await hasAlerts(env, userId)) {
+    return { success: false, status: 402, error: 'Automated alerts are included with the Business plan' };
+  }
+
+  const { enabled = true, ...rest } = input || {};
+  const settings = normalizeAlertSettings(rest);
+  const validationError = validateAlertSettings(settings);
+  if (validationError) {
+    return { success: false, status: 400, error: validationError };
+  }
+
+  const updatedAt = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO alert_settings (user_id, enabled, settings, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (user_id) DO UPDATE
+       SET enabled = excluded.enabled, settings = excluded.settings, updated_at = excluded.updated_at`
+  ).bind(userId, enabled ? 1 : 0, JSON.stringify(settings), updatedAt).run();
+
+  return { success: true, enabled: Boolean(enabled), settings, updatedAt };
+}
+
+/**
+ * Turn all alerts off for the user, keeping their other settings
+ */
+export async function unsubscribeAlerts(env, userId) {
+  await env.DB.prepare(
+    `INSERT INTO alert_settings (user_id, enabled, settings, updated_at)
+     VALUES (?, 0, ?, ?)
+     ON CONFLICT (user_id) DO UPDATE
+       SET enabled = 0, updated_at = excluded.updated_at`
+  ).bind(userId, JSON.stringify(DEFAULT_ALERT_SETTINGS), new Date().toISOString()).run();
+}
+
+async function buildDigest(env, user, alerts) {
+  const links = await unsubscribeLinks(env, user.id);
+  const subject = alerts.length === 1
+    ? `Schengen alert: ${alerts[0].message.split('. ')[0].replace(/\.$/, '')}`
+    : `Schengen alerts: ${alerts.length} things to check`;
+
+  return {
+    subject,
+    alerts,
+    unsubscribeUrl: links.page,
+    oneClickUnsubscribeUrl: links.oneClick,
+    text: `Hi ${user.first_name || ''},\n\n${alerts.map(alert => `- ${alert.message}`).join('\n')}\n\n` +
+      `Check your trips or change these alerts: ${accountUrl(env)}\nStop these alerts: ${links.page}\n\nSchengen Calc`,
+    html: `<p>Hi ${escapeHtml(user.first_name || '')},</p><ul>${alerts.map(alert => `<li>${escapeHtml(alert.message)}</li>`).join('')}</ul>` +
+      `<p><a href="${accountUrl(env)}">Check your trips or change these alerts</a></p>` +
+      `<p style="font-size: 12px; color: #64748b;"><a href="${links.page}">Stop these alerts</a></p>`
+  };
+}
+
+/**
+ * Evaluate and deliver one user's alerts. Returns 'sent', 'held' (quiet
+ * hours), 'none', 'skipped' (no alerts feature or paused) or 'failed'.
+ */
+async function alertUser(env, user, now) {
+  if (!await hasAlerts(env, user.id)) {
+    return 'skipped';
+  }
+
+  let stored = {};
+  try {
+    stored = JSON.parse(user.settings || '{}');
+  } catch (error) {
+    console.warn(`Unreadable alert settings for user ${user.id}`);
+  }
+  const settings = normalizeAlertSettings(stored);
+  const timezone = isTimeZone(settings.timezone) ? settings.timezone : 'UTC';
+  const referenceDate = localDateTime(now, timezone).date;
+
+  if (settings.pausedUntil && referenceDate <= settings.pausedUntil) {
+    return 'skipped';
+  }
+
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM travel_calculations WHERE user_id = ? AND deleted_at IS NULL'
+  ).bind(user.id).all();
+  const { profile } = await getTravellerProfile(env, user.id);
+  const { alerts, rearm } = evaluateAlerts((results || []).map(tripFromRow), profile, settings, referenceDate);
+
+  if (rearm.length > 0) {
+    await env.DB.prepare(
+      `DELETE FROM alert_deliveries WHERE user_id = ? AND alert_key IN (${rearm.map(() => '?').join(', ')})`
+    ).bind(user.id, ...rearm).run();
+  }
+
+  const delivered = await env.DB.prepare(
+    'SELECT alert_key FROM alert_deliveries WHERE user_id = ?'
+  ).bind(user.id).all();
+  const sentKeys = new Set((delivered.results || []).map(row => row.alert_key));
+  const due = alerts.filter(alert => !sentKeys.has(alert.key));
+
+  if (due.length === 0 || settings.channels.length === 0) {
+    return 'none';
+  }
+  if (isQuietTime({ ...settings, timezone }, now)) {
+    return 'held';
+  }
+
+  const digest = await buildDigest(env, user, due);
+  const recipient = { userId: user.id, email: user.email, firstName: user.first_name, webhookUrl: settings.webhookUrl };
+  const reached = [];
+  for (const channel of settings.channels) {
+    const result = await deliverAlert(env, channel, recipient, digest);
+    if (result.success) {
+      reached.push(channel);
+    } else {
+      console.warn(`Alert for user ${user.id} not delivered by ${channel}: ${result.error}`);
+    }
+  }
+
+  // Nothing is recorded unless a channel took it, so the next run retries
+  if (reached.length === 0) {
+    return 'failed';
+  }
+
+  const sentAt = now.toISOString();
+  await env.DB.batch(due.flatMap(alert => alert.covers.map(key => env.DB.prepare(
+    `INSERT INTO alert_deliveries (user_id, alert_key, kind, channels, sent_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (user_id, alert_key) DO NOTHING`
+  ).bind(user.id, key, alert.kind, reached.join(','), sentAt))));
+
+  return 'sent';
+}
+
+/**
+ * One pass of the alerts schedule over every account with stored trips.
+ * Called by the scheduled worker; `now` can be moved for local testing.
+ */
+export async function runAlerts(env, now = new Date()) {
+  // A missing or unknown ALERT_TRANSPORT fails the whole run, not every user
+  getAlertTransport(env);
+
+  const summary = { checked: 0, sent: 0, held: 0, skipped: 0, errors: 0 };
+
+  const { results } = await env.DB.prepare(
+    `SELECT u.id, u.email, u.first_name, a.settings
+     FROM users u
+     LEFT JOIN alert_settings a ON a.user_id = u.id
+     WHERE (a.enabled IS NULL OR a.enabled)
+       AND EXISTS (SELECT 1 FROM travel_calculations t WHERE t.user_id = u.id AND t.deleted_at IS NULL)
+     ORDER BY u.id`
+  ).all();
+
+  for (const user of results || []) {
+    summary.checked++;
+
+    try {
+      const outcome = await alertUser(env, user, now);
+      if (outcome === 'sent') summary.sent++;
+      else if (outcome === 'held') summary.held++;
+      else if (outcome === 'skipped') summary.skipped++;
+      else if (outcome === 'failed') summary.errors++;
+    } catch (error) {
+      console.error(`Error processing alerts for user ${user.id}:`, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,51 @@
+/**
+ * Schengen Calc - Alert Settings Endpoint
+ * GET /api/alerts/settings - the signed-in user's alert settings and whether their plan includes alerts
+ * PUT /api/alerts/settings - replace them
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { getAlertSettings, saveAlertSettings } from '../alerts-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const result = await getAlertSettings(env, auth.user.id);
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error fetching alert settings:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPut({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await saveAlertSettings(env, auth.user.id, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, enabled: result.enabled, settings: result.settings, updatedAt: result.updatedAt });
+
+  } catch (error) {
+    console.error('Error saving alert settings:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, PUT');
+}
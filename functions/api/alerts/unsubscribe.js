@@ -0,0 +1,39 @@
+/**
+ * Schengen Calc - Alert Unsubscribe Endpoint
+ * POST /api/alerts/unsubscribe - turn off the user's alerts
+ *
+ * Alert messages link to /account/unsubscribe.html, which posts
+ * { user, token } here. Mail clients send List-Unsubscribe-Post one-click
+ * requests with user and token in the query string instead. The token is
+ * the credential, as the user may not be signed in.
+ */
+
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { verifyUnsubscribeToken, unsubscribeAlerts } from '../alerts-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const query = new URL(request.url).searchParams;
+    const body = (request.headers.get('Content-Type') || '').includes('application/json')
+      ? await request.json().catch(() => ({}))
+      : {};
+    const userId = query.get('user') || body.user;
+    const token = query.get('token') || body.token;
+
+    if (!await verifyUnsubscribeToken(env, userId, token)) {
+      return errorResponse('This unsubscribe link is not valid', 400);
+    }
+
+    await unsubscribeAlerts(env, Number(userId));
+
+    return jsonResponse({ success: true, message: 'Alerts turned off' });
+
+  } catch (error) {
+    console.error('Error unsubscribing from alerts:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
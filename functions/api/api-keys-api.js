@@ -0,0 +1,208 @@
+/**
+ * Schengen Calc - API Keys
+ * Organizations on the Business plan create keys for the public calculation
+ * API (functions/api/v1). A key is shown once when created and stored only
+ * as a SHA-256 hash. Each key has scopes and its own per-minute rate limit;
+ * every request is metered per key and minute in api_usage.
+ *
+ * Owners and admins manage their organization's keys. Keys stop working
+ * when revoked or when the owner's plan no longer includes the API.
+ */
+
+import { getEntitlements } from './entitlements-api.js';
+import { hashToken, generateToken } from './email-auth-api.js';
+
+export const API_SCOPES = ['calculate'];
+export const DEFAULT_RATE_LIMIT = 60;
+export const MAX_RATE_LIMIT = 600;
+export const MAX_KEYS_PER_ORGANIZATION = 20;
+export const USAGE_DAYS = 30;
+
+const KEY_PREFIX = 'sck_';
+const MAX_NAME_LENGTH = 100;
+
+function apiKeyFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes.split(',').filter(Boolean),
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    usage: {
+      today: row.requests_today || 0,
+      last30Days: row.requests_total || 0,
+      rateLimited30Days: row.rejected_total || 0
+    }
+  };
+}
+
+/**
+ * Whether the organization's owner is on a plan that includes the API
+ */
+export async function organizationHasApi(env, ownerUserId) {
+  const entitlements = await getEntitlements(env, { subject: `user:${ownerUserId}`, userId: ownerUserId });
+  return entitlements.features.includes('api') && !entitlements.sponsoredBy;
+}
+
+/**
+ * The organization's active keys with their usage over the last USAGE_DAYS
+ * days, and whether the plan includes the API
+ */
+export async function listApiKeys(env, membership) {
+  const { results } = await env.DB.prepare(
+    `SELECT k.*,
+            SUM(CASE WHEN u.minute >= strftime('%Y-%m-%d', 'now') THEN u.requests ELSE 0 END) AS requests_today,
+            SUM(u.requests) AS requests_total,
+            SUM(u.rejected) AS rejected_total
+     FROM api_keys k
+     LEFT JOIN api_usage u ON u.api_key_id = k.id AND u.minute >= strftime('%Y-%m-%d', 'now', ?)
+     WHERE k.organization_id = ? AND k.revoked_at IS NULL
+     GROUP BY k.id
+     ORDER BY k.created_at DESC`
+  ).bind(`-${USAGE_DAYS - 1} days`, membership.organizationId).all();
+
+  return {
+    available: await organizationHasApi(env, membership.ownerUserId),
+    scopes: API_SCOPES,
+    keys: (results || []).map(apiKeyFromRow)
+  };
+}
+
+/**
+ * Create a key. The key itself is only returned here.
+ */
+export async function createApiKey(env, membership, { name, scopes = API_SCOPES, rateLimitPerMinute = DEFAULT_RATE_LIMIT } = {}) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    return { success: false, status: 400, error: `name is required (up to ${MAX_NAME_LENGTH} characters)` };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+    return { success: false, status: 400, error: `scopes must be a list of: ${API_SCOPES.join(', ')}` };
+  }
+
+  const limit = Number(rateLimitPerMinute);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+    return { success: false, status: 400, error: `rateLimitPerMinute must be between 1 and ${MAX_RATE_LIMIT}` };
+  }
+
+  if (!await organizationHasApi(env, membership.ownerUserId)) {
+    return { success: false, status: 402, error: 'API access needs a Business subscription' };
+  }
+
+  const count = await env.DB.prepare(
+    'SELECT COUNT(*) AS total FROM api_keys WHERE organization_id = ? AND revoked_at IS NULL'
+  ).bind(membership.organizationId).first();
+  if ((count?.total || 0) >= MAX_KEYS_PER_ORGANIZATION) {
+    return { success: false, status: 409, error: `An organization can have up to ${MAX_KEYS_PER_ORGANIZATION} API keys` };
+  }
+
+  const key = `${KEY_PREFIX}${generateToken()}`;
+  const row = await env.DB.prepare(
+    `INSERT INTO api_keys
+       (organization_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     RETURNING *`
+  ).bind(
+    membership.organizationId,
+    trimmed,
+    key.slice(0, KEY_PREFIX.length + 8),
+    await hashToken(key),
+    [...new Set(scopes)].join(','),
+    limit,
+    membership.userId
+  ).first();
+
+  return { success: true, key, apiKey: apiKeyFromRow(row) };
+}
+
+/**
+ * Revoke one of the organization's keys; it stops working straight away
+ */
+export async function revokeApiKey(env, membership, keyId) {
+  const revoked = await env.DB.prepare(
+    `UPDATE api_keys SET revoked_at = datetime('now')
+     WHERE id = ? AND organization_id = ? AND revoked_at IS NULL
+     RETURNING id`
+  ).bind(keyId, membership.organizationId).first();
+
+  if (!revoked) {
+    return { success: false, status: 404, error: 'API key not found' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Check an API request's key, scope and rate limit, and meter it. Returns
+ * { success, apiKey, headers } or { success: false, status, error, headers }.
+ * headers carry the rate limit state for the response.
+ */
+export async function authenticateApiKey(request, env, scope) {
+  const header = request.headers.get('Authorization') || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!key.startsWith(KEY_PREFIX)) {
+    return { success: false, status: 401, error: 'An API key is required (Authorization: Bearer sck_...)', headers: {} };
+  }
+
+  const apiKey = await env.DB.prepare(
+    `SELECT k.id, k.organization_id, k.scopes, k.rate_limit_per_minute, o.owner_user_id
+     FROM api_keys k JOIN organizations o ON o.id = k.organization_id
+     WHERE k.key_hash = ? AND k.revoked_at IS NULL`
+  ).bind(await hashToken(key)).first();
+  if (!apiKey) {
+    return { success: false, status: 401, error: 'Invalid API key', headers: {} };
+  }
+
+  if (!apiKey.scopes.split(',').includes(scope)) {
+    return { success: false, status: 403, error: `This API key does not have the ${scope} scope`, headers: {} };
+  }
+
+  if (!await organizationHasApi(env, apiKey.owner_user_id)) {
+    return { success: false, status: 402, error: "The organization's plan no longer includes API access", headers: {} };
+  }
+
+  // Counted atomically so parallel requests cannot go over the limit
+  const limit = apiKey.rate_limit_per_minute;
+  const counted = await env.DB.prepare(
+    `INSERT INTO api_usage (api_key_id, minute, requests)
+     VALUES (?, strftime('%Y-%m-%d %H:%M', 'now'), 1)
+     ON CONFLICT (api_key_id, minute) DO UPDATE
+       SET requests = requests + 1
+       WHERE requests < ?
+     RETURNING requests`
+  ).bind(apiKey.id, limit).first();
+
+  if (!counted) {
+    await env.DB.prepare(
+      `UPDATE api_usage SET rejected = rejected + 1
+       WHERE api_key_id = ? AND minute = strftime('%Y-%m-%d %H:%M', 'now')`
+    ).bind(apiKey.id).run();
+
+    return {
+      success: false,
+      status: 429,
+      error: `Rate limit of ${limit} requests per minute reached`,
+      headers: {
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': '0',
+        'Retry-After': String(60 - new Date().getUTCSeconds())
+      }
+    };
+  }
+
+  await env.DB.prepare(
+    "UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?"
+  ).bind(apiKey.id).run();
+
+  return {
+    success: true,
+    apiKey: { id: apiKey.id, organizationId: apiKey.organization_id },
+    headers: {
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - counted.requests))
+    }
+  };
+}
@@ -5,6 +5,65 @@
 
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { jsonResponse, errorResponse } from './response-utils.js';
+import { sendVerificationEmail } from './email-auth-api.js';
+import { TRIAL_DAYS } from './entitlements-api.js';
+
+// Access tokens are short-lived; the session (refresh) token keeps the user signed in
+export const ACCESS_TOKEN_TTL = '1h';
+export const SESSION_TTL_DAYS = 30;
+
+/**
+ * JWT signing secret. There is deliberately no fallback: without a secret
+ * every authentication attempt fails.
+ */
+export function getJwtSecret(env) {
+  if (!env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return env.JWT_SECRET;
+}
+
+function getClientInfo(request) {
+  return {
+    ipAddress: request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || null,
+    userAgent: request.headers.get('User-Agent') || null
+  };
+}
+
+function signAccessToken(env, user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      sid: sessionId
+    },
+    getJwtSecret(env),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Create a session row and the tokens that belong to it
+ */
+export async function createSession(env, user, request) {
+  // Fail before writing anything if tokens cannot be signed
+  getJwtSecret(env);
+
+  const { ipAddress, userAgent } = getClientInfo(request);
+  const sessionToken = crypto.randomUUID();
+
+  const session = await env.DB.prepare(
+    `INSERT INTO user_sessions (user_id, session_token, expires_at, created_at, last_used_at, ip_address, user_agent)
+     VALUES (?, ?, datetime('now', ?), datetime('now'), datetime('now'), ?, ?)
+     RETURNING id`
+  ).bind(user.id, sessionToken, `+${SESSION_TTL_DAYS} days`, ipAddress, userAgent).first();
+
+  return {
+    token: signAccessToken(env, user, session.id),
+    sessionToken
+  };
+}
 
 /**
  * User Registration
@@ -72,36 +131,29 @@ export async function handleUserRegistration(request, env) {
     
     // Create user in database
     const userResult = await env.DB.prepare(
-      `INSERT INTO users (email, first_name, last_name, password_hash, created_at) 
-       VALUES (?, ?, ?, ?, datetime('now')) 
-       RETURNING id, email, first_name, last_name, created_at`
+      `INSERT INTO users (email, first_name, last_name, password_hash, trial_ends_at, created_at) 
+       VALUES (?, ?, ?, ?, datetime('now', ?), datetime('now')) 
+       RETURNING id, email, first_name, last_name, trial_ends_at, created_at`
     ).bind(
       userData.email.toLowerCase(),
       userData.firstName,
       userData.lastName,
-      passwordHash
+      passwordHash,
+      `+${TRIAL_DAYS} days`
     ).first();
     
     if (!userResult) {
       throw new Error('Failed to create user');
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: userResult.id, 
-        email: userResult.email 
-      },
-      env.JWT_SECRET || 'your-secret-key', // You should add this to environment variables
-      { expiresIn: '7d' }
-    );
+    // Create session and tokens
+    const { token, sessionToken } = await createSession(env, userResult, request);
     
-    // Create session record
-    const sessionToken = crypto.randomUUID();
-    await env.DB.prepare(
-      `INSERT INTO user_sessions (user_id, session_token, expires_at, created_at)
-       VALUES (?, ?, datetime('now', '+7 days'), datetime('now'))`
-    ).bind(userResult.id, sessionToken).run();
+    // A failed email doesn't fail registration; the user can ask for a new link
+    const verification = await sendVerificationEmail(env, request, userResult);
+    if (!verification.success) {
+      console.warn(`Verification email for user ${userResult.id} not sent: ${verification.error}`);
+    }
     
     return new Response(JSON.stringify({
       success: true,
@@ -111,7 +163,9 @@ export async function handleUserRegistration(request, env) {
         email: userResult.email,
         firstName: userResult.first_name,
         lastName: userResult.last_name,
-        subscriptionActive: false
+        subscriptionActive: false,
+        emailVerified: false,
+        trialEndsAt: userResult.trial_ends_at
       },
       token: token,
       sessionToken: sessionToken
@@ -156,11 +210,11 @@ export async function handleUserLogin(request, env) {
     
     // Find user by email
     const user = await env.DB.prepare(
-      `SELECT id, email, first_name, last_name, password_hash, subscription_active 
+      `SELECT id, email, first_name, last_name, password_hash, subscription_active, email_verified 
        FROM users WHERE email = ?`
     ).bind(loginData.email.toLowerCase()).first();
     
-    if (!user) {
+    if (!user || !user.password_hash) {
       return new Response(JSON.stringify({
         success: false,
         error: 'Invalid email or password'
@@ -185,29 +239,15 @@ export async function handleUserLogin(request, env) {
     
     // Update last login time
     await env.DB.prepare(
-      'UPDATE users SET last_login_at = datetime("now") WHERE id = ?'
+      "UPDATE users SET last_login_at = datetime('now') WHERE id = ?"
     ).bind(user.id).run();
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email 
-      },
-      env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
-    
-    // Create session record
-    const sessionToken = crypto.randomUUID();
-    await env.DB.prepare(
-      `INSERT INTO user_sessions (user_id, session_token, expires_at, created_at, last_used_at)
-       VALUES (?, ?, datetime('now', '+7 days'), datetime('now'), datetime('now'))`
-    ).bind(user.id, sessionToken).run();
+    // Create session and tokens
+    const { token, sessionToken } = await createSession(env, user, request);
     
     // Get user's current subscription status
     const subscription = await env.DB.prepare(
-      'SELECT plan_type, status, frequency FROM subscriptions WHERE user_id = ? AND status = "ACTIVE"'
+      "SELECT plan_type, status, frequency FROM subscriptions WHERE user_id = ? AND status = 'ACTIVE'"
     ).bind(user.id).first();
     
     return new Response(JSON.stringify({
@@ -219,6 +259,7 @@ export async function handleUserLogin(request, env) {
         firstName: user.first_name,
         lastName: user.last_name,
         subscriptionActive: user.subscription_active,
+        emailVerified: Boolean(user.email_verified),
         subscription: subscription ? {
           planType: subscription.plan_type,
           frequency: subscription.frequency,
@@ -253,111 +294,188 @@ export async function handleUserLogin(request, env) {
  */
 export async function verifyUserToken(request, env) {
   try {
-    const authHeader = request.headers.get('Authorization');
+    const auth = await authenticateRequest(request, env);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'No valid authorization token provided'
-      }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-    
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify JWT token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, env.JWT_SECRET || 'your-secret-key');
-    } catch (error) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Invalid or expired token'
-      }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' }
-      });
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
     }
     
     // Get updated user information
     const user = await env.DB.prepare(
-      `SELECT id, email, first_name, last_name, subscription_active 
+      `SELECT id, email, first_name, last_name, subscription_active, email_verified 
        FROM users WHERE id = ?`
-    ).bind(decoded.userId).first();
+    ).bind(auth.user.id).first();
     
-    if (!user) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'User not found'
-      }), {
-        status: 404,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-    
-    return new Response(JSON.stringify({
+    return jsonResponse({
       success: true,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
-        subscriptionActive: user.subscription_active
-      }
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        subscriptionActive: user.subscription_active,
+        emailVerified: Boolean(user.email_verified)
       }
     });
     
   } catch (error) {
     console.error('Error verifying token:', error);
-    return new Response(JSON.stringify({
-      success: false,
-      error: 'Internal server error'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Exchange a session token for a fresh access token, rotating the session token
+ * POST /api/auth/refresh
+ */
+export async function handleTokenRefresh(request, env) {
+  try {
+    const { sessionToken } = await request.json();
+    
+    if (!sessionToken) {
+      return errorResponse('sessionToken is required', 400);
+    }
+    
+    const session = await env.DB.prepare(
+      `SELECT s.id, s.user_id, u.email
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.session_token = ? AND s.expires_at > datetime('now')`
+    ).bind(sessionToken).first();
+    
+    if (!session) {
+      return errorResponse('Session expired or revoked', 401);
+    }
+    
+    // Rotate so a stolen session token only works once
+    const { ipAddress, userAgent } = getClientInfo(request);
+    const newSessionToken = crypto.randomUUID();
+    await env.DB.prepare(
+      `UPDATE user_sessions
+       SET session_token = ?, expires_at = datetime('now', ?), last_used_at = datetime('now'),
+           ip_address = ?, user_agent = ?
+       WHERE id = ?`
+    ).bind(newSessionToken, `+${SESSION_TTL_DAYS} days`, ipAddress, userAgent, session.id).run();
+    
+    return jsonResponse({
+      success: true,
+      token: signAccessToken(env, { id: session.user_id, email: session.email }, session.id),
+      sessionToken: newSessionToken
     });
+    
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Revoke the current session
+ * POST /api/auth/logout
+ */
+export async function handleUserLogout(request, env) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+    
+    await env.DB.prepare(
+      'DELETE FROM user_sessions WHERE id = ? AND user_id = ?'
+    ).bind(auth.sessionId, auth.user.id).run();
+    
+    return jsonResponse({ success: true, message: 'Logged out' });
+    
+  } catch (error) {
+    console.error('Error during logout:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Revoke every session of the user, signing out all devices
+ * POST /api/auth/logout-all
+ */
+export async function handleLogoutAllDevices(request, env) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+    
+    const result = await env.DB.prepare(
+      'DELETE FROM user_sessions WHERE user_id = ?'
+    ).bind(auth.user.id).run();
+    
+    return jsonResponse({
+      success: true,
+      message: 'Logged out on all devices',
+      sessionsRevoked: result.meta?.changes || 0
+    });
+    
+  } catch (error) {
+    console.error('Error during logout from all devices:', error);
+    return errorResponse('Internal server error', 500);
   }
 }
 
 /**
  * Middleware to authenticate requests
+ * The access token must be valid and its session must not be revoked or expired.
  */
 export async function authenticateRequest(request, env) {
   try {
     const authHeader = request.headers.get('Authorization');
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { success: false, error: 'No authorization token provided' };
+      return { success: false, status: 401, error: 'No authorization token provided' };
+    }
+    
+    let secret;
+    try {
+      secret = getJwtSecret(env);
+    } catch (error) {
+      console.error('Authentication is not configured:', error.message);
+      return { success: false, status: 500, error: 'Authentication is not configured' };
     }
     
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, env.JWT_SECRET || 'your-secret-key');
+    const decoded = jwt.verify(token, secret);
     
-    const user = await env.DB.prepare(
-      'SELECT id, email, subscription_active FROM users WHERE id = ?'
-    ).bind(decoded.userId).first();
+    if (!decoded.sid) {
+      return { success: false, status: 401, error: 'Invalid token' };
+    }
     
-    if (!user) {
-      return { success: false, error: 'User not found' };
+    const session = await env.DB.prepare(
+      `SELECT s.id, u.id AS user_id, u.email, u.subscription_active, u.email_verified, u.is_admin
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.id = ? AND s.user_id = ? AND s.expires_at > datetime('now')`
+    ).bind(decoded.sid, decoded.userId).first();
+    
+    if (!session) {
+      return { success: false, status: 401, error: 'Session expired or revoked' };
     }
     
+    const { ipAddress, userAgent } = getClientInfo(request);
+    await env.DB.prepare(
+      `UPDATE user_sessions SET last_used_at = datetime('now'), ip_address = ?, user_agent = ?
+       WHERE id = ?`
+    ).bind(ipAddress, userAgent, session.id).run();
+    
     return { 
       success: true, 
+      sessionId: session.id,
       user: {
-        id: user.id,
-        email: user.email,
-        subscriptionActive: user.subscription_active
+        id: session.user_id,
+        email: session.email,
+        subscriptionActive: session.subscription_active,
+        emailVerified: Boolean(session.email_verified),
+        isAdmin: Boolean(session.is_admin)
       }
     };
     
   } catch (error) {
-    return { success: false, error: 'Invalid token' };
+    return { success: false, status: 401, error: 'Invalid token' };
   }
 }
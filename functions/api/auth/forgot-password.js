@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Password Reset Request Endpoint
+ * POST /api/auth/forgot-password
+ */
+
+import { handlePasswordResetRequest } from '../email-auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handlePasswordResetRequest(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - User Login Endpoint
+ * POST /api/auth/login
+ */
+
+import { handleUserLogin } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleUserLogin(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Logout All Devices Endpoint
+ * POST /api/auth/logout-all
+ */
+
+import { handleLogoutAllDevices } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleLogoutAllDevices(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
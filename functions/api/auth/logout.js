@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Logout Endpoint (revokes the current session)
+ * POST /api/auth/logout
+ */
+
+import { handleUserLogout } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleUserLogout(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Token Refresh Endpoint
+ * POST /api/auth/refresh
+ */
+
+import { handleTokenRefresh } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleTokenRefresh(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
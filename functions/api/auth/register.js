@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - User Registration Endpoint
+ * POST /api/auth/register
+ */
+
+import { handleUserRegistration } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleUserRegistration(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
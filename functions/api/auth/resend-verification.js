@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Resend Verification Email Endpoint
+ * POST /api/auth/resend-verification
+ */
+
+import { handleResendVerification } from '../email-auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleResendVerification(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Password Reset Endpoint
+ * POST /api/auth/reset-password
+ */
+
+import { handlePasswordReset } from '../email-auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handlePasswordReset(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
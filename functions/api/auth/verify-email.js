@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Email Verification Endpoint
+ * POST /api/auth/verify-email
+ */
+
+import { handleEmailVerification } from '../email-auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestPost({ request, env }) {
+  return handleEmailVerification(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
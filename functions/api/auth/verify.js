@@ -0,0 +1,15 @@
+/**
+ * Schengen Calc - Token Verification Endpoint
+ * GET /api/auth/verify
+ */
+
+import { verifyUserToken } from '../auth-api.js';
+import { corsPreflight } from '../response-utils.js';
+
+export async function onRequestGet({ request, env }) {
+  return verifyUserToken(request, env);
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
@@ -0,0 +1,163 @@
+/**
+ * Schengen Calc - Calculation API
+ * The 90/180 calculation behind POST /api/v1/calculate, for HR and booking
+ * tools. It uses the calculator's own rules (js/schengen-rules.js and
+ * js/traveller-rules.js), so a trip list gives the same answer here as on
+ * the page. Nothing is stored.
+ */
+
+import { isValidDate, today, checkCompliance, countTripDays, simulateItinerary } from '../../js/schengen-rules.js';
+import {
+  assessTraveller,
+  countingTrips,
+  checkPlannedVisas,
+  maxStayForTraveller,
+  normalizeProfile,
+  validateProfile
+} from '../../js/traveller-rules.js';
+import { validateTrip } from './trips-api.js';
+import { MAX_PERIOD_DAYS } from './reports-api.js';
+
+export const MAX_API_TRIPS = 500;
+
+// Only these trip fields affect the calculation
+function pickTrip(trip, index) {
+  return {
+    id: trip.id !== undefined ? String(trip.id) : String(index + 1),
+    entryDate: trip.entryDate,
+    exitDate: trip.exitDate,
+    country: trip.country,
+    legs: trip.legs || null,
+    entryBy: trip.entryBy || null
+  };
+}
+
+/**
+ * First problem with a request body, or null
+ */
+function validateCalculation(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Send a JSON object of { trips, referenceDate, plannedTrip, traveller }';
+  }
+  if (!Array.isArray(body.trips)) {
+    return 'trips must be a list of { entryDate, exitDate, country }';
+  }
+  if (body.trips.length > MAX_API_TRIPS) {
+    return `Send up to ${MAX_API_TRIPS} trips`;
+  }
+
+  for (let i = 0; i < body.trips.length; i++) {
+    const error = validateTrip(body.trips[i]);
+    if (error) {
+      return `trips[${i}]: ${error}`;
+    }
+  }
+
+  if (body.referenceDate !== undefined && body.referenceDate !== null && !isValidDate(body.referenceDate)) {
+    return 'referenceDate must be a valid date (YYYY-MM-DD)';
+  }
+
+  if (body.plannedTrip !== undefined && body.plannedTrip !== null) {
+    const error = validateTrip(body.plannedTrip);
+    if (error) {
+      return `plannedTrip: ${error}`;
+    }
+  }
+
+  // The checks walk every day of the span, so it is capped as reports are
+  const dated = body.plannedTrip ? [...body.trips, body.plannedTrip] : body.trips;
+  if (dated.length > 0) {
+    const first = dated.reduce((min, trip) => (trip.entryDate < min ? trip.entryDate : min), dated[0].entryDate);
+    const last = dated.reduce((max, trip) => (trip.exitDate > max ? trip.exitDate : max), dated[0].exitDate);
+    if (countTripDays(first, last) > MAX_PERIOD_DAYS) {
+      return `trips and plannedTrip must fall within ${MAX_PERIOD_DAYS} days, from the first entry to the last exit`;
+    }
+  }
+
+  if (body.traveller !== undefined && body.traveller !== null) {
+    if (typeof body.traveller !== 'object') {
+      return 'traveller must be an object of { passports, visas, permits }';
+    }
+    const error = validateProfile(normalizeProfile(body.traveller));
+    if (error) {
+      return `traveller: ${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Earliest of the violations found, as { date, reason, overBy?, message? }
+ */
+function earliestViolation(overstay, visaProblems) {
+  const candidates = [
+    ...(overstay ? [{ date: overstay.date, reason: 'overstay', overBy: overstay.overBy }] : []),
+    ...visaProblems.map(problem => ({ date: problem.date, reason: 'visa', message: problem.message }))
+  ];
+  return candidates.sort((a, b) => a.date.localeCompare(b.date))[0] || null;
+}
+
+/**
+ * Days used and remaining on the reference date (today by default), whether
+ * the trips ever break the rule, and if so the first day they do. With a
+ * planned trip, the same for the plan and the longest stay possible from its
+ * entry date. `traveller` is an optional profile of passports, visas and
+ * residence permits; without one the standard 90/180 rule applies.
+ */
+export function calculateCompliance(body) {
+  const error = validateCalculation(body);
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+
+  const profile = normalizeProfile(body.traveller || {});
+  const trips = body.trips.map(pickTrip);
+  const referenceDate = body.referenceDate || today();
+  const status = assessTraveller(trips, profile, referenceDate);
+
+  let history = null;
+  if (!status.unlimited && trips.length > 0) {
+    const counted = countingTrips(trips, profile);
+    const first = trips.reduce((min, trip) => (trip.entryDate < min ? trip.entryDate : min), trips[0].entryDate);
+    const last = trips.reduce((max, trip) => (trip.exitDate > max ? trip.exitDate : max), trips[0].exitDate);
+    history = earliestViolation(counted.length > 0 ? checkCompliance(counted, first, last).firstViolation : null, status.problems);
+  }
+
+  let planned = null;
+  if (body.plannedTrip) {
+    const plannedTrip = pickTrip({ id: 'planned', ...body.plannedTrip }, 0);
+    if (status.unlimited) {
+      planned = { compliant: true, firstViolation: null, maxStayDays: null, latestExitDate: null };
+    } else {
+      const simulation = simulateItinerary(countingTrips(trips, profile), countingTrips([plannedTrip], profile));
+      const firstViolation = earliestViolation(simulation.firstOverstay, checkPlannedVisas(trips, [plannedTrip], profile));
+      const maxStay = maxStayForTraveller(trips, profile, plannedTrip.entryDate);
+      planned = {
+        compliant: !firstViolation,
+        firstViolation,
+        maxStayDays: maxStay.maxDays,
+        latestExitDate: maxStay.latestExitDate
+      };
+    }
+  }
+
+  return {
+    success: true,
+    result: {
+      referenceDate: status.referenceDate,
+      windowStart: status.windowStart,
+      rule: status.rule,
+      daysUsed: status.used,
+      daysRemaining: status.remaining,
+      compliant: !history && (!planned || planned.compliant),
+      firstViolation: [history, planned && planned.firstViolation]
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date))[0] || null,
+      nextRecovery: status.nextRecovery
+        ? { date: status.nextRecovery.recoveryStart, days: status.nextRecovery.days }
+        : null,
+      plannedTrip: planned
+    }
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Schengen Calc - Calendar Feed API
+ * A private iCalendar URL per user that Outlook, Google Calendar and Apple
+ * Calendar can subscribe to. The URL carries a random token, stored only as
+ * a SHA-256 hash, so it is shown once when created; creating a new one
+ * replaces (and disables) the old URL.
+ */
+
+import { buildCalendar } from '../../js/ical.js';
+import { getEntitlements } from './entitlements-api.js';
+import { hashToken, generateToken } from './email-auth-api.js';
+import { tripFromRow } from './trips-api.js';
+
+function feedUrl(env, request, token) {
+  return `${env.APP_BASE_URL || new URL(request.url).origin}/api/calendar/feed/${token}.ics`;
+}
+
+async function hasCalendarExport(env, userId) {
+  const entitlements = await getEntitlements(env, { subject: `user:${userId}`, userId });
+  return entitlements.features.includes('calendar_export');
+}
+
+/**
+ * Whether the user has a feed, without the URL (only its hash is stored)
+ */
+export async function getCalendarFeed(env, userId) {
+  const row = await env.DB.prepare(
+    'SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = ?'
+  ).bind(userId).first();
+
+  return row
+    ? { enabled: true, createdAt: row.created_at, lastAccessedAt: row.last_accessed_at }
+    : { enabled: false, createdAt: null, lastAccessedAt: null };
+}
+
+/**
+ * Create the user's feed URL, replacing any earlier one
+ */
+export async function createCalendarFeed(env, request, userId) {
+  if (!await hasCalendarExport(env, userId)) {
+    return { success: false, status: 402, error: 'Calendar feeds are included with a subscription or free trial' };
+  }
+
+  const token = generateToken();
+  await env.DB.prepare(
+    `INSERT INTO calendar_feeds (user_id, token_hash, created_at)
+     VALUES (?, ?, datetime('now'))
+     ON CONFLICT (user_id) DO UPDATE
+       SET token_hash = excluded.token_hash, created_at = excluded.created_at, last_accessed_at = NULL`
+  ).bind(userId, await hashToken(token)).run();
+
+  return { success: true, url: feedUrl(env, request, token) };
+}
+
+export async function deleteCalendarFeed(env, userId) {
+  await env.DB.prepare('DELETE FROM calendar_feeds WHERE user_id = ?').bind(userId).run();
+}
+
+/**
+ * Calendar text for a feed token: the owner's trips and the dates their
+ * days come back
+ */
+export async function renderCalendarFeed(env, token) {
+  if (!/^[0-9a-f]{64}$/.test(token || '')) {
+    return { success: false, status: 404, error: 'Calendar not found' };
+  }
+
+  const feed = await env.DB.prepare(
+    'SELECT id, user_id FROM calendar_feeds WHERE token_hash = ?'
+  ).bind(await hashToken(token)).first();
+  if (!feed) {
+    return { success: false, status: 404, error: 'Calendar not found' };
+  }
+
+  if (!await hasCalendarExport(env, feed.user_id)) {
+    return { success: false, status: 402, error: 'Calendar feeds are included with a subscription or free trial' };
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM travel_calculations WHERE user_id = ? AND deleted_at IS NULL
+     ORDER BY entry_date`
+  ).bind(feed.user_id).all();
+
+  await env.DB.prepare(
+    "UPDATE calendar_feeds SET last_accessed_at = datetime('now') WHERE id = ?"
+  ).bind(feed.id).run();
+
+  return {
+    success: true,
+    calendar: buildCalendar((results || []).map(tripFromRow), { name: 'Schengen trips (Schengen Calc)' })
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Schengen Calc - Calendar Feed
+ * GET /api/calendar/feed/:token.ics
+ *
+ * The subscribable iCalendar feed. Calendar apps cannot send an
+ * Authorization header, so the secret token in the URL is the credential.
+ */
+
+import { errorResponse } from '../../response-utils.js';
+import { renderCalendarFeed } from '../../calendar-api.js';
+
+export async function onRequestGet({ env, params }) {
+  try {
+    const token = String(params.token || '').replace(/\.ics$/, '');
+    const result = await renderCalendarFeed(env, token);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return new Response(result.calendar, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="schengen-trips.ics"',
+        'Cache-Control': 'private, max-age=900'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Schengen Calc - Calendar Feed Settings Endpoint
+ * GET    /api/calendar/feed - whether the signed-in user has a feed
+ * POST   /api/calendar/feed - create a feed URL (replaces the old one); the URL is only returned here
+ * DELETE /api/calendar/feed - turn the feed off
+ */
+
+import { authenticateRequest } from '../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../response-utils.js';
+import { getCalendarFeed, createCalendarFeed, deleteCalendarFeed } from '../../calendar-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const feed = await getCalendarFeed(env, auth.user.id);
+
+    return jsonResponse({ success: true, feed });
+
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const result = await createCalendarFeed(env, request, auth.user.id);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, url: result.url }, 201, { 'Cache-Control': 'no-store' });
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestDelete({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    await deleteCalendarFeed(env, auth.user.id);
+
+    return jsonResponse({ success: true, message: 'Calendar feed turned off' });
+
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST, DELETE');
+}
@@ -1,47 +1,180 @@
 /**
- * Schengen Calc - Create Subscription API Endpoint (Simplified)
- * POST /api/create-subscription
+ * Schengen Calc - Create Subscription API Endpoint
+ * GET  /api/create-subscription - public settings the checkout page needs
+ * POST /api/create-subscription - start a subscription with a card token
  */
 
+import { authenticateRequest } from './auth-api.js';
+import {
+  SUBSCRIPTION_PLANS,
+  getPlanVariationId,
+  planVariationSetting,
+  createSquareCustomer,
+  createCardOnFile,
+  createSubscription,
+  getLocationId,
+  getSquareEnvironment,
+  recordSubscription
+} from './square-subscription-api.js';
+import { getPlanCatalog } from './plans-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from './response-utils.js';
+
+// Statuses that mean the user already has a subscription to manage instead
+const OPEN_STATUSES = ['ACTIVE', 'PENDING', 'PAUSED'];
+
+const WEB_SDK_URLS = {
+  production: 'https://web.squarecdn.com/v1/square.js',
+  sandbox: 'https://sandbox.web.squarecdn.com/v1/square.js'
+};
+
+/**
+ * Hex SHA-256, used to derive idempotency keys from card tokens
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const environment = getSquareEnvironment(env);
+    const { plans } = await getPlanCatalog(env);
+
+    return jsonResponse({
+      success: true,
+      applicationId: env.SQUARE_APPLICATION_ID,
+      locationId: await getLocationId(env),
+      environment,
+      sdkUrl: env.SQUARE_WEB_SDK_URL || WEB_SDK_URLS[environment],
+      plans
+    });
+
+  } catch (error) {
+    console.error('Error loading checkout settings:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
 export async function onRequestPost({ request, env, params }) {
   try {
-    const requestData = await request.json();
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse('Please sign in to start a subscription', 401);
+    }
+    
+    // Unverified accounts can use the calculator but not start a subscription
+    if (!auth.user.emailVerified) {
+      return errorResponse('Please verify your email address before starting a subscription', 403);
+    }
     
-    // Basic validation
-    const requiredFields = ['email', 'firstName', 'lastName', 'planType'];
-    const missing = requiredFields.filter(field => !requestData[field]);
+    const requestData = await request.json();
+    const { sourceId, planType, verificationToken } = requestData;
     
-    if (missing.length > 0) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: `Missing required fields: ${missing.join(', ')}`
-      }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
+    if (!sourceId || !planType) {
+      return errorResponse('Missing required fields: sourceId, planType', 400);
+    }
+
+    if (!SUBSCRIPTION_PLANS[planType]) {
+      return errorResponse(`planType must be one of: ${Object.keys(SUBSCRIPTION_PLANS).join(', ')}`, 400);
+    }
+
+    const planVariationId = getPlanVariationId(env, planType);
+    if (!planVariationId) {
+      console.error(`No Square plan variation for ${planType}; set ${planVariationSetting(planType)}`);
+      return errorResponse(`The ${SUBSCRIPTION_PLANS[planType].name} plan is not available yet`, 503);
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, first_name, last_name, square_customer_id FROM users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    const openSubscription = await env.DB.prepare(
+      `SELECT plan_type, status FROM subscriptions
+       WHERE user_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`
+    ).bind(user.id, ...OPEN_STATUSES).first();
+
+    if (openSubscription) {
+      return errorResponse('You already have a subscription. Manage it from your account page.', 409, {
+        subscription: { planType: openSubscription.plan_type, status: openSubscription.status }
       });
     }
-    
-    // For now, just return success response
-    // We'll add Square integration after basic deployment works
-    return new Response(JSON.stringify({
+
+    // 1. Square customer, created once per user
+    let customerId = user.square_customer_id;
+    if (!customerId) {
+      const customerResult = await createSquareCustomer(env, {
+        idempotencyKey: `customer-${user.id}`,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        email: user.email,
+        userId: String(user.id)
+      });
+      if (!customerResult.success) {
+        return errorResponse(customerResult.error, 502);
+      }
+
+      customerId = customerResult.customer.id;
+      await env.DB.prepare(
+        "UPDATE users SET square_customer_id = ?, updated_at = datetime('now') WHERE id = ?"
+      ).bind(customerId, user.id).run();
+    }
+
+    const locationId = await getLocationId(env);
+    if (!locationId) {
+      return errorResponse('Payments are not available right now', 503);
+    }
+
+    // 2. Card on file. Card tokens are single use, so the token itself keys a retry.
+    const cardResult = await createCardOnFile(env, {
+      idempotencyKey: `card-${user.id}-${(await sha256Hex(sourceId)).slice(0, 32)}`,
+      sourceId,
+      verificationToken,
+      customerId,
+      cardholderName: requestData.cardholderName || `${user.first_name} ${user.last_name}`.trim(),
+      userId: user.id
+    });
+    if (!cardResult.success) {
+      return errorResponse(cardResult.error, 402);
+    }
+
+    // 3. Subscription. The key covers the user, the plan and how many
+    // subscriptions they have had, so a double submit creates one subscription
+    // while a later re-subscribe still gets a fresh one.
+    const history = await env.DB.prepare(
+      'SELECT COUNT(*) AS total FROM subscriptions WHERE user_id = ?'
+    ).bind(user.id).first();
+
+    const subscriptionResult = await createSubscription(env, {
+      idempotencyKey: `sub-${user.id}-${planType}-${history?.total || 0}`,
+      locationId,
+      planVariationId,
+      customerId,
+      cardId: cardResult.card.id
+    });
+    if (!subscriptionResult.success) {
+      return errorResponse(subscriptionResult.error, 402);
+    }
+
+    const subscription = subscriptionResult.subscription;
+    await recordSubscription(env, user.id, planType, subscription);
+
+    return jsonResponse({
       success: true,
-      message: 'Subscription endpoint working',
-      data: requestData
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+      message: 'Subscription started',
+      subscription: {
+        id: subscription.id,
+        planType,
+        status: subscription.status || 'PENDING',
+        startDate: subscription.startDate || null
       }
     });
     
   } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    console.error('Error creating subscription:', error);
+    return errorResponse('Internal server error', 500);
   }
 }
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
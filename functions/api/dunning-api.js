@@ -0,0 +1,239 @@
+/**
+ * Schengen Calc - Dunning API
+ * Chases failed subscription renewals. invoice.payment_failed opens a case
+ * with a grace period, the scheduled dunning worker sends reminders and
+ * removes access once the grace period is over, and invoice.payment_made
+ * closes the case and restores access.
+ *
+ * Settings:
+ *   DUNNING_GRACE_DAYS    - days of access kept after the first failure (default 7)
+ *   DUNNING_REMINDER_DAYS - days after the first failure to send reminders (default 0,3,6)
+ */
+
+import { sendMail } from './mail-transport.js';
+import { escapeHtml } from './response-utils.js';
+
+const DEFAULT_GRACE_DAYS = 7;
+const DEFAULT_REMINDER_DAYS = [0, 3, 6];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getDunningSettings(env) {
+  const graceDays = parseInt(env.DUNNING_GRACE_DAYS, 10);
+  const reminderDays = env.DUNNING_REMINDER_DAYS
+    ? String(env.DUNNING_REMINDER_DAYS).split(',').map(day => parseInt(day, 10)).filter(day => day >= 0)
+    : DEFAULT_REMINDER_DAYS;
+
+  return {
+    graceDays: graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS,
+    reminderDays: reminderDays.sort((a, b) => a - b)
+  };
+}
+
+// D1 stores times as SQLite datetime text in UTC
+function toSqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSqlDateTime(text) {
+  return new Date(`${text.replace(' ', 'T')}Z`);
+}
+
+function formatMoney(pence, currency = 'GBP') {
+  return currency === 'GBP' ? `£${(pence / 100).toFixed(2)}` : `${currency} ${(pence / 100).toFixed(2)}`;
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function accountUrl(env) {
+  return `${env.APP_BASE_URL || 'https://shengencalc.com'}/account/`;
+}
+
+/**
+ * Keep users.subscription_active in line with the user's subscriptions. A
+ * subscription whose dunning case has been downgraded does not count.
+ */
+export async function refreshUserSubscriptionFlag(env, userId) {
+  await env.DB.prepare(
+    `UPDATE users SET subscription_active = EXISTS (
+       SELECT 1 FROM subscriptions s
+       WHERE s.user_id = ? AND s.status = 'ACTIVE'
+         AND NOT EXISTS (
+           SELECT 1 FROM dunning_cases d
+           WHERE d.subscription_id = s.square_subscription_id AND d.status = 'downgraded'
+         )
+     ), updated_at = datetime('now')
+     WHERE id = ?`
+  ).bind(userId, userId).run();
+}
+
+/**
+ * Open a case for a failed renewal, or count another failure on the case
+ * that is already open. The grace period runs from the first failure.
+ */
+export async function openDunningCase(env, userId, invoice) {
+  if (!invoice.subscription_id) {
+    return null;
+  }
+
+  const { graceDays } = getDunningSettings(env);
+  const request = invoice.payment_requests?.[0] || {};
+  const money = request.computed_amount_money || {};
+
+  return await env.DB.prepare(
+    `INSERT INTO dunning_cases
+       (user_id, subscription_id, square_invoice_id, invoice_url, amount, currency, failed_at, grace_ends_at)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now', ?))
+     ON CONFLICT (subscription_id) WHERE status IN ('open', 'downgraded') DO UPDATE SET
+       failure_count = failure_count + 1,
+       square_invoice_id = excluded.square_invoice_id,
+       invoice_url = COALESCE(excluded.invoice_url, invoice_url),
+       amount = excluded.amount
+     RETURNING *`
+  ).bind(
+    userId,
+    invoice.subscription_id,
+    invoice.id,
+    invoice.public_url || null,
+    money.amount || 0,
+    money.currency || 'GBP',
+    `+${graceDays} days`
+  ).first();
+}
+
+/**
+ * Close any unresolved case for a subscription after a successful payment.
+ * Users who had already lost access are told it is back.
+ */
+export async function resolveDunningCases(env, user, subscriptionId) {
+  if (!subscriptionId) {
+    return;
+  }
+
+  const { results } = await env.DB.prepare(
+    `UPDATE dunning_cases SET status = 'recovered', resolved_at = datetime('now')
+     WHERE subscription_id = ? AND status IN ('open', 'downgraded')
+     RETURNING id, downgraded_at`
+  ).bind(subscriptionId).all();
+
+  await refreshUserSubscriptionFlag(env, user.id);
+
+  if ((results || []).some(dunningCase => dunningCase.downgraded_at)) {
+    await sendMail(env, {
+      to: user.email,
+      subject: 'Your Schengen Calc subscription is active again',
+      text: `Hi ${user.first_name || ''},\n\nThanks, your payment has gone through and your subscription features are available again.\n\nSchengen Calc`,
+      html: `<p>Hi ${escapeHtml(user.first_name)},</p><p>Thanks, your payment has gone through and your subscription features are available again.</p>`
+    });
+  }
+}
+
+async function sendReminder(env, dunningCase, graceEndsAt) {
+  const payUrl = dunningCase.invoice_url || accountUrl(env);
+  const amount = formatMoney(dunningCase.amount, dunningCase.currency);
+
+  return await sendMail(env, {
+    to: dunningCase.email,
+    subject: 'Action needed: your Schengen Calc payment failed',
+    text: `Hi ${dunningCase.first_name || ''},\n\nWe couldn't take your subscription payment of ${amount}. Please pay it or update your card by ${formatDate(graceEndsAt)} to keep your subscription features:\n${payUrl}\n\nSchengen Calc`,
+    html: `<p>Hi ${escapeHtml(dunningCase.first_name)},</p><p>We couldn't take your subscription payment of ${amount}. Please pay it or update your card by ${formatDate(graceEndsAt)} to keep your subscription features.</p><p><a href="${escapeHtml(payUrl)}">Pay now</a></p>`
+  });
+}
+
+async function sendDowngradeNotice(env, dunningCase) {
+  const payUrl = dunningCase.invoice_url || accountUrl(env);
+
+  return await sendMail(env, {
+    to: dunningCase.email,
+    subject: 'Your Schengen Calc subscription features are paused',
+    text: `Hi ${dunningCase.first_name || ''},\n\nYour subscription payment is still outstanding, so your account is back on the free plan. Your trips are safe. Pay the outstanding amount to get your features back straight away:\n${payUrl}\n\nSchengen Calc`,
+    html: `<p>Hi ${escapeHtml(dunningCase.first_name)},</p><p>Your subscription payment is still outstanding, so your account is back on the free plan. Your trips are safe.</p><p><a href="${escapeHtml(payUrl)}">Pay now to get your features back</a></p>`
+  });
+}
+
+/**
+ * One pass of the dunning schedule: send reminders that have come due and
+ * downgrade cases whose grace period has ended. Called by the scheduled
+ * worker; `now` can be moved for local testing.
+ */
+export async function runDunning(env, now = new Date()) {
+  const { reminderDays } = getDunningSettings(env);
+  const summary = { checked: 0, reminders: 0, downgraded: 0, errors: 0 };
+
+  const { results } = await env.DB.prepare(
+    `SELECT d.*, u.email, u.first_name
+     FROM dunning_cases d
+     JOIN users u ON u.id = d.user_id
+     WHERE d.status = 'open'
+     ORDER BY d.failed_at ASC`
+  ).all();
+
+  for (const dunningCase of results || []) {
+    summary.checked++;
+
+    try {
+      const failedAt = fromSqlDateTime(dunningCase.failed_at);
+      const graceEndsAt = fromSqlDateTime(dunningCase.grace_ends_at);
+
+      if (graceEndsAt <= now) {
+        // The status check stops a payment that has just arrived being undone
+        const downgraded = await env.DB.prepare(
+          `UPDATE dunning_cases SET status = 'downgraded', downgraded_at = ?
+           WHERE id = ? AND status = 'open'
+           RETURNING id`
+        ).bind(toSqlDateTime(now), dunningCase.id).first();
+
+        if (downgraded) {
+          await refreshUserSubscriptionFlag(env, dunningCase.user_id);
+          await sendDowngradeNotice(env, dunningCase);
+          summary.downgraded++;
+        }
+        continue;
+      }
+
+      // Only the latest reminder due is sent if the worker missed a run
+      const due = reminderDays.filter(day => failedAt.getTime() + day * DAY_MS <= now.getTime()).length;
+      if (due > dunningCase.reminders_sent) {
+        const sent = await sendReminder(env, dunningCase, graceEndsAt);
+        if (sent.success) {
+          await env.DB.prepare(
+            'UPDATE dunning_cases SET reminders_sent = ?, last_reminder_at = ? WHERE id = ?'
+          ).bind(due, toSqlDateTime(now), dunningCase.id).run();
+          summary.reminders++;
+        } else {
+          summary.errors++;
+        }
+      }
+    } catch (error) {
+      console.error(`Error processing dunning case ${dunningCase.id}:`, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * The user's unresolved payment problem, for the account page
+ */
+export async function getPaymentIssue(env, subscriptionId) {
+  const dunningCase = await env.DB.prepare(
+    `SELECT status, amount, currency, invoice_url, failed_at, grace_ends_at
+     FROM dunning_cases WHERE subscription_id = ? AND status IN ('open', 'downgraded')`
+  ).bind(subscriptionId).first();
+
+  if (!dunningCase) {
+    return null;
+  }
+
+  return {
+    status: dunningCase.status,
+    amount: dunningCase.amount,
+    currency: dunningCase.currency,
+    payUrl: dunningCase.invoice_url,
+    failedAt: dunningCase.failed_at,
+    graceEndsAt: dunningCase.grace_ends_at
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Schengen Calc - Email Verification and Password Reset API
+ * Single-use, expiring tokens that are only ever stored as SHA-256 hashes
+ */
+
+import bcrypt from 'bcryptjs';
+import { authenticateRequest } from './auth-api.js';
+import { sendMail } from './mail-transport.js';
+import { jsonResponse, errorResponse, escapeHtml } from './response-utils.js';
+
+export const EMAIL_VERIFICATION_TTL_HOURS = 48;
+export const PASSWORD_RESET_TTL_HOURS = 1;
+
+/**
+ * Hex SHA-256 of a token; only the hash is written to D1
+ */
+export async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Random 256-bit token as hex, for links sent by email or shown once
+ */
+export function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function getBaseUrl(env, request) {
+  return env.APP_BASE_URL || new URL(request.url).origin;
+}
+
+/**
+ * Issue a new token, invalidating any unused token of the same purpose
+ */
+async function issueAuthToken(env, userId, purpose, ttlHours) {
+  const token = generateToken();
+  const tokenHash = await hashToken(token);
+
+  await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE auth_tokens SET used_at = datetime('now')
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL`
+    ).bind(userId, purpose),
+    env.DB.prepare(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, datetime('now', ?), datetime('now'))`
+    ).bind(userId, purpose, tokenHash, `+${ttlHours} hours`)
+  ]);
+
+  return token;
+}
+
+/**
+ * Mark a token as used and return its user ID, or null when the token is
+ * unknown, expired or already used. The single UPDATE makes reuse impossible
+ * even for concurrent requests.
+ */
+async function consumeAuthToken(env, token, purpose) {
+  const tokenHash = await hashToken(token);
+
+  const row = await env.DB.prepare(
+    `UPDATE auth_tokens SET used_at = datetime('now')
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > datetime('now')
+     RETURNING user_id`
+  ).bind(tokenHash, purpose).first();
+
+  return row ? row.user_id : null;
+}
+
+/**
+ * Send the verification link to a newly registered (or re-requesting) user
+ */
+export async function sendVerificationEmail(env, request, user) {
+  const token = await issueAuthToken(env, user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS);
+  const link = `${getBaseUrl(env, request)}/account/verify-email.html?token=${token}`;
+
+  return await sendMail(env, {
+    to: user.email,
+    subject: 'Confirm your Schengen Calc email address',
+    text: `Hi ${user.first_name || ''},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\nSchengen Calc`,
+    html: `<p>Hi ${escapeHtml(user.first_name || '')},</p><p>Please confirm your email address:</p><p><a href="${link}">Confirm email address</a></p><p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`
+  });
+}
+
+/**
+ * Confirm an email address
+ * POST /api/auth/verify-email
+ */
+export async function handleEmailVerification(request, env) {
+  try {
+    const { token } = await request.json();
+
+    if (!token) {
+      return errorResponse('token is required', 400);
+    }
+
+    const userId = await consumeAuthToken(env, token, 'email_verification');
+    if (!userId) {
+      return errorResponse('This link is invalid or has expired', 400);
+    }
+
+    await env.DB.prepare(
+      "UPDATE users SET email_verified = true, updated_at = datetime('now') WHERE id = ?"
+    ).bind(userId).run();
+
+    return jsonResponse({ success: true, message: 'Email address verified' });
+
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Send a new verification link to the signed-in user
+ * POST /api/auth/resend-verification
+ */
+export async function handleResendVerification(request, env) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    if (auth.user.emailVerified) {
+      return jsonResponse({ success: true, message: 'Email address is already verified' });
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, first_name FROM users WHERE id = ?'
+    ).bind(auth.user.id).first();
+
+    const result = await sendVerificationEmail(env, request, user);
+    if (!result.success) {
+      return errorResponse('Could not send the verification email', 502);
+    }
+
+    return jsonResponse({ success: true, message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Email a password reset link. Always answers the same way so the endpoint
+ * cannot be used to find out which addresses have accounts.
+ * POST /api/auth/forgot-password
+ */
+export async function handlePasswordResetRequest(request, env) {
+  try {
+    const { email } = await request.json();
+
+    if (!email) {
+      return errorResponse('email is required', 400);
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, first_name FROM users WHERE email = ?'
+    ).bind(String(email).toLowerCase()).first();
+
+    if (user) {
+      const token = await issueAuthToken(env, user.id, 'password_reset', PASSWORD_RESET_TTL_HOURS);
+      const link = `${getBaseUrl(env, request)}/account/reset-password.html?token=${token}`;
+
+      await sendMail(env, {
+        to: user.email,
+        subject: 'Reset your Schengen Calc password',
+        text: `Hi ${user.first_name || ''},\n\nSomeone asked to reset the password for this account. To choose a new password, open:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_HOURS} hour. If this wasn't you, you can ignore this email.\n\nSchengen Calc`,
+        html: `<p>Hi ${escapeHtml(user.first_name || '')},</p><p>Someone asked to reset the password for this account.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in ${PASSWORD_RESET_TTL_HOURS} hour. If this wasn't you, you can ignore this email.</p>`
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+/**
+ * Set a new password with a reset token. Signs the user out everywhere.
+ * POST /api/auth/reset-password
+ */
+export async function handlePasswordReset(request, env) {
+  try {
+    const { token, password } = await request.json();
+
+    if (!token || !password) {
+      return errorResponse('token and password are required', 400);
+    }
+
+    if (password.length < 8) {
+      return errorResponse('Password must be at least 8 characters long', 400);
+    }
+
+    const userId = await consumeAuthToken(env, token, 'password_reset');
+    if (!userId) {
+      return errorResponse('This link is invalid or has expired', 400);
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    // The reset link proved the address, so it counts as verified too
+    await env.DB.batch([
+      env.DB.prepare(
+        "UPDATE users SET password_hash = ?, email_verified = true, updated_at = datetime('now') WHERE id = ?"
+      ).bind(passwordHash, userId),
+      env.DB.prepare('DELETE FROM user_sessions WHERE user_id = ?').bind(userId)
+    ]);
+
+    return jsonResponse({ success: true, message: 'Password updated. Please sign in again.' });
+
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
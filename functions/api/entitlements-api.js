@@ -0,0 +1,186 @@
+/**
+ * Schengen Calc - Entitlements API
+ * Decides from D1 what the calculator may do: plan, trial window and the
+ * free calculation allowance. The calculator only displays and follows this.
+ */
+
+import { authenticateRequest, getJwtSecret } from './auth-api.js';
+import { hashToken } from './email-auth-api.js';
+
+export const FREE_CALCULATIONS = 3;
+export const TRIAL_DAYS = 14;
+
+// Overrides an admin can apply to their own account to test other states
+export const ADMIN_OVERRIDES = ['free', 'trial'];
+
+const PLAN_FEATURES = {
+  free: [],
+  trial: ['unlimited_calculations', 'calendar_export', 'reports'],
+  pro: ['unlimited_calculations', 'calendar_export', 'reports'],
+  business: ['unlimited_calculations', 'calendar_export', 'reports', 'team', 'api', 'alerts'],
+  admin: ['unlimited_calculations', 'calendar_export', 'reports', 'team', 'api', 'alerts']
+};
+
+/**
+ * Work out who is asking. Signed-in users are counted per account, visitors
+ * per (hashed) IP address so that clearing browser storage does not reset
+ * the allowance. A bad or expired token is an error rather than a visitor,
+ * so the calculator knows to refresh it.
+ */
+export async function resolveSubject(request, env) {
+  if (request.headers.get('Authorization')) {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return auth;
+    }
+    return { success: true, subject: `user:${auth.user.id}`, userId: auth.user.id };
+  }
+
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const ipHash = await hashToken(`${getJwtSecret(env)}:${ip}`);
+  return { success: true, subject: `visitor:${ipHash}`, userId: null };
+}
+
+async function getUsedCalculations(env, subject) {
+  const row = await env.DB.prepare(
+    'SELECT calculations FROM usage_counters WHERE subject = ?'
+  ).bind(subject).first();
+  return row?.calculations || 0;
+}
+
+function daysUntil(isoDateTime) {
+  const ms = new Date(`${isoDateTime.replace(' ', 'T')}Z`).getTime() - Date.now();
+  return Math.max(0, Math.ceil(ms / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Entitlements for a resolved subject
+ */
+export async function getEntitlements(env, { subject, userId }) {
+  let user = null;
+  let subscription = null;
+  let organization = null;
+
+  if (userId) {
+    user = await env.DB.prepare(
+      `SELECT id, is_admin, trial_ends_at, entitlement_override,
+              trial_ends_at > datetime('now') AS trial_active
+       FROM users WHERE id = ?`
+    ).bind(userId).first();
+
+    // subscription_active is cleared when a failed renewal runs out of grace
+    subscription = await env.DB.prepare(
+      `SELECT s.plan_type, s.status FROM subscriptions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.user_id = ? AND s.status = 'ACTIVE' AND u.subscription_active
+       ORDER BY s.created_at DESC LIMIT 1`
+    ).bind(userId).first();
+
+    // Members of an organization are covered by its owner's Business subscription
+    if (!subscription) {
+      organization = await env.DB.prepare(
+        `SELECT o.id, o.name, s.plan_type, s.status FROM organization_members m
+         JOIN organizations o ON o.id = m.organization_id
+         JOIN users owner ON owner.id = o.owner_user_id AND owner.subscription_active
+         JOIN subscriptions s ON s.user_id = o.owner_user_id AND s.status = 'ACTIVE'
+         WHERE m.user_id = ? AND s.plan_type LIKE 'business-%'
+         ORDER BY o.id LIMIT 1`
+      ).bind(userId).first();
+    }
+  }
+
+  const isAdmin = Boolean(user?.is_admin);
+  const override = isAdmin ? user.entitlement_override || null : null;
+
+  let plan = 'free';
+  let trial = null;
+
+  if (isAdmin && !override) {
+    plan = 'admin';
+  } else if (subscription && !override) {
+    plan = subscription.plan_type.split('-')[0];
+  } else if (organization && !override) {
+    plan = 'business';
+  } else if (override === 'trial' || (!override && user?.trial_active)) {
+    plan = 'trial';
+    trial = {
+      endsAt: override ? null : user.trial_ends_at,
+      daysLeft: override ? TRIAL_DAYS : daysUntil(user.trial_ends_at)
+    };
+  }
+
+  const unlimited = plan !== 'free';
+  let usage = null;
+  if (!unlimited) {
+    const used = await getUsedCalculations(env, subject);
+    usage = {
+      used,
+      limit: FREE_CALCULATIONS,
+      remaining: Math.max(0, FREE_CALCULATIONS - used)
+    };
+  }
+
+  return {
+    plan,
+    status: plan === 'free' || plan === 'trial' ? plan : 'subscribed',
+    subscription: subscription ? { planType: subscription.plan_type, status: subscription.status } : null,
+    sponsoredBy: organization && !override ? { organizationId: organization.id, name: organization.name } : null,
+    trial,
+    usage,
+    unlimited,
+    features: PLAN_FEATURES[plan],
+    isAdmin,
+    override
+  };
+}
+
+/**
+ * Use one calculation. Unlimited plans always succeed; free users are
+ * counted atomically so parallel requests cannot go over the allowance.
+ */
+export async function consumeCalculation(env, resolved) {
+  const entitlements = await getEntitlements(env, resolved);
+  if (entitlements.unlimited) {
+    return { allowed: true, entitlements };
+  }
+
+  const row = await env.DB.prepare(
+    `INSERT INTO usage_counters (subject, calculations, updated_at)
+     VALUES (?, 1, datetime('now'))
+     ON CONFLICT (subject) DO UPDATE
+       SET calculations = calculations + 1, updated_at = datetime('now')
+       WHERE calculations < ?
+     RETURNING calculations`
+  ).bind(resolved.subject, FREE_CALCULATIONS).first();
+
+  return {
+    allowed: Boolean(row),
+    entitlements: await getEntitlements(env, resolved)
+  };
+}
+
+/**
+ * Admin-only testing controls for the admin's own account
+ */
+export async function applyAdminOverride(env, userId, { override = null, resetUsage = false }) {
+  if (override !== null && !ADMIN_OVERRIDES.includes(override)) {
+    return { success: false, status: 400, error: `override must be null or one of: ${ADMIN_OVERRIDES.join(', ')}` };
+  }
+
+  const user = await env.DB.prepare('SELECT is_admin FROM users WHERE id = ?').bind(userId).first();
+  if (!user?.is_admin) {
+    return { success: false, status: 403, error: 'Developer overrides are only available to admins' };
+  }
+
+  const statements = [
+    env.DB.prepare(
+      "UPDATE users SET entitlement_override = ?, updated_at = datetime('now') WHERE id = ?"
+    ).bind(override, userId)
+  ];
+  if (resetUsage) {
+    statements.push(env.DB.prepare('DELETE FROM usage_counters WHERE subject = ?').bind(`user:${userId}`));
+  }
+  await env.DB.batch(statements);
+
+  return { success: true };
+}
@@ -0,0 +1,30 @@
+/**
+ * Schengen Calc - Entitlements Endpoint
+ * GET /api/entitlements
+ *
+ * Works with or without a Bearer token; visitors get the free allowance.
+ */
+
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { resolveSubject, getEntitlements } from '../entitlements-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const resolved = await resolveSubject(request, env);
+    if (!resolved.success) {
+      return errorResponse(resolved.error, resolved.status || 401);
+    }
+
+    const entitlements = await getEntitlements(env, resolved);
+
+    return jsonResponse({ success: true, ...entitlements }, 200, { 'Cache-Control': 'no-store' });
+
+  } catch (error) {
+    console.error('Error loading entitlements:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
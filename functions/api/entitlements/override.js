@@ -0,0 +1,41 @@
+/**
+ * Schengen Calc - Admin Entitlement Override Endpoint
+ * PUT /api/entitlements/override
+ *
+ * Body: { override: null | 'free' | 'trial', resetUsage: boolean }
+ * Lets an admin see the calculator as a free or trial user. Admin only.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { applyAdminOverride, getEntitlements } from '../entitlements-api.js';
+
+export async function onRequestPut({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const body = await request.json();
+    const result = await applyAdminOverride(env, auth.user.id, {
+      override: body.override ?? null,
+      resetUsage: Boolean(body.resetUsage)
+    });
+
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    const entitlements = await getEntitlements(env, { subject: `user:${auth.user.id}`, userId: auth.user.id });
+    return jsonResponse({ success: true, ...entitlements });
+
+  } catch (error) {
+    console.error('Error applying entitlement override:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('PUT');
+}
@@ -0,0 +1,35 @@
+/**
+ * Schengen Calc - Calculation Usage Endpoint
+ * POST /api/entitlements/usage
+ *
+ * Uses one calculation before the calculator changes trips. Answers 402 with
+ * the current entitlements once the free allowance is spent.
+ */
+
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { resolveSubject, consumeCalculation } from '../entitlements-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const resolved = await resolveSubject(request, env);
+    if (!resolved.success) {
+      return errorResponse(resolved.error, resolved.status || 401);
+    }
+
+    const { allowed, entitlements } = await consumeCalculation(env, resolved);
+
+    if (!allowed) {
+      return errorResponse('You have used all of your free calculations', 402, entitlements);
+    }
+
+    return jsonResponse({ success: true, ...entitlements });
+
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
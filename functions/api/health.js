@@ -0,0 +1,96 @@
+/**
+ * Schengen Calc - Health Check Endpoint
+ * GET /api/health
+ *
+ * Database connectivity and schema version, for monitoring. Needs either
+ * `Authorization: Bearer <HEALTH_CHECK_TOKEN>` or an admin account. Returns
+ * 503 when the database is unreachable or behind the code's SCHEMA_VERSION.
+ */
+
+import { authenticateRequest } from './auth-api.js';
+import { hashToken } from './email-auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from './response-utils.js';
+import { SCHEMA_VERSION } from './schema-version.js';
+
+/**
+ * Monitoring token or admin session
+ */
+async function authorizeHealthCheck(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  // Compare hashes so the comparison time says nothing about the token
+  if (token && env.HEALTH_CHECK_TOKEN && await hashToken(token) === await hashToken(env.HEALTH_CHECK_TOKEN)) {
+    return { success: true };
+  }
+
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { success: false, status: auth.status || 401, error: auth.error };
+  }
+  if (!auth.user.isAdmin) {
+    return { success: false, status: 403, error: 'Only admins can view the health check' };
+  }
+  return { success: true };
+}
+
+async function checkDatabase(env) {
+  const started = Date.now();
+
+  try {
+    await env.DB.prepare('SELECT 1').first();
+    const latencyMs = Date.now() - started;
+
+    let version = 0;
+    try {
+      const row = await env.DB.prepare('SELECT MAX(version) AS version FROM schema_migrations').first();
+      version = row?.version || 0;
+    } catch (error) {
+      // No schema_migrations table: migrations have never been run
+    }
+
+    return {
+      connected: true,
+      latencyMs,
+      version,
+      expectedVersion: SCHEMA_VERSION,
+      upToDate: version >= SCHEMA_VERSION
+    };
+  } catch (error) {
+    console.error('Health check could not reach the database:', error);
+    return {
+      connected: false,
+      latencyMs: Date.now() - started,
+      version: null,
+      expectedVersion: SCHEMA_VERSION,
+      upToDate: false
+    };
+  }
+}
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const authorized = await authorizeHealthCheck(request, env);
+    if (!authorized.success) {
+      return errorResponse(authorized.error, authorized.status);
+    }
+
+    const database = await checkDatabase(env);
+    const status = !database.connected ? 'error' : database.upToDate ? 'ok' : 'degraded';
+
+    return jsonResponse({
+      success: status === 'ok',
+      status,
+      database,
+      timestamp: new Date().toISOString()
+    }, status === 'ok' ? 200 : 503, { 'Cache-Control': 'no-store' });
+
+  } catch (error) {
+    console.error('Error running health check:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
@@ -0,0 +1,88 @@
+/**
+ * Schengen Calc - Mail Transport
+ * Pluggable email delivery. Choose the transport with MAIL_TRANSPORT:
+ *   console      - logs messages instead of sending them (for local development)
+ *   mailchannels - sends through the MailChannels API
+ *
+ * There is no default, so a deployment without MAIL_TRANSPORT fails to send
+ * instead of quietly logging verification and reset links.
+ *
+ * A transport is an object with `async send({ to, subject, text, html, headers? })`
+ * that returns { success, id?, error? }. `headers` holds extra message
+ * headers such as List-Unsubscribe.
+ */
+
+const transports = {
+  console: () => ({
+    name: 'console',
+    async send(message) {
+      console.log(`📧 [mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      return { success: true, id: `console-${Date.now()}` };
+    }
+  }),
+
+  mailchannels: (env) => ({
+    name: 'mailchannels',
+    async send(message) {
+      const response = await fetch(env.MAILCHANNELS_API_URL || 'https://api.mailchannels.net/tx/v1/send', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(env.MAILCHANNELS_API_KEY ? { 'X-Api-Key': env.MAILCHANNELS_API_KEY } : {})
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: message.to }] }],
+          from: { email: env.MAIL_FROM || 'no-reply@shengencalc.com', name: 'Schengen Calc' },
+          subject: message.subject,
+          ...(message.headers ? { headers: message.headers } : {}),
+          content: [
+            { type: 'text/plain', value: message.text },
+            ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        return { success: false, error: `MailChannels error: ${response.status} ${response.statusText}` };
+      }
+      return { success: true };
+    }
+  })
+};
+
+/**
+ * Add or replace a transport, e.g. for tests or another provider
+ */
+export function registerMailTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * Transport configured for this environment
+ */
+export function getMailTransport(env) {
+  const name = env.MAIL_TRANSPORT;
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not set (use mailchannels, or console for local development)');
+  }
+
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+
+  return factory(env);
+}
+
+/**
+ * Send a message, never throwing: failures are logged and returned
+ */
+export async function sendMail(env, message) {
+  try {
+    return await getMailTransport(env).send(message);
+  } catch (error) {
+    console.error('Error sending mail:', error);
+    return { success: false, error: error.message };
+  }
+}
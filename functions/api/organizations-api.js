@@ -0,0 +1,451 @@
+/**
+ * Schengen Calc - Organizations API
+ * Business accounts: an owner with a Business subscription creates an
+ * organization, invites employees by email and follows everyone's 90/180
+ * status on one dashboard. Employees keep their trips in their own account;
+ * owners and admins can view and edit them.
+ *
+ * Roles:
+ *   owner  - created the organization and pays for it; manages roles
+ *   admin  - invites and removes members, manages member trips
+ *   member - appears on the dashboard
+ */
+
+import { compareRisk, isValidDate, today } from '../../js/schengen-rules.js';
+import { assessTravellerRisk, normalizeProfile } from '../../js/traveller-rules.js';
+import { getEntitlements } from './entitlements-api.js';
+import { hashToken, generateToken } from './email-auth-api.js';
+import { sendMail } from './mail-transport.js';
+import { tripFromRow } from './trips-api.js';
+import { getMemberProfiles } from './traveller-api.js';
+import { escapeHtml } from './response-utils.js';
+
+export const ROLES = ['owner', 'admin', 'member'];
+export const INVITABLE_ROLES = ['admin', 'member'];
+export const INVITATION_TTL_DAYS = 7;
+
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function memberFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+    email: row.email,
+    role: row.role,
+    joinedAt: row.created_at
+  };
+}
+
+function invitationFromRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Whether the owner's own plan still pays for the organization
+ */
+export async function ownerHasBusinessPlan(env, ownerUserId) {
+  const entitlements = await getEntitlements(env, { subject: `user:${ownerUserId}`, userId: ownerUserId });
+  return entitlements.features.includes('team') && !entitlements.sponsoredBy;
+}
+
+/**
+ * The user's membership of an organization, checked against the roles
+ * allowed. Organizations the user is not in are reported as not found.
+ */
+export async function requireRole(env, organizationId, userId, roles = ROLES) {
+  const membership = await env.DB.prepare(
+    `SELECT m.id AS member_id, m.role, o.id, o.name, o.owner_user_id, o.created_at
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.organization_id = ? AND m.user_id = ?`
+  ).bind(organizationId, userId).first();
+
+  if (!membership) {
+    return { success: false, status: 404, error: 'Organization not found' };
+  }
+
+  if (!roles.includes(membership.role)) {
+    return { success: false, status: 403, error: `Only ${roles.join(' or ')}s can do this` };
+  }
+
+  return {
+    success: true,
+    membership: {
+      organizationId: membership.id,
+      name: membership.name,
+      ownerUserId: membership.owner_user_id,
+      memberId: membership.member_id,
+      userId,
+      role: membership.role
+    }
+  };
+}
+
+/**
+ * A member of the organization by member ID
+ */
+export async function getMemberRow(env, organizationId, memberId) {
+  const row = await env.DB.prepare(
+    `SELECT m.*, u.email, u.first_name, u.last_name
+     FROM organization_members m JOIN users u ON u.id = m.user_id
+     WHERE m.id = ? AND m.organization_id = ?`
+  ).bind(memberId, organizationId).first();
+
+  if (!row) {
+    return { success: false, status: 404, error: 'Member not found' };
+  }
+
+  return { success: true, row };
+}
+
+/**
+ * Membership and member row for working on a member's trips. Owners and
+ * admins manage everyone's trips; members only their own.
+ */
+export async function requireMemberTripAccess(env, organizationId, userId, memberId) {
+  const access = await requireRole(env, organizationId, userId);
+  if (!access.success) {
+    return access;
+  }
+
+  const lookup = await getMemberRow(env, organizationId, memberId);
+  if (!lookup.success) {
+    return lookup;
+  }
+
+  if (access.membership.role === 'member' && lookup.row.user_id !== userId) {
+    return { success: false, status: 403, error: "Only owners and admins can manage other members' trips" };
+  }
+
+  return { success: true, membership: access.membership, member: lookup.row };
+}
+
+/**
+ * Organizations the user belongs to, with their role in each
+ */
+export async function listUserOrganizations(env, userId) {
+  const { results } = await env.DB.prepare(
+    `SELECT o.id, o.name, o.created_at, m.role,
+            (SELECT COUNT(*) FROM organization_members c WHERE c.organization_id = o.id) AS member_count
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.user_id = ?
+     ORDER BY o.name`
+  ).bind(userId).all();
+
+  return (results || []).map(row => ({
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    memberCount: row.member_count,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Create an organization owned by the user. Needs the user's own Business
+ * plan; each owner has one organization.
+ */
+export async function createOrganization(env, userId, { name } = {}) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    return { success: false, status: 400, error: `name is required (up to ${MAX_NAME_LENGTH} characters)` };
+  }
+
+  if (!await ownerHasBusinessPlan(env, userId)) {
+    return { success: false, status: 402, error: 'Teams need a Business subscription' };
+  }
+
+  const existing = await env.DB.prepare(
+    'SELECT id FROM organizations WHERE owner_user_id = ?'
+  ).bind(userId).first();
+  if (existing) {
+    return { success: false, status: 409, error: 'You already own an organization', organizationId: existing.id };
+  }
+
+  const organization = await env.DB.prepare(
+    `INSERT INTO organizations (name, owner_user_id, created_at)
+     VALUES (?, ?, datetime('now'))
+     RETURNING id, name, created_at`
+  ).bind(trimmed, userId).first();
+
+  await env.DB.prepare(
+    `INSERT INTO organization_members (organization_id, user_id, role, created_at)
+     VALUES (?, ?, 'owner', datetime('now'))`
+  ).bind(organization.id, userId).run();
+
+  return {
+    success: true,
+    organization: { id: organization.id, name: organization.name, role: 'owner', memberCount: 1, createdAt: organization.created_at }
+  };
+}
+
+/**
+ * Organization details for a member: everyone in it and, for owners and
+ * admins, the invitations still waiting for an answer
+ */
+export async function describeOrganization(env, membership) {
+  const { results: members } = await env.DB.prepare(
+    `SELECT m.*, u.email, u.first_name, u.last_name
+     FROM organization_members m JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = ?
+     ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, u.first_name, u.last_name`
+  ).bind(membership.organizationId).all();
+
+  let invitations = [];
+  if (membership.role !== 'member') {
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM organization_invitations
+       WHERE organization_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+         AND expires_at > datetime('now')
+       ORDER BY created_at DESC`
+    ).bind(membership.organizationId).all();
+    invitations = (results || []).map(invitationFromRow);
+  }
+
+  return {
+    id: membership.organizationId,
+    name: membership.name,
+    role: membership.role,
+    memberId: membership.memberId,
+    active: await ownerHasBusinessPlan(env, membership.ownerUserId),
+    members: (members || []).map(memberFromRow),
+    invitations
+  };
+}
+
+/**
+ * Email an invitation link. Inviting the same address again replaces the
+ * earlier invitation.
+ */
+export async function inviteMember(env, request, membership, { email, role = 'member' } = {}) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(address)) {
+    return { success: false, status: 400, error: 'A valid email address is required' };
+  }
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    return { success: false, status: 400, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+  }
+
+  if (role === 'admin' && membership.role !== 'owner') {
+    return { success: false, status: 403, error: 'Only the owner can invite admins' };
+  }
+
+  if (!await ownerHasBusinessPlan(env, membership.ownerUserId)) {
+    return { success: false, status: 402, error: "The organization owner's Business subscription is not active" };
+  }
+
+  const existing = await env.DB.prepare(
+    `SELECT m.id FROM organization_members m JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = ? AND lower(u.email) = ?`
+  ).bind(membership.organizationId, address).first();
+  if (existing) {
+    return { success: false, status: 409, error: 'This person is already a member' };
+  }
+
+  const token = generateToken();
+  const tokenHash = await hashToken(token);
+
+  const [, { results }] = await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE organization_invitations SET revoked_at = datetime('now')
+       WHERE organization_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`
+    ).bind(membership.organizationId, address),
+    env.DB.prepare(
+      `INSERT INTO organization_invitations
+         (organization_id, email, role, token_hash, invited_by, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now', ?), datetime('now'))
+       RETURNING *`
+    ).bind(membership.organizationId, address, role, tokenHash, membership.userId, `+${INVITATION_TTL_DAYS} days`)
+  ]);
+
+  const link = `${env.APP_BASE_URL || new URL(request.url).origin}/account/team.html?invite=${token}`;
+  const sent = await sendMail(env, {
+    to: address,
+    subject: `You're invited to join ${membership.name} on Schengen Calc`,
+    text: `Hi,\n\nYou've been invited to join ${membership.name} on Schengen Calc, so your team can keep track of your Schengen 90/180 days.\n\nAccept the invitation (sign in or create an account with this email address):\n${link}\n\nThe invitation expires in ${INVITATION_TTL_DAYS} days.\n\nSchengen Calc`,
+    html: `<p>Hi,</p><p>You've been invited to join <strong>${escapeHtml(membership.name)}</strong> on Schengen Calc, so your team can keep track of your Schengen 90/180 days.</p><p><a href="${link}">Accept the invitation</a></p><p>Sign in or create an account with this email address. The invitation expires in ${INVITATION_TTL_DAYS} days.</p>`
+  });
+
+  if (!sent.success) {
+    console.error(`Could not send invitation to ${address}:`, sent.error);
+  }
+
+  return { success: true, invitation: invitationFromRow(results[0]), emailSent: sent.success };
+}
+
+/**
+ * Withdraw an invitation that has not been accepted
+ */
+export async function revokeInvitation(env, membership, invitationId) {
+  const row = await env.DB.prepare(
+    `UPDATE organization_invitations SET revoked_at = datetime('now')
+     WHERE id = ? AND organization_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`
+  ).bind(invitationId, membership.organizationId).first();
+
+  if (!row) {
+    return { success: false, status: 404, error: 'Invitation not found' };
+  }
+  return { success: true };
+}
+
+/**
+ * Join an organization with an invitation token. The invitation must have
+ * been sent to the signed-in user's email address.
+ */
+export async function acceptInvitation(env, user, token) {
+  if (!token || typeof token !== 'string') {
+    return { success: false, status: 400, error: 'Invitation token is required' };
+  }
+
+  const invitation = await env.DB.prepare(
+    `SELECT i.*, o.name AS organization_name,
+            i.expires_at > datetime('now') AS valid
+     FROM organization_invitations i
+     JOIN organizations o ON o.id = i.organization_id
+     WHERE i.token_hash = ?`
+  ).bind(await hashToken(token)).first();
+
+  if (!invitation || invitation.revoked_at || invitation.accepted_at || !invitation.valid) {
+    return { success: false, status: 400, error: 'This invitation is invalid or has expired' };
+  }
+
+  if (invitation.email !== String(user.email).toLowerCase()) {
+    return { success: false, status: 403, error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.` };
+  }
+
+  // The guarded UPDATE keeps a token from being used twice
+  const accepted = await env.DB.prepare(
+    `UPDATE organization_invitations SET accepted_at = datetime('now')
+     WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`
+  ).bind(invitation.id).first();
+  if (!accepted) {
+    return { success: false, status: 400, error: 'This invitation is invalid or has expired' };
+  }
+
+  await env.DB.prepare(
+    `INSERT INTO organization_members (organization_id, user_id, role, created_at)
+     VALUES (?, ?, ?, datetime('now'))
+     ON CONFLICT (organization_id, user_id) DO NOTHING`
+  ).bind(invitation.organization_id, user.id, invitation.role).run();
+
+  return {
+    success: true,
+    organization: { id: invitation.organization_id, name: invitation.organization_name, role: invitation.role }
+  };
+}
+
+/**
+ * Make a member an admin or back again. Only the owner changes roles.
+ */
+export async function updateMemberRole(env, membership, memberRow, role) {
+  if (membership.role !== 'owner') {
+    return { success: false, status: 403, error: 'Only the owner can change roles' };
+  }
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    return { success: false, status: 400, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+  }
+
+  if (memberRow.role === 'owner') {
+    return { success: false, status: 400, error: "The owner's role cannot be changed" };
+  }
+
+  await env.DB.prepare(
+    'UPDATE organization_members SET role = ? WHERE id = ?'
+  ).bind(role, memberRow.id).run();
+
+  return { success: true, member: memberFromRow({ ...memberRow, role }) };
+}
+
+/**
+ * Remove someone from the organization. Members may leave; admins remove
+ * members; the owner removes anyone but cannot leave.
+ */
+export async function removeMember(env, membership, memberRow) {
+  if (memberRow.role === 'owner') {
+    return { success: false, status: 400, error: 'The owner cannot be removed from the organization' };
+  }
+
+  const leaving = memberRow.id === membership.memberId;
+  const allowed = leaving ||
+    membership.role === 'owner' ||
+    (membership.role === 'admin' && memberRow.role === 'member');
+  if (!allowed) {
+    return { success: false, status: 403, error: 'You cannot remove this member' };
+  }
+
+  await env.DB.prepare('DELETE FROM organization_members WHERE id = ?').bind(memberRow.id).run();
+
+  return { success: true };
+}
+
+/**
+ * Every member's days used and remaining on the reference date with their
+ * next risky date, highest risk first. Each member's traveller profile
+ * applies, as in the calculator and the alerts.
+ */
+export async function buildTeamDashboard(env, membership, referenceDate = today()) {
+  if (!isValidDate(referenceDate)) {
+    return { success: false, status: 400, error: 'date must be a valid date (YYYY-MM-DD)' };
+  }
+
+  if (!await ownerHasBusinessPlan(env, membership.ownerUserId)) {
+    return { success: false, status: 402, error: "The organization owner's Business subscription is not active" };
+  }
+
+  const { results: members } = await env.DB.prepare(
+    `SELECT m.*, u.email, u.first_name, u.last_name
+     FROM organization_members m JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = ?`
+  ).bind(membership.organizationId).all();
+
+  const { results: tripRows } = await env.DB.prepare(
+    `SELECT t.* FROM travel_calculations t
+     JOIN organization_members m ON m.user_id = t.user_id
+     WHERE m.organization_id = ? AND t.deleted_at IS NULL`
+  ).bind(membership.organizationId).all();
+
+  const tripsByUser = new Map();
+  for (const row of tripRows || []) {
+    if (!tripsByUser.has(row.user_id)) {
+      tripsByUser.set(row.user_id, []);
+    }
+    tripsByUser.get(row.user_id).push(tripFromRow(row));
+  }
+
+  const profiles = await getMemberProfiles(env, membership.organizationId);
+  const rows = (members || []).map(member => {
+    const trips = tripsByUser.get(member.user_id) || [];
+    return {
+      ...memberFromRow(member),
+      tripCount: trips.length,
+      ...assessTravellerRisk(trips, profiles.get(member.user_id) || normalizeProfile({}), referenceDate)
+    };
+  }).sort(compareRisk);
+
+  const summary = { overstay: 0, danger: 0, caution: 0, safe: 0 };
+  rows.forEach(row => summary[row.level]++);
+
+  return {
+    success: true,
+    dashboard: {
+      organizationId: membership.organizationId,
+      name: membership.name,
+      referenceDate,
+      summary,
+      members: rows
+    }
+  };
+}
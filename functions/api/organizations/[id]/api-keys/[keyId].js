@@ -0,0 +1,38 @@
+/**
+ * Schengen Calc - Organization API Key Endpoint
+ * DELETE /api/organizations/:id/api-keys/:keyId - revoke a key
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole } from '../../../organizations-api.js';
+import { revokeApiKey } from '../../../api-keys-api.js';
+
+export async function onRequestDelete({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const result = await revokeApiKey(env, access.membership, parseInt(params.keyId, 10) || 0);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, message: 'API key revoked' });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('DELETE');
+}
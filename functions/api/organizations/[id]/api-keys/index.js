@@ -0,0 +1,62 @@
+/**
+ * Schengen Calc - Organization API Keys Endpoint
+ * GET  /api/organizations/:id/api-keys - active keys and their usage (owners and admins)
+ * POST /api/organizations/:id/api-keys - create a key ({ name, scopes?, rateLimitPerMinute? }); the key is only returned here
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole } from '../../../organizations-api.js';
+import { listApiKeys, createApiKey } from '../../../api-keys-api.js';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const result = await listApiKeys(env, access.membership);
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await createApiKey(env, access.membership, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, key: result.key, apiKey: result.apiKey }, 201, { 'Cache-Control': 'no-store' });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
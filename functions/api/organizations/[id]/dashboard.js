@@ -0,0 +1,42 @@
+/**
+ * Schengen Calc - Team Compliance Dashboard Endpoint
+ * GET /api/organizations/:id/dashboard?date=YYYY-MM-DD
+ *
+ * Every member's days used and remaining on the date (default today) and
+ * their next risky date, highest risk first. Owners and admins only.
+ */
+
+import { authenticateRequest } from '../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../response-utils.js';
+import { requireRole, buildTeamDashboard } from '../../organizations-api.js';
+import { today } from '../../../../js/schengen-rules.js';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const url = new URL(request.url);
+    const result = await buildTeamDashboard(env, access.membership, url.searchParams.get('date') || today());
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, dashboard: result.dashboard }, 200, { 'Cache-Control': 'no-store' });
+
+  } catch (error) {
+    console.error('Error building team dashboard:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
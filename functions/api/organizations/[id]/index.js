@@ -0,0 +1,34 @@
+/**
+ * Schengen Calc - Organization Endpoint
+ * GET /api/organizations/:id - members and, for owners and admins, pending invitations
+ */
+
+import { authenticateRequest } from '../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../response-utils.js';
+import { requireRole, describeOrganization } from '../../organizations-api.js';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const organization = await describeOrganization(env, access.membership);
+
+    return jsonResponse({ success: true, organization });
+
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
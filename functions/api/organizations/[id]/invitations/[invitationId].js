@@ -0,0 +1,37 @@
+/**
+ * Schengen Calc - Organization Invitation Endpoint
+ * DELETE /api/organizations/:id/invitations/:invitationId - withdraw an invitation
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole, revokeInvitation } from '../../../organizations-api.js';
+
+export async function onRequestDelete({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const result = await revokeInvitation(env, access.membership, parseInt(params.invitationId, 10) || 0);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, message: 'Invitation withdrawn' });
+
+  } catch (error) {
+    console.error('Error withdrawing invitation:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('DELETE');
+}
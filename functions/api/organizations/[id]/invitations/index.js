@@ -0,0 +1,40 @@
+/**
+ * Schengen Calc - Organization Invitations Endpoint
+ * POST /api/organizations/:id/invitations { email, role } - email an invitation
+ *
+ * Owners and admins invite members; only the owner invites admins.
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole, inviteMember } from '../../../organizations-api.js';
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await inviteMember(env, request, access.membership, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, invitation: result.invitation, emailSent: result.emailSent }, 201);
+
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
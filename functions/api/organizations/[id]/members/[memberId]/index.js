@@ -0,0 +1,72 @@
+/**
+ * Schengen Calc - Organization Member Endpoint
+ * PUT    /api/organizations/:id/members/:memberId { role } - change a role (owner only)
+ * DELETE /api/organizations/:id/members/:memberId - remove a member, or leave
+ */
+
+import { authenticateRequest } from '../../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../../response-utils.js';
+import { requireRole, getMemberRow, updateMemberRole, removeMember } from '../../../../organizations-api.js';
+
+/**
+ * Authenticate, check membership and load the member being changed
+ */
+async function loadMember(request, env, params) {
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { response: errorResponse(auth.error, auth.status || 401) };
+  }
+
+  const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id);
+  if (!access.success) {
+    return { response: errorResponse(access.error, access.status) };
+  }
+
+  const lookup = await getMemberRow(env, access.membership.organizationId, parseInt(params.memberId, 10) || 0);
+  if (!lookup.success) {
+    return { response: errorResponse(lookup.error, lookup.status) };
+  }
+
+  return { membership: access.membership, row: lookup.row };
+}
+
+export async function onRequestPut({ request, env, params }) {
+  try {
+    const { response, membership, row } = await loadMember(request, env, params);
+    if (response) return response;
+
+    const { role } = await request.json().catch(() => ({}));
+    const result = await updateMemberRole(env, membership, row, role);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, member: result.member });
+
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestDelete({ request, env, params }) {
+  try {
+    const { response, membership, row } = await loadMember(request, env, params);
+    if (response) return response;
+
+    const result = await removeMember(env, membership, row);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, message: 'Member removed' });
+
+  } catch (error) {
+    console.error('Error removing member:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('PUT, DELETE');
+}
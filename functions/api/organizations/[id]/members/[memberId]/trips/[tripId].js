@@ -0,0 +1,88 @@
+/**
+ * Schengen Calc - Member Trip Endpoint
+ * PUT    /api/organizations/:id/members/:memberId/trips/:tripId - replace a member's trip
+ * DELETE /api/organizations/:id/members/:memberId/trips/:tripId - delete it
+ */
+
+import { authenticateRequest } from '../../../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../../../response-utils.js';
+import { requireMemberTripAccess } from '../../../../../organizations-api.js';
+import {
+  validateTrip,
+  tripFromRow,
+  getOwnedTripRow,
+  updateUserTrip,
+  deleteUserTrip
+} from '../../../../../trips-api.js';
+
+/**
+ * Authenticate, check access to the member and load their trip
+ */
+async function loadMemberTrip(request, env, params) {
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { response: errorResponse(auth.error, auth.status || 401) };
+  }
+
+  const access = await requireMemberTripAccess(
+    env,
+    parseInt(params.id, 10) || 0,
+    auth.user.id,
+    parseInt(params.memberId, 10) || 0
+  );
+  if (!access.success) {
+    return { response: errorResponse(access.error, access.status) };
+  }
+
+  const serverId = parseInt(params.tripId, 10);
+  if (!serverId) {
+    return { response: errorResponse('Invalid trip id', 400) };
+  }
+
+  const lookup = await getOwnedTripRow(env, access.member.user_id, serverId);
+  if (!lookup.success) {
+    return { response: errorResponse(lookup.error, lookup.status) };
+  }
+
+  return { member: access.member, row: lookup.row };
+}
+
+export async function onRequestPut({ request, env, params }) {
+  try {
+    const { response, member, row } = await loadMemberTrip(request, env, params);
+    if (response) return response;
+
+    const trip = await request.json();
+    const validationError = validateTrip(trip);
+    if (validationError) {
+      return errorResponse(validationError, 400);
+    }
+
+    const updated = await updateUserTrip(env, member.user_id, row, { ...trip, updatedAt: null });
+
+    return jsonResponse({ success: true, trip: tripFromRow(updated) });
+
+  } catch (error) {
+    console.error('Error updating member trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestDelete({ request, env, params }) {
+  try {
+    const { response, member, row } = await loadMemberTrip(request, env, params);
+    if (response) return response;
+
+    await deleteUserTrip(env, member.user_id, row);
+
+    return jsonResponse({ success: true, message: 'Trip deleted' });
+
+  } catch (error) {
+    console.error('Error deleting member trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('PUT, DELETE');
+}
@@ -0,0 +1,86 @@
+/**
+ * Schengen Calc - Member Trips Endpoint
+ * GET  /api/organizations/:id/members/:memberId/trips?page=1&pageSize=50 - a member's trips
+ * POST /api/organizations/:id/members/:memberId/trips - record a trip for the member
+ *
+ * The trips are the member's own, so they also show in their calculator.
+ */
+
+import { authenticateRequest } from '../../../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../../../response-utils.js';
+import { requireMemberTripAccess } from '../../../../../organizations-api.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateTrip,
+  tripFromRow,
+  listUserTrips,
+  createUserTrip
+} from '../../../../../trips-api.js';
+
+async function loadMember(request, env, params) {
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { response: errorResponse(auth.error, auth.status || 401) };
+  }
+
+  const access = await requireMemberTripAccess(
+    env,
+    parseInt(params.id, 10) || 0,
+    auth.user.id,
+    parseInt(params.memberId, 10) || 0
+  );
+  if (!access.success) {
+    return { response: errorResponse(access.error, access.status) };
+  }
+
+  return { member: access.member };
+}
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { response, member } = await loadMember(request, env, params);
+    if (response) return response;
+
+    const url = new URL(request.url);
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const result = await listUserTrips(env, member.user_id, { page, pageSize });
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error listing member trips:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const { response, member } = await loadMember(request, env, params);
+    if (response) return response;
+
+    const trip = await request.json();
+    const validationError = validateTrip(trip);
+    if (validationError) {
+      return errorResponse(validationError, 400);
+    }
+
+    // Client IDs are the member's calculator's to choose
+    const row = await createUserTrip(env, member.user_id, { ...trip, id: null });
+
+    return jsonResponse({ success: true, trip: tripFromRow(row) }, 201);
+
+  } catch (error) {
+    console.error('Error creating member trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
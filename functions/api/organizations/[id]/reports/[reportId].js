@@ -0,0 +1,69 @@
+/**
+ * Schengen Calc - Team Report Download Endpoint
+ * GET /api/organizations/:id/reports/:reportId?format=json|csv|pdf
+ *
+ * A stored report as JSON, as CSV (one row per traveller) or as a PDF.
+ * The figures are the ones saved when the report was generated.
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole } from '../../../organizations-api.js';
+import { getTeamReport, renderReportCsv, renderReportPdf } from '../../../reports-api.js';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+    if (!access.success) {
+      return errorResponse(access.error, access.status);
+    }
+
+    const format = new URL(request.url).searchParams.get('format') || 'json';
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return errorResponse('format must be json, csv or pdf', 400);
+    }
+
+    const lookup = await getTeamReport(env, access.membership, parseInt(params.reportId, 10) || 0);
+    if (!lookup.success) {
+      return errorResponse(lookup.error, lookup.status);
+    }
+
+    const { report } = lookup;
+    const filename = `schengen-calc-team-report-${report.id}-${report.asOf}`;
+
+    if (format === 'csv') {
+      return new Response(renderReportCsv(report), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}.csv"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+
+    if (format === 'pdf') {
+      return new Response(renderReportPdf(report), {
+        headers: {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+
+    return jsonResponse({ success: true, report });
+
+  } catch (error) {
+    console.error('Error downloading team report:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
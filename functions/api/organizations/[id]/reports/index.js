@@ -0,0 +1,65 @@
+/**
+ * Schengen Calc - Team Reports Endpoint
+ * GET  /api/organizations/:id/reports - reports generated so far, newest first
+ * POST /api/organizations/:id/reports { from, to, asOf, memberIds } - generate a report
+ *
+ * Owners and admins only. The period defaults to the 180 days up to asOf,
+ * asOf to today and memberIds to everyone.
+ */
+
+import { authenticateRequest } from '../../../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../../../response-utils.js';
+import { requireRole } from '../../../organizations-api.js';
+import { createTeamReport, listTeamReports } from '../../../reports-api.js';
+
+async function loadAccess(request, env, params) {
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { response: errorResponse(auth.error, auth.status || 401) };
+  }
+
+  const access = await requireRole(env, parseInt(params.id, 10) || 0, auth.user.id, ['owner', 'admin']);
+  if (!access.success) {
+    return { response: errorResponse(access.error, access.status) };
+  }
+
+  return { membership: access.membership };
+}
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { response, membership } = await loadAccess(request, env, params);
+    if (response) return response;
+
+    const reports = await listTeamReports(env, membership);
+
+    return jsonResponse({ success: true, reports });
+
+  } catch (error) {
+    console.error('Error listing team reports:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const { response, membership } = await loadAccess(request, env, params);
+    if (response) return response;
+
+    const body = await request.json().catch(() => ({}));
+    const result = await createTeamReport(env, membership, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, report: result.report }, 201);
+
+  } catch (error) {
+    console.error('Error generating team report:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
@@ -0,0 +1,36 @@
+/**
+ * Schengen Calc - Accept Organization Invitation Endpoint
+ * POST /api/organizations/accept-invitation { token }
+ *
+ * Adds the signed-in user to the organization the invitation is for. The
+ * invitation must have been sent to the user's email address.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { acceptInvitation } from '../organizations-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const { token } = await request.json().catch(() => ({}));
+    const result = await acceptInvitation(env, auth.user, token);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, organization: result.organization });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
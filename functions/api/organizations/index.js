@@ -0,0 +1,51 @@
+/**
+ * Schengen Calc - Organizations Endpoint
+ * GET  /api/organizations - organizations the signed-in user belongs to
+ * POST /api/organizations - create one ({ name }); needs a Business subscription
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { listUserOrganizations, createOrganization } from '../organizations-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const organizations = await listUserOrganizations(env, auth.user.id);
+
+    return jsonResponse({ success: true, organizations });
+
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await createOrganization(env, auth.user.id, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status, result.organizationId ? { organizationId: result.organizationId } : {});
+    }
+
+    return jsonResponse({ success: true, organization: result.organization }, 201);
+
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
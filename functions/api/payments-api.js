@@ -0,0 +1,232 @@
+/**
+ * Schengen Calc - Payment History API
+ * Reads the payments table for the account page and renders receipts
+ */
+
+import { SUBSCRIPTION_PLANS } from './square-subscription-api.js';
+import { createPdf } from './pdf-utils.js';
+import { escapeHtml } from './response-utils.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+// Prices are VAT inclusive; override with VAT_RATE_PERCENT
+const DEFAULT_VAT_RATE_PERCENT = 20;
+
+const PAYMENT_KINDS = {
+  SUCCESS: 'charge',
+  REFUNDED: 'refund',
+  FAILED: 'failure',
+  PENDING: 'pending'
+};
+
+function receiptNumber(paymentId) {
+  return `SC-${String(paymentId).padStart(6, '0')}`;
+}
+
+function formatMoney(pence, currency = 'GBP') {
+  const symbol = currency === 'GBP' ? '£' : `${currency} `;
+  return `${pence < 0 ? '-' : ''}${symbol}${(Math.abs(pence) / 100).toFixed(2)}`;
+}
+
+function formatDate(dateTime) {
+  return new Date(`${dateTime.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Convert a payments row (joined with its subscription) into the API shape
+ */
+export function paymentFromRow(row) {
+  const plan = SUBSCRIPTION_PLANS[row.plan_type];
+  const kind = PAYMENT_KINDS[row.status] || 'pending';
+
+  return {
+    id: row.id,
+    kind,
+    status: row.status,
+    amount: row.amount,
+    currency: row.currency,
+    description: plan
+      ? `Schengen Calc ${plan.name} (${plan.frequency === 'ANNUALLY' ? 'annual' : 'monthly'})`
+      : 'Schengen Calc subscription',
+    planType: row.plan_type || null,
+    failureReason: row.failure_reason,
+    squarePaymentId: row.square_payment_id,
+    squareInvoiceId: row.square_invoice_id,
+    receiptNumber: kind === 'charge' || kind === 'refund' ? receiptNumber(row.id) : null,
+    createdAt: row.created_at
+  };
+}
+
+const PAYMENT_SELECT = `
+  SELECT p.*, s.plan_type
+  FROM payments p
+  LEFT JOIN subscriptions s ON s.square_subscription_id = p.subscription_id`;
+
+/**
+ * Page of a user's payments, newest first
+ */
+export async function listUserPayments(env, userId, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const countRow = await env.DB.prepare(
+    'SELECT COUNT(*) AS total FROM payments WHERE user_id = ?'
+  ).bind(userId).first();
+
+  const { results } = await env.DB.prepare(
+    `${PAYMENT_SELECT}
+     WHERE p.user_id = ?
+     ORDER BY p.created_at DESC, p.id DESC LIMIT ? OFFSET ?`
+  ).bind(userId, pageSize, (page - 1) * pageSize).all();
+
+  const total = countRow?.total || 0;
+  return {
+    payments: (results || []).map(paymentFromRow),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize))
+    }
+  };
+}
+
+/**
+ * Look up a payment and check that it belongs to the user
+ */
+export async function getOwnedPayment(env, userId, paymentId) {
+  const row = await env.DB.prepare(`${PAYMENT_SELECT} WHERE p.id = ?`).bind(paymentId).first();
+
+  if (!row) {
+    return { success: false, status: 404, error: 'Payment not found' };
+  }
+
+  if (row.user_id !== userId) {
+    return { success: false, status: 403, error: 'You do not have access to this payment' };
+  }
+
+  return { success: true, row };
+}
+
+/**
+ * Everything a receipt shows. Prices include VAT, so VAT is worked out back
+ * from the gross amount. Without SELLER_VAT_NUMBER no VAT is shown as
+ * charged.
+ */
+export function buildReceipt(env, payment, customer) {
+  const vatRegistered = Boolean(env.SELLER_VAT_NUMBER);
+  const vatRate = vatRegistered ? Number(env.VAT_RATE_PERCENT || DEFAULT_VAT_RATE_PERCENT) : 0;
+  const sign = payment.kind === 'refund' ? -1 : 1;
+  const gross = payment.amount * sign;
+  const net = Math.round(gross / (1 + vatRate / 100));
+
+  return {
+    title: payment.kind === 'refund' ? 'Credit Note' : 'Receipt',
+    number: payment.receiptNumber,
+    date: formatDate(payment.createdAt),
+    seller: {
+      name: env.SELLER_NAME || 'Schengen Calc',
+      address: (env.SELLER_ADDRESS || '').split('\n').filter(Boolean),
+      vatNumber: env.SELLER_VAT_NUMBER || null
+    },
+    customer: {
+      name: `${customer.first_name} ${customer.last_name}`.trim(),
+      email: customer.email
+    },
+    description: payment.description,
+    currency: payment.currency,
+    vatRate,
+    net: formatMoney(net, payment.currency),
+    vat: formatMoney(gross - net, payment.currency),
+    total: formatMoney(gross, payment.currency),
+    reference: payment.squarePaymentId || payment.squareInvoiceId || null,
+    vatNote: vatRegistered ? null : 'No VAT has been charged.'
+  };
+}
+
+/**
+ * Printable HTML receipt
+ */
+export function renderReceiptHtml(receipt) {
+  const lines = [
+    ['Net amount', receipt.net],
+    [`VAT (${receipt.vatRate}%)`, receipt.vat],
+    [`Total (${receipt.currency})`, receipt.total]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(receipt.title)} ${escapeHtml(receipt.number)} - Schengen Calc</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+        h1 { font-size: 28px; margin-bottom: 4px; }
+        .muted { color: #64748b; }
+        .parties { display: flex; justify-content: space-between; gap: 20px; margin: 30px 0; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb; }
+        td.amount, th.amount { text-align: right; }
+        tr.total td { font-weight: 700; border-bottom: 2px solid #1f2937; }
+        .print { margin-top: 30px; padding: 10px 20px; border: none; border-radius: 8px; background: #2563eb; color: white; cursor: pointer; }
+        @media print { .print { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(receipt.title)}</h1>
+    <div class="muted">${escapeHtml(receipt.number)} · ${escapeHtml(receipt.date)}</div>
+
+    <div class="parties">
+        <div>
+            <strong>${escapeHtml(receipt.seller.name)}</strong><br>
+            ${receipt.seller.address.map(escapeHtml).join('<br>')}
+            ${receipt.seller.vatNumber ? `<br>VAT number: ${escapeHtml(receipt.seller.vatNumber)}` : ''}
+        </div>
+        <div style="text-align: right;">
+            <span class="muted">Billed to</span><br>
+            <strong>${escapeHtml(receipt.customer.name)}</strong><br>
+            ${escapeHtml(receipt.customer.email)}
+        </div>
+    </div>
+
+    <table>
+        <thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+        <tbody>
+            <tr><td>${escapeHtml(receipt.description)}</td><td class="amount">${escapeHtml(receipt.total)}</td></tr>
+            ${lines.map(([label, value], i) => `<tr${i === lines.length - 1 ? ' class="total"' : ''}><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`).join('')}
+        </tbody>
+    </table>
+
+    ${receipt.vatNote ? `<p class="muted">${escapeHtml(receipt.vatNote)}</p>` : ''}
+    ${receipt.reference ? `<p class="muted">Payment reference: ${escapeHtml(receipt.reference)}</p>` : ''}
+
+    <button class="print" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`;
+}
+
+/**
+ * The same receipt as a PDF download
+ */
+export function renderReceiptPdf(receipt) {
+  const amountLine = (label, value, font = 'mono') => ({ text: `${label.padEnd(40)}${value.padStart(14)}`, font });
+
+  return createPdf([
+    { text: receipt.title, size: 22, font: 'bold' },
+    { text: `${receipt.number}  |  ${receipt.date}`, gap: 4 },
+    { text: receipt.seller.name, font: 'bold', gap: 20 },
+    ...receipt.seller.address.map(text => ({ text })),
+    ...(receipt.seller.vatNumber ? [{ text: `VAT number: ${receipt.seller.vatNumber}` }] : []),
+    { text: 'Billed to', font: 'bold', gap: 16 },
+    { text: receipt.customer.name },
+    { text: receipt.customer.email },
+    { text: 'Description', font: 'bold', gap: 20 },
+    amountLine(receipt.description.slice(0, 40), receipt.total),
+    { text: '-'.repeat(54), font: 'mono' },
+    amountLine('Net amount', receipt.net),
+    amountLine(`VAT (${receipt.vatRate}%)`, receipt.vat),
+    amountLine(`Total (${receipt.currency})`, receipt.total),
+    ...(receipt.vatNote ? [{ text: receipt.vatNote, gap: 16 }] : []),
+    ...(receipt.reference ? [{ text: `Payment reference: ${receipt.reference}`, gap: receipt.vatNote ? 0 : 16 }] : [])
+  ], { title: `${receipt.title} ${receipt.number}` });
+}
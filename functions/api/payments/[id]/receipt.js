@@ -0,0 +1,76 @@
+/**
+ * Schengen Calc - Payment Receipt Endpoint
+ * GET /api/payments/:id/receipt?format=html|pdf
+ *
+ * A receipt (or credit note for a refund) with the VAT breakdown in GBP,
+ * as a printable HTML page or a PDF download.
+ */
+
+import { authenticateRequest } from '../../auth-api.js';
+import { errorResponse, corsPreflight } from '../../response-utils.js';
+import {
+  paymentFromRow,
+  getOwnedPayment,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+} from '../../payments-api.js';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const paymentId = parseInt(params.id, 10);
+    if (!paymentId) {
+      return errorResponse('Invalid payment id', 400);
+    }
+
+    const format = new URL(request.url).searchParams.get('format') || 'html';
+    if (!['html', 'pdf'].includes(format)) {
+      return errorResponse('format must be html or pdf', 400);
+    }
+
+    const lookup = await getOwnedPayment(env, auth.user.id, paymentId);
+    if (!lookup.success) {
+      return errorResponse(lookup.error, lookup.status);
+    }
+
+    const payment = paymentFromRow(lookup.row);
+    if (!payment.receiptNumber) {
+      return errorResponse('There is no receipt for a payment that did not go through', 409);
+    }
+
+    const customer = await env.DB.prepare(
+      'SELECT email, first_name, last_name FROM users WHERE id = ?'
+    ).bind(auth.user.id).first();
+    const receipt = buildReceipt(env, payment, customer);
+
+    if (format === 'pdf') {
+      return new Response(renderReceiptPdf(receipt), {
+        headers: {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="schengen-calc-${receipt.number}.pdf"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    }
+
+    return new Response(renderReceiptHtml(receipt), {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error rendering receipt:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
@@ -0,0 +1,38 @@
+/**
+ * Schengen Calc - Payment History Endpoint
+ * GET /api/payments?page=1&pageSize=25
+ *
+ * The signed-in user's charges, refunds and failed payments, newest first.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, listUserPayments } from '../payments-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const url = new URL(request.url);
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const result = await listUserPayments(env, auth.user.id, { page, pageSize });
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error listing payments:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
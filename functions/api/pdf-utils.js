@@ -0,0 +1,95 @@
+/**
+ * Schengen Calc - Minimal PDF Writer
+ * Lays out lines of text on A4 pages with the standard PDF fonts, so
+ * receipts and reports can be downloaded without a PDF library.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Standard Type 1 fonts every PDF reader has
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' }
+};
+
+// WinAnsiEncoding covers Latin-1 (including £); map a few common extras
+const REPLACEMENTS = { '—': '-', '–': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '€': 'EUR ' };
+
+function encodeText(text) {
+  return String(text)
+    .replace(/[—–‘’“”…€]/g, ch => REPLACEMENTS[ch])
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Build a PDF from lines laid out top to bottom. Each line is
+ * { text, size = 10, font = 'regular' | 'bold' | 'mono', gap = 0, indent = 0 };
+ * { pageBreak: true } starts a new page. Returns a Uint8Array.
+ */
+export function createPdf(lines, { title = 'Document' } = {}) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    if (line.pageBreak) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+      continue;
+    }
+
+    const size = line.size || 10;
+    const step = size * 1.4 + (line.gap || 0);
+    if (y - step < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= step;
+
+    const font = FONTS[line.font] || FONTS.regular;
+    pages[pages.length - 1].push(
+      `BT /${font.key} ${size} Tf ${MARGIN + (line.indent || 0)} ${y.toFixed(1)} Td (${encodeText(line.text)}) Tj ET`
+    );
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-5 fonts, 6 info, then page + content pairs
+  const objects = [];
+  const fontRefs = Object.values(FONTS).map((font, i) => `/${font.key} ${3 + i} 0 R`).join(' ');
+  const pageIds = pages.map((_, i) => 7 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  Object.values(FONTS).forEach((font, i) => {
+    objects[3 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`;
+  });
+  objects[6] = `<< /Title (${encodeText(title)}) /Producer (Schengen Calc) >>`;
+
+  pages.forEach((commands, i) => {
+    const content = commands.join('\n');
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontRefs} >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Every character is a single byte in WinAnsiEncoding
+  return Uint8Array.from(pdf, ch => ch.charCodeAt(0));
+}
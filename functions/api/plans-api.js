@@ -0,0 +1,180 @@
+/**
+ * Schengen Calc - Plan Catalog API
+ * One normalized list of the plans we sell, built from the Square catalog for
+ * the current environment and cached in D1. Prices shown anywhere on the site
+ * come from here.
+ */
+
+import {
+  SUBSCRIPTION_PLANS,
+  getPlanVariationId,
+  getPlanTypeForVariation,
+  getSquareEnvironment,
+  getSubscriptionPlans
+} from './square-subscription-api.js';
+import { TRIAL_DAYS } from './entitlements-api.js';
+
+// How long a cached catalog is used before Square is asked again
+const DEFAULT_CACHE_MINUTES = 60;
+
+// What each tier includes, as shown on the subscribe pages and the paywall
+const PLAN_FEATURE_LIST = {
+  pro: [
+    'Unlimited calculations',
+    'Visual calendar',
+    'Travel history tracking',
+    'Clear explanations',
+    'Email support'
+  ],
+  business: [
+    'Everything in Pro',
+    'Team compliance dashboard',
+    'Invite employees by email',
+    'Advanced reporting',
+    'Calendar integration',
+    'Priority support',
+    'Business API access'
+  ]
+};
+
+const CADENCE_FREQUENCIES = {
+  MONTHLY: 'MONTHLY',
+  ANNUAL: 'ANNUALLY'
+};
+
+const CADENCE_DAYS = { DAILY: 1, WEEKLY: 7, EVERY_TWO_WEEKS: 14, THIRTY_DAYS: 30, SIXTY_DAYS: 60, NINETY_DAYS: 90 };
+
+function phasePrice(phase) {
+  const money = phase.recurringPriceMoney || phase.pricing?.priceMoney;
+  return money ? { amount: Number(money.amount), currency: money.currency } : null;
+}
+
+/**
+ * Plan entry from our own definition, used when Square has nothing better
+ */
+function defaultPlan(env, planType) {
+  const plan = SUBSCRIPTION_PLANS[planType];
+  const tier = planType.split('-')[0];
+  const variationId = getPlanVariationId(env, planType);
+
+  return {
+    planType,
+    tier,
+    name: plan.name,
+    amount: plan.amount,
+    currency: 'GBP',
+    frequency: plan.frequency,
+    trialDays: TRIAL_DAYS,
+    features: PLAN_FEATURE_LIST[tier] || [],
+    variationId,
+    available: Boolean(variationId)
+  };
+}
+
+/**
+ * Merge Square's plan variations into our plan list. Variations are matched
+ * to plan types by ID; the recurring phase sets the price and frequency, and
+ * a free first phase counts as a trial. Plans Square does not have are
+ * listed as unavailable.
+ */
+export function normalizeCatalog(env, objects) {
+  const variations = [];
+  for (const object of objects) {
+    if (object.type === 'SUBSCRIPTION_PLAN_VARIATION') {
+      variations.push(object);
+    } else if (object.type === 'SUBSCRIPTION_PLAN') {
+      variations.push(...(object.subscriptionPlanData?.subscriptionPlanVariations || []));
+    }
+  }
+
+  return Object.keys(SUBSCRIPTION_PLANS).map(planType => {
+    const plan = defaultPlan(env, planType);
+    const variation = variations.find(item => !item.isDeleted && getPlanTypeForVariation(env, item.id) === planType);
+    if (!variation) {
+      return { ...plan, available: false };
+    }
+
+    const phases = variation.subscriptionPlanVariationData?.phases || [];
+    const recurring = phases.find(phase => !phase.periods) || phases[phases.length - 1];
+    if (!recurring) {
+      return plan;
+    }
+
+    const price = phasePrice(recurring);
+    const trialPhase = phases.find(phase => phase !== recurring && phasePrice(phase)?.amount === 0);
+
+    return {
+      ...plan,
+      amount: price ? price.amount : plan.amount,
+      currency: price ? price.currency : plan.currency,
+      frequency: CADENCE_FREQUENCIES[recurring.cadence] || plan.frequency,
+      trialDays: trialPhase && CADENCE_DAYS[trialPhase.cadence]
+        ? CADENCE_DAYS[trialPhase.cadence] * (trialPhase.periods || 1)
+        : plan.trialDays,
+      available: true
+    };
+  });
+}
+
+/**
+ * What one of our plans costs according to the catalog, as recorded against
+ * a subscription: { amount, currency, frequency }
+ */
+export async function getPlanPrice(env, planType) {
+  const { plans } = await getPlanCatalog(env);
+  const plan = plans.find(item => item.planType === planType) || defaultPlan(env, planType);
+  return { amount: plan.amount, currency: plan.currency, frequency: plan.frequency };
+}
+
+async function readCachedCatalog(env, environment) {
+  const row = await env.DB.prepare(
+    `SELECT plans, source, fetched_at,
+            fetched_at > datetime('now', ?) AS fresh
+     FROM plan_catalog WHERE environment = ?`
+  ).bind(`-${parseInt(env.PLAN_CATALOG_CACHE_MINUTES, 10) || DEFAULT_CACHE_MINUTES} minutes`, environment).first();
+
+  return row ? { plans: JSON.parse(row.plans), source: row.source, fetchedAt: row.fetched_at, fresh: Boolean(row.fresh) } : null;
+}
+
+async function writeCachedCatalog(env, environment, plans) {
+  return await env.DB.prepare(
+    `INSERT INTO plan_catalog (environment, plans, source, fetched_at)
+     VALUES (?, ?, 'square', datetime('now'))
+     ON CONFLICT (environment) DO UPDATE
+       SET plans = excluded.plans, source = excluded.source, fetched_at = excluded.fetched_at
+     RETURNING fetched_at`
+  ).bind(environment, JSON.stringify(plans)).first();
+}
+
+/**
+ * The plan catalog for the current Square environment. Served from D1 while
+ * fresh; `refresh` goes to Square straight away. If Square cannot be reached
+ * the last cached catalog is used, and failing that our own plan list.
+ */
+export async function getPlanCatalog(env, { refresh = false } = {}) {
+  const environment = getSquareEnvironment(env);
+  const cached = await readCachedCatalog(env, environment);
+
+  if (cached?.fresh && !refresh) {
+    return { environment, plans: cached.plans, source: cached.source, fetchedAt: cached.fetchedAt };
+  }
+
+  const squareResult = await getSubscriptionPlans(env);
+  if (squareResult.success) {
+    const plans = normalizeCatalog(env, squareResult.plans);
+    const { fetched_at: fetchedAt } = await writeCachedCatalog(env, environment, plans);
+    return { environment, plans, source: 'square', fetchedAt };
+  }
+
+  console.warn(`Using ${cached ? 'cached' : 'built-in'} plan catalog: ${squareResult.error}`);
+  if (cached) {
+    return { environment, plans: cached.plans, source: cached.source, fetchedAt: cached.fetchedAt, stale: true };
+  }
+
+  return {
+    environment,
+    plans: Object.keys(SUBSCRIPTION_PLANS).map(planType => defaultPlan(env, planType)),
+    source: 'defaults',
+    fetchedAt: null
+  };
+}
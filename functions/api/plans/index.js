@@ -0,0 +1,28 @@
+/**
+ * Schengen Calc - Plan Catalog Endpoint
+ * GET /api/plans
+ *
+ * The plans we sell with prices, trial length, features and Square variation
+ * IDs for the current Square environment. Public; cached in D1.
+ */
+
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { getPlanCatalog } from '../plans-api.js';
+
+export async function onRequestGet({ env }) {
+  try {
+    const catalog = await getPlanCatalog(env);
+
+    return jsonResponse({ success: true, ...catalog }, 200, {
+      'Cache-Control': 'public, max-age=300'
+    });
+
+  } catch (error) {
+    console.error('Error loading plan catalog:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
@@ -0,0 +1,39 @@
+/**
+ * Schengen Calc - Plan Catalog Refresh Endpoint
+ * POST /api/plans/refresh
+ *
+ * Reloads the plan catalog from Square straight away, e.g. after a price
+ * change in the Square dashboard. Admin only.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { getPlanCatalog } from '../plans-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    if (!auth.user.isAdmin) {
+      return errorResponse('Only admins can refresh the plan catalog', 403);
+    }
+
+    const catalog = await getPlanCatalog(env, { refresh: true });
+    if (catalog.source !== 'square' || catalog.stale) {
+      return errorResponse('Could not reach Square; the previous catalog is still in use', 502, catalog);
+    }
+
+    return jsonResponse({ success: true, ...catalog });
+
+  } catch (error) {
+    console.error('Error refreshing plan catalog:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
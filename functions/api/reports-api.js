@@ -0,0 +1,393 @@
+/**
+ * Schengen Calc - Team Compliance Reports API
+ * Per-traveller summaries for a date range, built from D1: trips, days per
+ * country, the peak days used in any 180-day window and any violations.
+ *
+ * A report only uses trips that had been recorded by its as-of date, and
+ * every generated report is stored as a snapshot, so a report downloaded
+ * again later (as CSV for HR systems or PDF for auditors) shows the same
+ * figures. Trips recorded before the as-of date and edited afterwards are
+ * reported as they are now; the stored snapshot keeps the original figures.
+ * Each traveller's current profile (passports, visas and permits) decides
+ * which days count and which rule applies, as in the calculator.
+ */
+
+import {
+  MAX_STAY_DAYS,
+  WINDOW_DAYS,
+  checkCompliance,
+  countDaysByCountry,
+  getStayDays,
+  tripLegs,
+  isValidDate,
+  today,
+  addDays,
+  toDayNumber
+} from '../../js/schengen-rules.js';
+import { applicableRule, checkVisas, countingTrips, normalizeProfile, RULES } from '../../js/traveller-rules.js';
+import { ownerHasBusinessPlan } from './organizations-api.js';
+import { hashToken } from './email-auth-api.js';
+import { tripFromRow } from './trips-api.js';
+import { getMemberProfiles } from './traveller-api.js';
+import { createPdf } from './pdf-utils.js';
+
+export const DEFAULT_PERIOD_DAYS = WINDOW_DAYS;
+export const MAX_PERIOD_DAYS = 3 * 366;
+export const MAX_REPORTS_LISTED = 50;
+
+/**
+ * Check and fill in report parameters: the period defaults to the 180 days
+ * up to the as-of date, which defaults to today
+ */
+export function validateReportParams({ from, to, asOf, memberIds } = {}) {
+  const reportAsOf = asOf || today();
+  if (!isValidDate(reportAsOf) || reportAsOf > today()) {
+    return { error: 'asOf must be a valid date (YYYY-MM-DD) no later than today' };
+  }
+
+  const periodTo = to || reportAsOf;
+  const periodFrom = from || addDays(periodTo, -(DEFAULT_PERIOD_DAYS - 1));
+  if (!isValidDate(periodFrom) || !isValidDate(periodTo)) {
+    return { error: 'from and to must be valid dates (YYYY-MM-DD)' };
+  }
+  if (periodTo < periodFrom) {
+    return { error: 'to must not be before from' };
+  }
+  if (toDayNumber(periodTo) - toDayNumber(periodFrom) + 1 > MAX_PERIOD_DAYS) {
+    return { error: `The period can be at most ${MAX_PERIOD_DAYS} days` };
+  }
+
+  if (memberIds !== undefined && memberIds !== null &&
+      (!Array.isArray(memberIds) || memberIds.length === 0 || !memberIds.every(Number.isInteger))) {
+    return { error: 'memberIds must be a non-empty list of member ids, or left out for everyone' };
+  }
+
+  return {
+    params: {
+      from: periodFrom,
+      to: periodTo,
+      asOf: reportAsOf,
+      memberIds: memberIds ? [...new Set(memberIds)].sort((a, b) => a - b) : null
+    }
+  };
+}
+
+/**
+ * Group consecutive violation days into periods
+ */
+function groupViolations(violations) {
+  const periods = [];
+  for (const violation of violations) {
+    const last = periods[periods.length - 1];
+    if (last && toDayNumber(violation.date) === toDayNumber(last.to) + 1) {
+      last.to = violation.date;
+      last.days++;
+      last.maxOverBy = Math.max(last.maxOverBy, violation.overBy);
+    } else {
+      periods.push({ from: violation.date, to: violation.date, days: 1, maxOverBy: violation.overBy });
+    }
+  }
+  return periods;
+}
+
+/**
+ * One traveller's figures for the period. Days covered by a residence permit
+ * don't count toward the peak, free movement has no limit, and visa
+ * problems in the period make the traveller non-compliant.
+ */
+function summarizeTraveller(member, trips, profile, from, to) {
+  const firstDay = toDayNumber(from);
+  const lastDay = toDayNumber(to);
+
+  const tripsInPeriod = trips
+    .filter(trip => trip.entryDate <= to && trip.exitDate >= from)
+    .sort((a, b) => a.entryDate.localeCompare(b.entryDate))
+    .map(trip => ({
+      entryDate: trip.entryDate,
+      exitDate: trip.exitDate,
+      country: tripLegs(trip).map(leg => leg.country).join(' → '),
+      days: trip.days,
+      daysInPeriod: Math.min(toDayNumber(trip.exitDate), lastDay) - Math.max(toDayNumber(trip.entryDate), firstDay) + 1
+    }));
+
+  const { rule } = applicableRule(profile);
+  const compliance = checkCompliance(rule === RULES.FREE_MOVEMENT ? [] : countingTrips(trips, profile), from, to);
+  const peak = compliance.days.find(day => day.used === compliance.peakUsed && compliance.peakUsed > 0) || null;
+  const visaProblems = checkVisas(trips, profile).problems
+    .filter(problem => problem.date >= from && problem.date <= to)
+    .map(({ type, date, message }) => ({ type, date, message }));
+
+  return {
+    memberId: member.id,
+    name: `${member.first_name || ''} ${member.last_name || ''}`.trim() || member.email,
+    email: member.email,
+    role: member.role,
+    rule,
+    tripCount: tripsInPeriod.length,
+    daysInPeriod: getStayDays(trips).filter(date => date >= from && date <= to).length,
+    daysByCountry: countDaysByCountry(trips, from, to),
+    peakUsed: compliance.peakUsed,
+    peakDate: peak ? peak.date : null,
+    compliant: compliance.compliant && visaProblems.length === 0,
+    violationDays: compliance.violations.length,
+    violations: groupViolations(compliance.violations),
+    visaProblems,
+    trips: tripsInPeriod
+  };
+}
+
+/**
+ * Build the report from D1 and store it as a snapshot. Owners and admins of
+ * an organization with an active Business plan only.
+ */
+export async function createTeamReport(env, membership, input) {
+  const { params, error } = validateReportParams(input);
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+
+  if (!await ownerHasBusinessPlan(env, membership.ownerUserId)) {
+    return { success: false, status: 402, error: "The organization owner's Business subscription is not active" };
+  }
+
+  const { results: memberRows } = await env.DB.prepare(
+    `SELECT m.id, m.user_id, m.role, u.email, u.first_name, u.last_name
+     FROM organization_members m JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = ?
+     ORDER BY u.last_name, u.first_name, u.email`
+  ).bind(membership.organizationId).all();
+
+  let members = memberRows || [];
+  if (params.memberIds) {
+    const unknown = params.memberIds.filter(id => !members.some(member => member.id === id));
+    if (unknown.length > 0) {
+      return { success: false, status: 400, error: `Not members of this organization: ${unknown.join(', ')}` };
+    }
+    members = members.filter(member => params.memberIds.includes(member.id));
+  }
+
+  // Trips recorded by the end of the as-of date and not deleted by then
+  const { results: tripRows } = await env.DB.prepare(
+    `SELECT t.* FROM travel_calculations t
+     JOIN organization_members m ON m.user_id = t.user_id
+     WHERE m.organization_id = ?
+       AND substr(t.created_at, 1, 10) <= ?
+       AND (t.deleted_at IS NULL OR substr(t.deleted_at, 1, 10) > ?)`
+  ).bind(membership.organizationId, params.asOf, params.asOf).all();
+
+  const tripsByUser = new Map();
+  for (const row of tripRows || []) {
+    if (!tripsByUser.has(row.user_id)) {
+      tripsByUser.set(row.user_id, []);
+    }
+    tripsByUser.get(row.user_id).push(tripFromRow(row));
+  }
+
+  const generatedBy = await env.DB.prepare(
+    'SELECT email, first_name, last_name FROM users WHERE id = ?'
+  ).bind(membership.userId).first();
+
+  const profiles = await getMemberProfiles(env, membership.organizationId);
+  const travellers = members.map(member => summarizeTraveller(
+    member,
+    tripsByUser.get(member.user_id) || [],
+    profiles.get(member.user_id) || normalizeProfile({}),
+    params.from,
+    params.to
+  ));
+
+  const report = {
+    organization: { id: membership.organizationId, name: membership.name },
+    period: { from: params.from, to: params.to },
+    asOf: params.asOf,
+    generatedAt: new Date().toISOString(),
+    generatedBy: {
+      name: `${generatedBy.first_name || ''} ${generatedBy.last_name || ''}`.trim(),
+      email: generatedBy.email
+    },
+    rule: { maxStayDays: MAX_STAY_DAYS, windowDays: WINDOW_DAYS },
+    totals: {
+      travellers: travellers.length,
+      trips: travellers.reduce((sum, traveller) => sum + traveller.tripCount, 0),
+      daysInPeriod: travellers.reduce((sum, traveller) => sum + traveller.daysInPeriod, 0),
+      withViolations: travellers.filter(traveller => !traveller.compliant).length
+    },
+    travellers
+  };
+
+  const data = JSON.stringify(report);
+  const checksum = await hashToken(data);
+
+  const row = await env.DB.prepare(
+    `INSERT INTO team_reports
+       (organization_id, created_by, date_from, date_to, as_of, member_ids, data, checksum, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     RETURNING id`
+  ).bind(
+    membership.organizationId,
+    membership.userId,
+    params.from,
+    params.to,
+    params.asOf,
+    params.memberIds ? JSON.stringify(params.memberIds) : null,
+    data,
+    checksum
+  ).first();
+
+  return { success: true, report: { id: row.id, checksum, ...report } };
+}
+
+/**
+ * Reports generated for the organization, newest first
+ */
+export async function listTeamReports(env, membership) {
+  const { results } = await env.DB.prepare(
+    `SELECT r.id, r.date_from, r.date_to, r.as_of, r.member_ids, r.checksum, r.created_at,
+            u.email AS created_by_email
+     FROM team_reports r JOIN users u ON u.id = r.created_by
+     WHERE r.organization_id = ?
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT ?`
+  ).bind(membership.organizationId, MAX_REPORTS_LISTED).all();
+
+  return (results || []).map(row => ({
+    id: row.id,
+    period: { from: row.date_from, to: row.date_to },
+    asOf: row.as_of,
+    memberIds: row.member_ids ? JSON.parse(row.member_ids) : null,
+    checksum: row.checksum,
+    createdAt: row.created_at,
+    createdBy: row.created_by_email
+  }));
+}
+
+/**
+ * A stored report, exactly as it was generated
+ */
+export async function getTeamReport(env, membership, reportId) {
+  const row = await env.DB.prepare(
+    'SELECT id, data, checksum FROM team_reports WHERE id = ? AND organization_id = ?'
+  ).bind(reportId, membership.organizationId).first();
+
+  if (!row) {
+    return { success: false, status: 404, error: 'Report not found' };
+  }
+
+  return { success: true, report: { id: row.id, checksum: row.checksum, ...JSON.parse(row.data) } };
+}
+
+/**
+ * Quote a CSV field. Fields that spreadsheets would run as formulas are
+ * prefixed with an apostrophe.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n']/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  'report_id', 'as_of', 'period_from', 'period_to', 'name', 'email', 'role',
+  'trips', 'days_in_period', 'peak_days_used', 'peak_date', 'compliant',
+  'violation_days', 'first_violation', 'days_by_country', 'rule', 'visa_problems'
+];
+
+/**
+ * One row per traveller, for HR systems
+ */
+export function renderReportCsv(report) {
+  const rows = report.travellers.map(traveller => [
+    report.id,
+    report.asOf,
+    report.period.from,
+    report.period.to,
+    traveller.name,
+    traveller.email,
+    traveller.role,
+    traveller.tripCount,
+    traveller.daysInPeriod,
+    traveller.peakUsed,
+    traveller.peakDate,
+    traveller.compliant ? 'yes' : 'no',
+    traveller.violationDays,
+    traveller.violations[0]?.from || '',
+    traveller.daysByCountry.map(entry => `${entry.country}: ${entry.days}`).join('; '),
+    traveller.rule || '',
+    (traveller.visaProblems || []).map(problem => problem.message).join('; ')
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatDate(date) {
+  return new Date(`${date.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Snapshots from before visa checks have no visaProblems
+function travellerStatus(traveller) {
+  if (traveller.compliant) {
+    return 'OK';
+  }
+  const visaProblems = (traveller.visaProblems || []).length;
+  return [
+    ...(traveller.violationDays > 0 ? [`${traveller.violationDays} day(s) over`] : []),
+    ...(visaProblems > 0 ? [`${visaProblems} visa problem(s)`] : [])
+  ].join(', ');
+}
+
+/**
+ * Printable report for auditors: a summary page, then one section per traveller
+ */
+export function renderReportPdf(report) {
+  const lines = [
+    { text: 'Schengen Compliance Report', size: 20, font: 'bold' },
+    { text: report.organization.name, size: 14, gap: 4 },
+    { text: `Period: ${formatDate(report.period.from)} - ${formatDate(report.period.to)}`, gap: 12 },
+    { text: `As of: ${formatDate(report.asOf)} (trips recorded by the end of this day)` },
+    { text: `Generated: ${report.generatedAt.slice(0, 16).replace('T', ' ')} UTC by ${report.generatedBy.email}` },
+    { text: `Report ${report.id}  |  SHA-256 ${report.checksum}`, size: 7, font: 'mono', gap: 4 },
+    { text: `Rule: at most ${report.rule.maxStayDays} days in any ${report.rule.windowDays}-day period`, gap: 12 },
+    { text: 'Summary', font: 'bold', size: 12, gap: 12 },
+    { text: `Travellers: ${report.totals.travellers}    Trips: ${report.totals.trips}    Days in the Schengen area: ${report.totals.daysInPeriod}` },
+    { text: `Travellers with violations: ${report.totals.withViolations}` },
+    { text: `${'Traveller'.padEnd(34)}${'Trips'.padStart(6)}${'Days'.padStart(6)}${'Peak'.padStart(6)}  Status`, font: 'mono', gap: 10 },
+    ...report.travellers.map(traveller => ({
+      text: `${traveller.name.slice(0, 33).padEnd(34)}${String(traveller.tripCount).padStart(6)}${String(traveller.daysInPeriod).padStart(6)}${String(traveller.peakUsed).padStart(6)}  ${travellerStatus(traveller)}`,
+      font: 'mono'
+    }))
+  ];
+
+  for (const traveller of report.travellers) {
+    lines.push(
+      { pageBreak: true },
+      { text: traveller.name, size: 14, font: 'bold' },
+      { text: `${traveller.email}  |  ${traveller.role}`, gap: 2 },
+      { text: `Days in the Schengen area during the period: ${traveller.daysInPeriod}`, gap: 10 },
+      { text: `Peak days used in any 180-day window: ${traveller.peakUsed}${traveller.peakDate ? ` (on ${formatDate(traveller.peakDate)})` : ''}` },
+      { text: traveller.compliant ? 'No violations in the period' : `Violations: ${travellerStatus(traveller)}`, font: 'bold' },
+      ...traveller.violations.map(violation => ({
+        text: `${formatDate(violation.from)} - ${formatDate(violation.to)}: ${violation.days} day(s), up to ${violation.maxOverBy} over`,
+        indent: 12
+      })),
+      ...(traveller.visaProblems || []).map(problem => ({ text: problem.message, indent: 12 })),
+      { text: 'Days per country', font: 'bold', gap: 10 },
+      ...(traveller.daysByCountry.length === 0
+        ? [{ text: 'No travel in the period', indent: 12 }]
+        : traveller.daysByCountry.map(entry => ({ text: `${entry.country}: ${entry.days}`, indent: 12 }))),
+      { text: 'Trips', font: 'bold', gap: 10 },
+      ...(traveller.trips.length === 0
+        ? [{ text: 'No trips in the period', indent: 12 }]
+        : traveller.trips.map(trip => ({
+          text: `${trip.entryDate} - ${trip.exitDate} ${String(trip.daysInPeriod).padStart(4)} day(s)  ${trip.country.slice(0, 40)}`,
+          font: 'mono',
+          indent: 12
+        })))
+    );
+  }
+
+  return createPdf(lines, { title: `Schengen Compliance Report ${report.id}` });
+}
@@ -0,0 +1,51 @@
+/**
+ * Schengen Calc - Shared JSON Response Helpers
+ * Used by the Pages Functions endpoints so every response has the same shape,
+ * plus the escaping used for user data in HTML emails
+ */
+
+/**
+ * JSON response with the CORS header the public endpoints use
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      ...headers
+    }
+  });
+}
+
+/**
+ * Error response in the { success: false, error } format
+ */
+export function errorResponse(error, status = 400, extra = {}) {
+  return jsonResponse({ success: false, error, ...extra }, status);
+}
+
+/**
+ * Handle CORS preflight for an endpoint
+ */
+export function corsPreflight(methods) {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': `${methods}, OPTIONS`,
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+/**
+ * Escape text for HTML email bodies and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,8 @@
+/**
+ * Schengen Calc - Schema Version
+ * The migration (migrations/NNNN_*.sql) this code expects the database to be
+ * at. Bump it with every new migration; `npm run db:check` fails if it does
+ * not match the latest file.
+ */
+
+export const SCHEMA_VERSION = 15;
@@ -4,15 +4,71 @@
  */
 
 import { Client, Environment, ApiError } from 'squareup';
+import { refreshUserSubscriptionFlag, openDunningCase, resolveDunningCases } from './dunning-api.js';
+import { getPlanPrice } from './plans-api.js';
 
 /**
- * Initialize Square client with environment variables
+ * Plans we sell, keyed by the plan_type stored in the subscriptions table.
+ * Amounts are fallbacks; what is charged and recorded comes from the Square
+ * catalog. Variation IDs can be overridden per environment, e.g.
+ * SQUARE_VARIATION_PRO_MONTHLY. Business has no live variation yet, so it
+ * can only be sold where SQUARE_VARIATION_BUSINESS_MONTHLY and
+ * SQUARE_VARIATION_BUSINESS_ANNUAL are set.
+ */
+export const SUBSCRIPTION_PLANS = {
+  'pro-monthly': { name: 'Pro', amount: 299, frequency: 'MONTHLY', variationId: 'TKUZNUNASUW62W7YRGRYDQ42' },
+  'pro-annual': { name: 'Pro', amount: 2400, frequency: 'ANNUALLY', variationId: '4UKSQDEJRTATGGV2YTDIWD3W' },
+  'business-monthly': { name: 'Business', amount: 1000, frequency: 'MONTHLY', variationId: null },
+  'business-annual': { name: 'Business', amount: 10000, frequency: 'ANNUALLY', variationId: null }
+};
+
+/**
+ * Square plan variation ID for one of our plan types
+ */
+export function getPlanVariationId(env, planType) {
+  return env[planVariationSetting(planType)] || SUBSCRIPTION_PLANS[planType]?.variationId || null;
+}
+
+/**
+ * Name of the environment variable holding a plan's variation ID
+ */
+export function planVariationSetting(planType) {
+  return `SQUARE_VARIATION_${planType.replace('-', '_').toUpperCase()}`;
+}
+
+/**
+ * Reverse lookup of getPlanVariationId
+ */
+export function getPlanTypeForVariation(env, variationId) {
+  return Object.keys(SUBSCRIPTION_PLANS)
+    .find(planType => variationId && getPlanVariationId(env, planType) === variationId) || null;
+}
+
+/**
+ * Square environment in use; sandbox unless SQUARE_ENVIRONMENT is production
+ */
+export function getSquareEnvironment(env) {
+  return env.SQUARE_ENVIRONMENT === 'production' ? 'production' : 'sandbox';
+}
+
+/**
+ * Initialize Square client with environment variables.
+ * SQUARE_API_BASE_URL points the client at another host, such as the local
+ * stand-in from scripts/mock-square-server.js.
  */
 function initSquareClient(env) {
+  if (env.SQUARE_API_BASE_URL) {
+    return new Client({
+      accessToken: env.SQUARE_ACCESS_TOKEN,
+      environment: Environment.Custom,
+      customUrl: env.SQUARE_API_BASE_URL
+    });
+  }
+
   const client = new Client({
     accessToken: env.SQUARE_ACCESS_TOKEN,
-    environment: env.SQUARE_ENVIRONMENT === 'production' 
-      ? Environment.Production 
+    environment: getSquareEnvironment(env) === 'production'
+      ? Environment.Production
       : Environment.Sandbox,
     applicationId: env.SQUARE_APPLICATION_ID
   });
@@ -21,24 +77,40 @@ function initSquareClient(env) {
 }
 
 /**
- * Get available subscription plans from Square
+ * Readable message from a Square API error
+ */
+function squareErrorMessage(error, fallback) {
+  if (error instanceof ApiError && error.errors?.length) {
+    return error.errors[0].detail || error.errors[0].code;
+  }
+  return error.message || fallback;
+}
+
+/**
+ * Get subscription plans and their variations from the Square catalog
  */
 export async function getSubscriptionPlans(env) {
   try {
     const client = initSquareClient(env);
     const catalogApi = client.catalogApi;
-    
-    const { result } = await catalogApi.listCatalog(undefined, 'SUBSCRIPTION_PLAN');
-    
+    const plans = [];
+    let cursor;
+
+    do {
+      const { result } = await catalogApi.listCatalog(cursor, 'SUBSCRIPTION_PLAN,SUBSCRIPTION_PLAN_VARIATION');
+      plans.push(...(result.objects || []));
+      cursor = result.cursor;
+    } while (cursor);
+
     return {
       success: true,
-      plans: result.objects || []
+      plans
     };
   } catch (error) {
     console.error('Error fetching subscription plans:', error);
     return {
       success: false,
-      error: error.message || 'Failed to fetch subscription plans'
+      error: squareErrorMessage(error, 'Failed to fetch subscription plans')
     };
   }
 }
@@ -52,6 +124,7 @@ export async function createSquareCustomer(env, customerData) {
     const customersApi = client.customersApi;
     
     const { result } = await customersApi.createCustomer({
+      idempotencyKey: customerData.idempotencyKey,
       givenName: customerData.firstName,
       familyName: customerData.lastName,
       emailAddress: customerData.email,
@@ -66,7 +139,39 @@ export async function createSquareCustomer(env, customerData) {
     console.error('Error creating Square customer:', error);
     return {
       success: false,
-      error: error.message || 'Failed to create customer'
+      error: squareErrorMessage(error, 'Failed to create customer')
+    };
+  }
+}
+
+/**
+ * Store a Web Payments card token as a card on file for a customer
+ */
+export async function createCardOnFile(env, cardData) {
+  try {
+    const client = initSquareClient(env);
+    const cardsApi = client.cardsApi;
+    
+    const { result } = await cardsApi.createCard({
+      idempotencyKey: cardData.idempotencyKey,
+      sourceId: cardData.sourceId,
+      verificationToken: cardData.verificationToken,
+      card: {
+        customerId: cardData.customerId,
+        cardholderName: cardData.cardholderName,
+        referenceId: String(cardData.userId)
+      }
+    });
+    
+    return {
+      success: true,
+      card: result.card
+    };
+  } catch (error) {
+    console.error('Error storing card on file:', error);
+    return {
+      success: false,
+      error: squareErrorMessage(error, 'Failed to save card')
     };
   }
 }
@@ -80,9 +185,9 @@ export async function createSubscription(env, subscriptionData) {
     const subscriptionsApi = client.subscriptionsApi;
     
     const subscriptionRequest = {
-      idempotencyKey: `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      idempotencyKey: subscriptionData.idempotencyKey || `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       locationId: subscriptionData.locationId,
-      planId: subscriptionData.planId,
+      planVariationId: subscriptionData.planVariationId,
       customerId: subscriptionData.customerId,
       startDate: new Date().toISOString().split('T')[0], // Today's date
       taxPercentage: subscriptionData.taxPercentage || '0',
@@ -104,7 +209,7 @@ export async function createSubscription(env, subscriptionData) {
     console.error('Error creating subscription:', error);
     return {
       success: false,
-      error: error.message || 'Failed to create subscription'
+      error: squareErrorMessage(error, 'Failed to create subscription')
     };
   }
 }
@@ -150,7 +255,122 @@ export async function updateSubscription(env, subscriptionId, action, reason = n
     console.error(`Error ${action} subscription:`, error);
     return {
       success: false,
-      error: error.message || `Failed to ${action} subscription`
+      error: squareErrorMessage(error, `Failed to ${action} subscription`)
+    };
+  }
+}
+
+/**
+ * Move a subscription to another plan variation. Square applies the new
+ * plan from the next billing date.
+ */
+export async function swapSubscriptionPlan(env, subscriptionId, planVariationId) {
+  try {
+    const client = initSquareClient(env);
+    const subscriptionsApi = client.subscriptionsApi;
+    
+    const { result } = await subscriptionsApi.swapPlan(subscriptionId, {
+      newPlanVariationId: planVariationId
+    });
+    
+    return {
+      success: true,
+      subscription: result.subscription
+    };
+  } catch (error) {
+    console.error('Error swapping subscription plan:', error);
+    return {
+      success: false,
+      error: squareErrorMessage(error, 'Failed to change plan')
+    };
+  }
+}
+
+/**
+ * One-off charge to a customer's card on file (used for proration)
+ */
+export async function chargeCardOnFile(env, chargeData) {
+  try {
+    const client = initSquareClient(env);
+    const paymentsApi = client.paymentsApi;
+    
+    const { result } = await paymentsApi.createPayment({
+      idempotencyKey: chargeData.idempotencyKey,
+      sourceId: chargeData.cardId,
+      customerId: chargeData.customerId,
+      locationId: chargeData.locationId,
+      amountMoney: {
+        amount: BigInt(chargeData.amount),
+        currency: chargeData.currency || 'GBP'
+      },
+      autocomplete: true,
+      note: chargeData.note
+    });
+    
+    return {
+      success: true,
+      payment: result.payment
+    };
+  } catch (error) {
+    console.error('Error charging card on file:', error);
+    return {
+      success: false,
+      error: squareErrorMessage(error, 'Payment failed')
+    };
+  }
+}
+
+/**
+ * Refund all or part of a payment, e.g. a proration charge for a plan change
+ * that did not go through
+ */
+export async function refundPayment(env, refundData) {
+  try {
+    const client = initSquareClient(env);
+    const refundsApi = client.refundsApi;
+
+    const { result } = await refundsApi.refundPayment({
+      idempotencyKey: refundData.idempotencyKey,
+      paymentId: refundData.paymentId,
+      amountMoney: {
+        amount: BigInt(refundData.amount),
+        currency: refundData.currency || 'GBP'
+      },
+      reason: refundData.reason
+    });
+
+    return {
+      success: true,
+      refund: result.refund
+    };
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    return {
+      success: false,
+      error: squareErrorMessage(error, 'Refund failed')
+    };
+  }
+}
+
+/**
+ * Get payment details
+ */
+export async function getPayment(env, paymentId) {
+  try {
+    const client = initSquareClient(env);
+    const paymentsApi = client.paymentsApi;
+
+    const { result } = await paymentsApi.getPayment(paymentId);
+
+    return {
+      success: true,
+      payment: result.payment
+    };
+  } catch (error) {
+    console.error('Error retrieving payment:', error);
+    return {
+      success: false,
+      error: squareErrorMessage(error, 'Failed to retrieve payment')
     };
   }
 }
@@ -178,86 +398,359 @@ export async function getSubscription(env, subscriptionId) {
   }
 }
 
+/**
+ * Verify a Square webhook signature. Square signs the notification URL
+ * followed by the raw body with the subscription's signature key:
+ * x-square-hmacsha256-signature uses HMAC-SHA256, the older
+ * x-square-signature uses HMAC-SHA1. Both are base64 encoded.
+ */
+export async function verifyWebhookSignature(signatureKey, notificationUrl, webhookBody, signature, algorithm = 'SHA-256') {
+  if (!signatureKey || !signature) {
+    return false;
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(signatureKey),
+    { name: 'HMAC', hash: algorithm },
+    false,
+    ['sign']
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(notificationUrl + webhookBody));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(mac)));
+
+  // Compare without bailing out early so timing does not leak the signature
+  if (expected.length !== signature.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Record that we have started on an event. Returns false when the event has
+ * already been processed (or is being processed) so retried deliveries are
+ * ignored; events whose earlier attempt failed are picked up again.
+ */
+async function claimWebhookEvent(env, event) {
+  const inserted = await env.DB.prepare(
+    `INSERT OR IGNORE INTO webhook_events (event_id, event_type, status, created_at)
+     VALUES (?, ?, 'processing', datetime('now'))`
+  ).bind(event.event_id, event.type).run();
+
+  if (inserted.meta.changes > 0) {
+    return true;
+  }
+
+  const retried = await env.DB.prepare(
+    `UPDATE webhook_events SET status = 'processing', error = NULL
+     WHERE event_id = ? AND status = 'failed'`
+  ).bind(event.event_id).run();
+
+  return retried.meta.changes > 0;
+}
+
+async function finishWebhookEvent(env, eventId, result) {
+  await env.DB.prepare(
+    `UPDATE webhook_events SET status = ?, error = ?, processed_at = datetime('now')
+     WHERE event_id = ?`
+  ).bind(result.success ? 'processed' : 'failed', result.success ? null : result.error, eventId).run();
+}
+
 /**
  * Handle Square webhook events
+ * Returns { success, status } where status is the HTTP status to answer
+ * Square with; anything other than 2xx makes Square retry the delivery.
  */
-export async function handleSquareWebhook(env, webhookBody, webhookSignature) {
+export async function handleSquareWebhook(env, webhookBody, signatures, notificationUrl) {
   try {
-    // Verify webhook signature here (implement signature verification)
+    if (!env.SQUARE_WEBHOOK_SIGNATURE_KEY) {
+      console.error('SQUARE_WEBHOOK_SIGNATURE_KEY is not configured');
+      return { success: false, status: 500, error: 'Webhook verification is not configured' };
+    }
+
+    const url = env.SQUARE_WEBHOOK_URL || notificationUrl;
+    const verified = signatures.sha256
+      ? await verifyWebhookSignature(env.SQUARE_WEBHOOK_SIGNATURE_KEY, url, webhookBody, signatures.sha256, 'SHA-256')
+      : await verifyWebhookSignature(env.SQUARE_WEBHOOK_SIGNATURE_KEY, url, webhookBody, signatures.sha1, 'SHA-1');
+
+    if (!verified) {
+      console.warn('Rejected Square webhook with an invalid signature');
+      return { success: false, status: 401, error: 'Invalid signature' };
+    }
+
     const event = JSON.parse(webhookBody);
-    
+    if (!event.event_id || !event.type) {
+      return { success: false, status: 400, error: 'Malformed event' };
+    }
+
+    if (!(await claimWebhookEvent(env, event))) {
+      console.log(`Skipping duplicate Square event ${event.event_id}`);
+      return { success: true, status: 200, message: 'Event already processed' };
+    }
+
     console.log('Square webhook received:', event.type);
-    
+
+    const object = event.data?.object || {};
+    let result;
+
     switch (event.type) {
       case 'subscription.created':
-        return await handleSubscriptionCreated(env, event.data.object.subscription);
-        
       case 'subscription.updated':
-        return await handleSubscriptionUpdated(env, event.data.object.subscription);
-        
+        result = await handleSubscriptionChanged(env, object.subscription);
+        break;
+
       case 'invoice.payment_made':
-        return await handlePaymentMade(env, event.data.object.invoice);
-        
+        result = await handlePaymentMade(env, object.invoice);
+        break;
+
       case 'invoice.payment_failed':
-        return await handlePaymentFailed(env, event.data.object.invoice);
-        
+        result = await handlePaymentFailed(env, object.invoice);
+        break;
+
+      case 'refund.updated':
+        result = await handleRefundUpdated(env, object.refund);
+        break;
+
       default:
         console.log(`Unhandled webhook event: ${event.type}`);
-        return { success: true, message: 'Event not handled' };
+        result = { success: true, message: 'Event not handled' };
     }
+
+    await finishWebhookEvent(env, event.event_id, result);
+    return { ...result, status: result.success ? 200 : 500 };
+
   } catch (error) {
     console.error('Error handling Square webhook:', error);
     return {
       success: false,
+      status: 500,
       error: error.message || 'Failed to handle webhook'
     };
   }
 }
 
 /**
- * Handle subscription created event
+ * Price to record for a subscription: Square's price override if it has
+ * one, else the catalog price of its plan. Takes Square objects from the
+ * SDK (camelCase) or from webhooks (snake_case).
  */
-async function handleSubscriptionCreated(env, subscription) {
-  try {
-    // Update user's subscription status in D1 database
-    const userId = subscription.customerId; // You may need to map this to internal user ID
-    
-    // This would update your D1 database
-    // await updateUserSubscriptionStatus(env.DB, userId, 'active', subscription);
-    
-    console.log(`Subscription created for customer ${subscription.customerId}`);
-    return { success: true };
-  } catch (error) {
-    console.error('Error handling subscription created:', error);
-    return { success: false, error: error.message };
+async function subscriptionPrice(env, planType, subscription) {
+  const price = await getPlanPrice(env, planType);
+  const override = subscription.priceOverrideMoney || subscription.price_override_money;
+
+  return override
+    ? { ...price, amount: Number(override.amount), currency: override.currency || price.currency }
+    : price;
+}
+
+/**
+ * Map a Square customer ID to our user
+ */
+async function findUserBySquareCustomer(env, customerId) {
+  if (!customerId) {
+    return null;
   }
+
+  return await env.DB.prepare(
+    'SELECT id, email, first_name FROM users WHERE square_customer_id = ?'
+  ).bind(customerId).first();
 }
 
 /**
- * Handle subscription updated event
+ * Handle subscription created and updated events. Square sends the whole
+ * subscription each time, so both are an upsert on square_subscription_id.
  */
-async function handleSubscriptionUpdated(env, subscription) {
+async function handleSubscriptionChanged(env, subscription) {
   try {
-    // Update user's subscription status in D1 database
-    const userId = subscription.customerId;
-    const status = subscription.status.toLowerCase();
-    
-    console.log(`Subscription ${subscription.id} updated to ${status}`);
+    if (!subscription?.id) {
+      return { success: false, error: 'Event has no subscription' };
+    }
+
+    const user = await findUserBySquareCustomer(env, subscription.customer_id);
+    if (!user) {
+      // Nothing we can attach it to; retrying would not change that
+      console.warn(`No user for Square customer ${subscription.customer_id}`);
+      return { success: true, message: 'Unknown customer' };
+    }
+
+    const status = subscription.status || 'PENDING';
+    const planType = getPlanTypeForVariation(env, subscription.plan_variation_id || subscription.plan_id);
+    const existing = await env.DB.prepare(
+      'SELECT id FROM subscriptions WHERE square_subscription_id = ?'
+    ).bind(subscription.id).first();
+
+    if (existing) {
+      await env.DB.prepare(
+        `UPDATE subscriptions
+         SET status = ?, started_at = COALESCE(?, started_at), ended_at = ?, updated_at = datetime('now')
+         WHERE id = ?`
+      ).bind(status, subscription.start_date || null, subscription.canceled_date || null, existing.id).run();
+
+      await confirmSubscriptionChanges(env, existing.id, subscription, planType);
+
+      // Square has switched the plan (e.g. at the billing date after a swap).
+      // While a plan change is still pending, the locally recorded plan wins.
+      const pendingSwap = await env.DB.prepare(
+        `SELECT id FROM subscription_changes
+         WHERE subscription_id = ? AND action = 'change_plan' AND status = 'requested'`
+      ).bind(existing.id).first();
+
+      if (planType && !pendingSwap) {
+        const price = await subscriptionPrice(env, planType, subscription);
+        await env.DB.prepare(
+          `UPDATE subscriptions SET plan_type = ?, price_amount = ?, currency = ?, frequency = ?
+           WHERE id = ? AND plan_type != ?`
+        ).bind(planType, price.amount, price.currency, price.frequency, existing.id, planType).run();
+      }
+    } else {
+      if (!planType) {
+        return { success: false, error: `Unknown plan for subscription ${subscription.id}` };
+      }
+
+      const price = await subscriptionPrice(env, planType, subscription);
+      await env.DB.prepare(
+        `INSERT INTO subscriptions
+           (user_id, square_subscription_id, plan_type, status, price_amount, currency,
+            frequency, started_at, ended_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+      ).bind(
+        user.id,
+        subscription.id,
+        planType,
+        status,
+        price.amount,
+        price.currency,
+        price.frequency,
+        subscription.start_date || null,
+        subscription.canceled_date || null
+      ).run();
+    }
+
+    await refreshUserSubscriptionFlag(env, user.id);
+
+    console.log(`Subscription ${subscription.id} is now ${status}`);
     return { success: true };
   } catch (error) {
-    console.error('Error handling subscription updated:', error);
+    console.error('Error handling subscription change:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Mark requested changes as confirmed once Square's copy of the
+ * subscription shows them
+ */
+async function confirmSubscriptionChanges(env, localSubscriptionId, subscription, planType) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, action, to_plan FROM subscription_changes
+     WHERE subscription_id = ? AND status = 'requested'`
+  ).bind(localSubscriptionId).all();
+
+  const isConfirmed = {
+    pause: change => subscription.status === 'PAUSED',
+    resume: change => subscription.status === 'ACTIVE',
+    cancel: change => Boolean(subscription.canceled_date) || subscription.status === 'CANCELED',
+    change_plan: change => planType === change.to_plan
+  };
+
+  for (const change of results || []) {
+    if (isConfirmed[change.action]?.(change)) {
+      await env.DB.prepare(
+        `UPDATE subscription_changes SET status = 'confirmed', confirmed_at = datetime('now')
+         WHERE id = ?`
+      ).bind(change.id).run();
+    }
+  }
+}
+
+/**
+ * Store a subscription we have just created through the API. The webhook for
+ * the same subscription later updates this row rather than adding another.
+ */
+export async function recordSubscription(env, userId, planType, subscription) {
+  const price = await subscriptionPrice(env, planType, subscription);
+
+  await env.DB.prepare(
+    `INSERT OR IGNORE INTO subscriptions
+       (user_id, square_subscription_id, plan_type, status, price_amount, currency,
+        frequency, started_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+  ).bind(
+    userId,
+    subscription.id,
+    planType,
+    subscription.status || 'PENDING',
+    price.amount,
+    price.currency,
+    price.frequency,
+    subscription.startDate || null
+  ).run();
+
+  await refreshUserSubscriptionFlag(env, userId);
+}
+
+/**
+ * Record an invoice payment attempt in the payments table
+ */
+async function recordInvoicePayment(env, invoice, status, failureReason = null) {
+  const user = await findUserBySquareCustomer(env, invoice.primary_recipient?.customer_id);
+  if (!user) {
+    console.warn(`No user for Square customer ${invoice.primary_recipient?.customer_id}`);
+    return null;
+  }
+
+  const request = invoice.payment_requests?.[0] || {};
+  const money = request.total_completed_amount_money?.amount
+    ? request.total_completed_amount_money
+    : request.computed_amount_money || {};
+
+  await env.DB.prepare(
+    `INSERT INTO payments
+       (user_id, subscription_id, amount, currency, status, square_invoice_id, square_order_id, failure_reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+  ).bind(
+    user.id,
+    invoice.subscription_id || null,
+    money.amount || 0,
+    money.currency || 'GBP',
+    status,
+    invoice.id,
+    invoice.order_id || null,
+    failureReason
+  ).run();
+
+  return user;
+}
+
 /**
  * Handle payment made event
  */
 async function handlePaymentMade(env, invoice) {
   try {
+    if (!invoice?.id) {
+      return { success: false, error: 'Event has no invoice' };
+    }
+
+    const user = await recordInvoicePayment(env, invoice, 'SUCCESS');
+    if (!user) {
+      return { success: true, message: 'Unknown customer' };
+    }
+
+    // A paid invoice means a pending subscription has started
+    if (invoice.subscription_id) {
+      await env.DB.prepare(
+        `UPDATE subscriptions SET status = 'ACTIVE', updated_at = datetime('now')
+         WHERE square_subscription_id = ? AND status = 'PENDING'`
+      ).bind(invoice.subscription_id).run();
+    }
+    await resolveDunningCases(env, user, invoice.subscription_id);
+
     console.log(`Payment successful for invoice ${invoice.id}`);
-    
-    // Update subscription access, send confirmation email, etc.
     return { success: true };
   } catch (error) {
     console.error('Error handling payment made:', error);
@@ -266,13 +759,24 @@ async function handlePaymentMade(env, invoice) {
 }
 
 /**
- * Handle payment failed event
+ * Handle payment failed event: record the failure and open (or add to) the
+ * subscription's dunning case
  */
 async function handlePaymentFailed(env, invoice) {
   try {
-    console.log(`Payment failed for invoice ${invoice.id}`);
-    
-    // Send payment failure notification, update access, etc.
+    if (!invoice?.id) {
+      return { success: false, error: 'Event has no invoice' };
+    }
+
+    const user = await recordInvoicePayment(env, invoice, 'FAILED', `Invoice ${invoice.invoice_number || invoice.id} was not paid`);
+    if (!user) {
+      return { success: true, message: 'Unknown customer' };
+    }
+
+    // Access continues through the grace period; the dunning worker takes it from here
+    const dunningCase = await openDunningCase(env, user.id, invoice);
+
+    console.log(`Payment failed for invoice ${invoice.id}${dunningCase ? `, dunning case ${dunningCase.id} (failure ${dunningCase.failure_count})` : ''}`);
     return { success: true };
   } catch (error) {
     console.error('Error handling payment failed:', error);
@@ -280,6 +784,73 @@ async function handlePaymentFailed(env, invoice) {
   }
 }
 
+/**
+ * Successful payment a refund belongs to: a card payment we took ourselves
+ * (by payment ID) or an invoice payment (by the invoice's order)
+ */
+async function findRefundedPayment(env, paymentId, orderId) {
+  return await env.DB.prepare(
+    `SELECT id, user_id, subscription_id FROM payments
+     WHERE status = 'SUCCESS' AND (square_payment_id = ? OR square_order_id = ?)
+     ORDER BY id LIMIT 1`
+  ).bind(paymentId || null, orderId || null).first();
+}
+
+/**
+ * Handle refund updated events. A completed refund is recorded against the
+ * user of the payment it refunds, using the refund ID as its payment ID.
+ */
+async function handleRefundUpdated(env, refund) {
+  try {
+    if (!refund?.id) {
+      return { success: false, error: 'Event has no refund' };
+    }
+
+    if (refund.status !== 'COMPLETED') {
+      return { success: true, message: `Refund is ${refund.status}` };
+    }
+
+    let original = await findRefundedPayment(env, refund.payment_id, refund.order_id);
+    if (!original && refund.payment_id) {
+      // Only Square knows which invoice order a subscription payment paid
+      const payment = await getPayment(env, refund.payment_id);
+      if (!payment.success) {
+        return { success: false, error: payment.error };
+      }
+      original = await findRefundedPayment(env, null, payment.payment?.orderId);
+      if (original) {
+        await env.DB.prepare(
+          'UPDATE payments SET square_payment_id = ? WHERE id = ?'
+        ).bind(refund.payment_id, original.id).run();
+      }
+    }
+    if (!original) {
+      console.warn(`No payment ${refund.payment_id} for refund ${refund.id}`);
+      return { success: true, message: 'Unknown payment' };
+    }
+
+    await env.DB.prepare(
+      `INSERT INTO payments
+         (user_id, subscription_id, amount, currency, status, square_payment_id, created_at)
+       SELECT ?, ?, ?, ?, 'REFUNDED', ?, datetime('now')
+       WHERE NOT EXISTS (SELECT 1 FROM payments WHERE square_payment_id = ? AND status = 'REFUNDED')`
+    ).bind(
+      original.user_id,
+      original.subscription_id,
+      refund.amount_money?.amount || 0,
+      refund.amount_money?.currency || 'GBP',
+      refund.id,
+      refund.id
+    ).run();
+
+    console.log(`Refund ${refund.id} recorded for payment ${refund.payment_id}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error handling refund:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get Square location ID (needed for subscriptions)
  */
@@ -305,3 +876,15 @@ export async function getSquareLocation(env) {
     };
   }
 }
+
+/**
+ * Location ID for payments: SQUARE_LOCATION_ID, else the first active location
+ */
+export async function getLocationId(env) {
+  if (env.SQUARE_LOCATION_ID) {
+    return env.SQUARE_LOCATION_ID;
+  }
+
+  const locationResult = await getSquareLocation(env);
+  return locationResult.success ? locationResult.location?.id || null : null;
+}
@@ -1,22 +1,26 @@
 /**
- * Schengen Calc - Square Webhook Handler (Simplified)
+ * Schengen Calc - Square Webhook Handler
  * POST /api/square-webhook
  */
 
+import { handleSquareWebhook } from './square-subscription-api.js';
+
 export async function onRequestPost({ request, env, params }) {
   try {
-    // Get webhook body
+    // The signature covers the exact bytes Square sent, so read the raw text
     const webhookBody = await request.text();
-    const webhookSignature = request.headers.get('x-square-signature');
-    
-    // For now, just log and return success
-    console.log('Square webhook received:', webhookBody?.substring(0, 100));
-    
+    const signatures = {
+      sha256: request.headers.get('x-square-hmacsha256-signature'),
+      sha1: request.headers.get('x-square-signature')
+    };
+
+    const result = await handleSquareWebhook(env, webhookBody, signatures, request.url);
+
     return new Response(JSON.stringify({
-      success: true,
-      message: 'Webhook received successfully'
+      success: result.success,
+      ...(result.success ? { message: result.message || 'Webhook processed' } : { error: result.error })
     }), {
-      status: 200,
+      status: result.status,
       headers: { 'Content-Type': 'application/json' }
     });
     
@@ -40,7 +44,7 @@ export async function onRequestOptions() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, x-square-signature'
+      'Access-Control-Allow-Headers': 'Content-Type, x-square-signature, x-square-hmacsha256-signature'
     }
   });
 }
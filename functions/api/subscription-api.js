@@ -0,0 +1,315 @@
+/**
+ * Schengen Calc - Subscription Management API
+ * Pause, resume, cancel and plan changes for the signed-in user's
+ * subscription. Every change is written to subscription_changes before Square
+ * is called and confirmed later by the webhook.
+ */
+
+import {
+  SUBSCRIPTION_PLANS,
+  getPlanVariationId,
+  getSubscription,
+  updateSubscription,
+  swapSubscriptionPlan,
+  chargeCardOnFile,
+  refundPayment,
+  getLocationId
+} from './square-subscription-api.js';
+import { getPaymentIssue } from './dunning-api.js';
+import { getPlanPrice, getPlanCatalog } from './plans-api.js';
+
+export const SUBSCRIPTION_ACTIONS = ['pause', 'resume', 'cancel', 'change_plan'];
+
+// Statuses a customer can still manage
+const MANAGEABLE_STATUSES = ['ACTIVE', 'PAUSED', 'PENDING'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function todayISO() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function formatMoney(amount, currency = 'GBP') {
+  return currency === 'GBP' ? `£${(amount / 100).toFixed(2)}` : `${currency} ${(amount / 100).toFixed(2)}`;
+}
+
+function isoDaysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Nominal length of a billing period, used to turn prices into daily rates
+function periodDays(frequency) {
+  return frequency === 'ANNUALLY' ? 365 : 365 / 12;
+}
+
+// Proration between two catalog prices ({ amount, currency, frequency })
+function prorate(currentPlanType, currentPrice, targetPlanType, targetPrice, chargedThroughDate, today) {
+  const nextBillingDate = chargedThroughDate || today;
+  const remainingDays = Math.max(0, isoDaysBetween(today, nextBillingDate));
+
+  const credit = Math.round(currentPrice.amount / periodDays(currentPrice.frequency) * remainingDays);
+  const charge = Math.round(targetPrice.amount / periodDays(targetPrice.frequency) * remainingDays);
+  const upgrade = charge > credit;
+
+  return {
+    fromPlan: currentPlanType,
+    toPlan: targetPlanType,
+    remainingDays,
+    credit,
+    charge,
+    amountDue: upgrade ? charge - credit : 0,
+    currency: targetPrice.currency,
+    timing: upgrade ? 'now' : 'next_billing',
+    effectiveDate: upgrade ? today : nextBillingDate,
+    newPrice: targetPrice.amount,
+    newFrequency: targetPrice.frequency
+  };
+}
+
+/**
+ * What switching plan would cost at the catalog prices. Moving to a plan
+ * with a higher daily rate starts now and charges the difference for the
+ * rest of the paid period; anything else starts at the next billing date
+ * with nothing to pay. Amounts are in the currency's minor unit.
+ */
+export async function previewPlanChange(env, currentPlanType, targetPlanType, chargedThroughDate, today = todayISO()) {
+  const currentPrice = await getPlanPrice(env, currentPlanType);
+  const targetPrice = await getPlanPrice(env, targetPlanType);
+  return prorate(currentPlanType, currentPrice, targetPlanType, targetPrice, chargedThroughDate, today);
+}
+
+/**
+ * The user's current (manageable) subscription row, if any
+ */
+export async function getUserSubscriptionRow(env, userId) {
+  return await env.DB.prepare(
+    `SELECT * FROM subscriptions
+     WHERE user_id = ? AND status IN (${MANAGEABLE_STATUSES.map(() => '?').join(', ')})
+     ORDER BY created_at DESC, id DESC LIMIT 1`
+  ).bind(userId, ...MANAGEABLE_STATUSES).first();
+}
+
+async function getPendingChanges(env, subscriptionId) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM subscription_changes
+     WHERE subscription_id = ? AND status = 'requested'
+     ORDER BY requested_at ASC, id ASC`
+  ).bind(subscriptionId).all();
+
+  return (results || []).map(change => ({
+    id: change.id,
+    action: change.action,
+    fromPlan: change.from_plan,
+    toPlan: change.to_plan,
+    prorationAmount: change.proration_amount,
+    effectiveDate: change.effective_date,
+    requestedAt: change.requested_at
+  }));
+}
+
+/**
+ * The subscription as the account page shows it, with Square's billing dates
+ * and a proration preview for every other plan
+ */
+export async function describeSubscription(env, row) {
+  const squareResult = row.square_subscription_id
+    ? await getSubscription(env, row.square_subscription_id)
+    : { success: false };
+  const squareSubscription = squareResult.success ? squareResult.subscription : null;
+  const nextBillingDate = squareSubscription?.chargedThroughDate || null;
+  const { plans } = await getPlanCatalog(env);
+  const plan = plans.find(item => item.planType === row.plan_type);
+
+  return {
+    id: row.id,
+    planType: row.plan_type,
+    planName: plan?.name || row.plan_type,
+    status: row.status,
+    amount: row.price_amount,
+    currency: row.currency,
+    frequency: row.frequency,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    nextBillingDate,
+    canceledDate: squareSubscription?.canceledDate || null,
+    pendingChanges: await getPendingChanges(env, row.id),
+    paymentIssue: row.square_subscription_id ? await getPaymentIssue(env, row.square_subscription_id) : null,
+    planChanges: plans
+      .filter(option => option.planType !== row.plan_type)
+      .map(option => ({
+        planType: option.planType,
+        name: option.name,
+        amount: option.amount,
+        currency: option.currency,
+        frequency: option.frequency,
+        available: option.available,
+        preview: plan ? prorate(row.plan_type, plan, option.planType, option, nextBillingDate, todayISO()) : null
+      }))
+  };
+}
+
+async function recordChange(env, row, change) {
+  return await env.DB.prepare(
+    `INSERT INTO subscription_changes
+       (subscription_id, user_id, action, from_plan, to_plan, proration_amount,
+        effective_date, status, requested_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'requested', datetime('now'))
+     RETURNING id`
+  ).bind(
+    row.id,
+    row.user_id,
+    change.action,
+    row.plan_type,
+    change.toPlan || null,
+    change.prorationAmount || 0,
+    change.effectiveDate || null
+  ).first();
+}
+
+async function failChange(env, changeId, error) {
+  await env.DB.prepare(
+    "UPDATE subscription_changes SET status = 'failed', error = ? WHERE id = ?"
+  ).bind(error, changeId).run();
+}
+
+function checkActionAllowed(row, action, planType) {
+  if (action === 'pause' && row.status !== 'ACTIVE') {
+    return 'Only an active subscription can be paused';
+  }
+  if (action === 'resume' && row.status !== 'PAUSED') {
+    return 'Only a paused subscription can be resumed';
+  }
+  if (action === 'change_plan') {
+    if (row.status !== 'ACTIVE') {
+      return 'Only an active subscription can change plan';
+    }
+    if (!SUBSCRIPTION_PLANS[planType]) {
+      return `planType must be one of: ${Object.keys(SUBSCRIPTION_PLANS).join(', ')}`;
+    }
+    if (planType === row.plan_type) {
+      return 'You are already on this plan';
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a change to the user's subscription.
+ * Returns { success, status, error } or { success, change }.
+ */
+export async function requestSubscriptionChange(env, userId, action, { planType = null } = {}) {
+  if (!SUBSCRIPTION_ACTIONS.includes(action)) {
+    return { success: false, status: 400, error: `action must be one of: ${SUBSCRIPTION_ACTIONS.join(', ')}` };
+  }
+
+  const row = await getUserSubscriptionRow(env, userId);
+  if (!row) {
+    return { success: false, status: 404, error: 'You do not have a subscription' };
+  }
+
+  const notAllowed = checkActionAllowed(row, action, planType);
+  if (notAllowed) {
+    return { success: false, status: 409, error: notAllowed };
+  }
+
+  const pending = await getPendingChanges(env, row.id);
+  if (pending.some(change => change.action === action)) {
+    return { success: false, status: 409, error: 'This change has already been requested' };
+  }
+
+  const squareResult = await getSubscription(env, row.square_subscription_id);
+  if (!squareResult.success) {
+    return { success: false, status: 502, error: squareResult.error };
+  }
+  const squareSubscription = squareResult.subscription;
+  const nextBillingDate = squareSubscription.chargedThroughDate || todayISO();
+
+  if (action !== 'change_plan') {
+    const { id: changeId } = await recordChange(env, row, {
+      action,
+      effectiveDate: action === 'resume' ? todayISO() : nextBillingDate
+    });
+
+    const result = await updateSubscription(env, row.square_subscription_id, action);
+    if (!result.success) {
+      await failChange(env, changeId, result.error);
+      return { success: false, status: 502, error: result.error };
+    }
+
+    return { success: true, change: { id: changeId, action, effectiveDate: action === 'resume' ? todayISO() : nextBillingDate } };
+  }
+
+  const planVariationId = getPlanVariationId(env, planType);
+  if (!planVariationId) {
+    return { success: false, status: 409, error: 'This plan is not available yet' };
+  }
+
+  const preview = await previewPlanChange(env, row.plan_type, planType, nextBillingDate);
+  const { id: changeId } = await recordChange(env, row, {
+    action,
+    toPlan: planType,
+    prorationAmount: preview.amountDue,
+    effectiveDate: preview.effectiveDate
+  });
+
+  // Upgrades are paid for now, before the swap is scheduled
+  let charge = null;
+  if (preview.amountDue > 0) {
+    charge = await chargeCardOnFile(env, {
+      idempotencyKey: `prorate-${changeId}`,
+      cardId: squareSubscription.cardId,
+      customerId: squareSubscription.customerId,
+      locationId: await getLocationId(env),
+      amount: preview.amountDue,
+      currency: preview.currency,
+      note: `Upgrade from ${row.plan_type} to ${planType}`
+    });
+    if (!charge.success) {
+      await failChange(env, changeId, charge.error);
+      return { success: false, status: 402, error: charge.error };
+    }
+
+    await env.DB.prepare(
+      `INSERT INTO payments
+         (user_id, subscription_id, amount, currency, status, square_payment_id, created_at)
+       VALUES (?, ?, ?, ?, 'SUCCESS', ?, datetime('now'))`
+    ).bind(row.user_id, row.square_subscription_id, preview.amountDue, preview.currency, charge.payment.id).run();
+  }
+
+  const swap = await swapSubscriptionPlan(env, row.square_subscription_id, planVariationId);
+  if (!swap.success) {
+    let error = swap.error;
+
+    // The refund.updated webhook records the refund against the charge
+    if (charge) {
+      const refund = await refundPayment(env, {
+        idempotencyKey: `prorate-refund-${changeId}`,
+        paymentId: charge.payment.id,
+        amount: preview.amountDue,
+        currency: preview.currency,
+        reason: `Plan change to ${planType} failed`
+      });
+
+      if (refund.success) {
+        error = `${swap.error}. The ${formatMoney(preview.amountDue, preview.currency)} upgrade charge has been refunded.`;
+      } else {
+        console.error(`Plan change ${changeId} failed and payment ${charge.payment.id} could not be refunded:`, refund.error);
+        error = `${swap.error}. The ${formatMoney(preview.amountDue, preview.currency)} upgrade charge could not be refunded automatically; please contact support quoting payment ${charge.payment.id}.`;
+      }
+    }
+
+    await failChange(env, changeId, error);
+    return { success: false, status: 502, error };
+  }
+
+  // A paid upgrade applies straight away; the webhook confirms it later
+  if (preview.timing === 'now') {
+    const price = await getPlanPrice(env, planType);
+    await env.DB.prepare(
+      `UPDATE subscriptions SET plan_type = ?, price_amount = ?, currency = ?, frequency = ?, updated_at = datetime('now')
+       WHERE id = ?`
+    ).bind(planType, price.amount, price.currency, price.frequency, row.id).run();
+  }
+
+  return { success: true, change: { id: changeId, action, ...preview } };
+}
@@ -0,0 +1,46 @@
+/**
+ * Schengen Calc - Subscription Change Endpoints
+ * POST /api/subscription/pause
+ * POST /api/subscription/resume
+ * POST /api/subscription/cancel
+ * POST /api/subscription/change-plan   Body: { planType }
+ *
+ * Changes are recorded as requested and confirmed by the Square webhook.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { requestSubscriptionChange, getUserSubscriptionRow, describeSubscription } from '../subscription-api.js';
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const action = params.action.replace('-', '_');
+    const body = action === 'change_plan' ? await request.json() : {};
+
+    const result = await requestSubscriptionChange(env, auth.user.id, action, { planType: body.planType });
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    const row = await getUserSubscriptionRow(env, auth.user.id);
+
+    return jsonResponse({
+      success: true,
+      change: result.change,
+      subscription: row ? await describeSubscription(env, row) : null
+    });
+
+  } catch (error) {
+    console.error('Error changing subscription:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,35 @@
+/**
+ * Schengen Calc - Subscription Endpoint
+ * GET /api/subscription
+ *
+ * The signed-in user's current subscription, pending changes and the
+ * proration preview for switching to each other plan.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { getUserSubscriptionRow, describeSubscription } from '../subscription-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const row = await getUserSubscriptionRow(env, auth.user.id);
+
+    return jsonResponse({
+      success: true,
+      subscription: row ? await describeSubscription(env, row) : null
+    });
+
+  } catch (error) {
+    console.error('Error loading subscription:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET');
+}
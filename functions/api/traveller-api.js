@@ -0,0 +1,81 @@
+/**
+ * Schengen Calc - Traveller Profile API
+ * Stores the passports, Schengen visas and residence permits that decide
+ * which short-stay rule applies to a user, so every device and the trip
+ * compliance checks use the same profile.
+ */
+
+import { normalizeProfile, profileShapeError, validateProfile } from '../../js/traveller-rules.js';
+
+const MAX_VISAS = 50;
+const MAX_PERMITS = 50;
+
+function profileFromRow(row, userId) {
+  let profile = {};
+  try {
+    profile = JSON.parse(row.profile);
+  } catch (error) {
+    console.warn(`Unreadable traveller profile for user ${userId}`);
+  }
+  return normalizeProfile(profile);
+}
+
+/**
+ * The user's profile, or an empty one
+ */
+export async function getTravellerProfile(env, userId) {
+  const row = await env.DB.prepare(
+    'SELECT profile, updated_at FROM traveller_profiles WHERE user_id = ?'
+  ).bind(userId).first();
+
+  if (!row) {
+    return { profile: normalizeProfile({}), updatedAt: null };
+  }
+
+  return { profile: profileFromRow(row, userId), updatedAt: row.updated_at };
+}
+
+/**
+ * Profiles of an organization's members by user ID, in one query. Members
+ * without a profile are left out; use an empty profile for them.
+ */
+export async function getMemberProfiles(env, organizationId) {
+  const { results } = await env.DB.prepare(
+    `SELECT p.user_id, p.profile FROM traveller_profiles p
+     JOIN organization_members m ON m.user_id = p.user_id
+     WHERE m.organization_id = ?`
+  ).bind(organizationId).all();
+
+  return new Map((results || []).map(row => [row.user_id, profileFromRow(row, row.user_id)]));
+}
+
+/**
+ * Replace the user's profile
+ */
+export async function saveTravellerProfile(env, userId, input) {
+  const profile = normalizeProfile(input);
+
+  const shapeError = profileShapeError(profile);
+  if (shapeError) {
+    return { success: false, status: 400, error: shapeError };
+  }
+
+  if (profile.visas.length > MAX_VISAS || profile.permits.length > MAX_PERMITS) {
+    return { success: false, status: 400, error: `A profile can hold up to ${MAX_VISAS} visas and ${MAX_PERMITS} permits` };
+  }
+
+  const validationError = validateProfile(profile);
+  if (validationError) {
+    return { success: false, status: 400, error: validationError };
+  }
+
+  const updatedAt = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO traveller_profiles (user_id, profile, updated_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT (user_id) DO UPDATE
+       SET profile = excluded.profile, updated_at = excluded.updated_at`
+  ).bind(userId, JSON.stringify(profile), updatedAt).run();
+
+  return { success: true, profile, updatedAt };
+}
@@ -0,0 +1,51 @@
+/**
+ * Schengen Calc - Traveller Profile Endpoint
+ * GET /api/traveller/profile - the signed-in user's passports, visas and permits
+ * PUT /api/traveller/profile - replace them
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { getTravellerProfile, saveTravellerProfile } from '../traveller-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const result = await getTravellerProfile(env, auth.user.id);
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error fetching traveller profile:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPut({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = await saveTravellerProfile(env, auth.user.id, body);
+    if (!result.success) {
+      return errorResponse(result.error, result.status);
+    }
+
+    return jsonResponse({ success: true, profile: result.profile, updatedAt: result.updatedAt });
+
+  } catch (error) {
+    console.error('Error saving traveller profile:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, PUT');
+}
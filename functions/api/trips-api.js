@@ -0,0 +1,347 @@
+/**
+ * Schengen Calc - Trip Storage API
+ * Stores calculator trips in the travel_calculations table, one row per trip
+ */
+
+import { countTripDays, isValidDate, isValidTripId, simulateItinerary, validateLegs, ENTRY_MODES } from '../../js/schengen-rules.js';
+import { applicableRule, countingTrips, PASSPORT_COUNTRIES, RULES } from '../../js/traveller-rules.js';
+import { getTravellerProfile } from './traveller-api.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+export const MAX_SYNC_TRIPS = 1000;
+
+const TRIP_TYPES = ['tourism', 'business', 'transit'];
+
+// Fields kept in their own columns rather than in calculation_data
+const SERVER_FIELDS = ['id', 'serverId', 'updatedAt', 'deletedAt', 'deleted'];
+
+/**
+ * Validate trip data sent by the calculator
+ */
+export function validateTrip(trip) {
+  if (!trip || typeof trip !== 'object') {
+    return 'Trip data is required';
+  }
+
+  if (trip.id !== undefined && trip.id !== null && !isValidTripId(String(trip.id))) {
+    return 'id may only contain letters, digits, - and _ (up to 64 characters)';
+  }
+
+  if (!isValidDate(trip.entryDate) || !isValidDate(trip.exitDate)) {
+    return 'entryDate and exitDate must be valid dates (YYYY-MM-DD)';
+  }
+
+  if (trip.exitDate < trip.entryDate) {
+    return 'Exit date must not be before entry date';
+  }
+
+  if (!trip.country || typeof trip.country !== 'string' || trip.country.length > 100) {
+    return 'country is required';
+  }
+
+  if (trip.legs !== undefined && trip.legs !== null) {
+    const legsError = validateLegs(trip.legs);
+    if (legsError) {
+      return legsError;
+    }
+    if (trip.legs.some(leg => leg.country.length > 100)) {
+      return 'Leg countries must be 100 characters or fewer';
+    }
+    if (trip.legs[0].entryDate !== trip.entryDate || trip.legs[trip.legs.length - 1].exitDate !== trip.exitDate) {
+      return 'Legs must start on the entry date and end on the exit date';
+    }
+  }
+
+  if (trip.tripType && !TRIP_TYPES.includes(trip.tripType)) {
+    return `tripType must be one of: ${TRIP_TYPES.join(', ')}`;
+  }
+
+  if (trip.entryBy !== undefined && trip.entryBy !== null && !ENTRY_MODES.includes(trip.entryBy)) {
+    return `entryBy must be one of: ${ENTRY_MODES.join(', ')}`;
+  }
+
+  if (trip.passportCountry && !PASSPORT_COUNTRIES.includes(trip.passportCountry)) {
+    return 'passportCountry must be an ISO 3166-1 alpha-2 country code';
+  }
+
+  if (trip.notes && String(trip.notes).length > 500) {
+    return 'notes must be 500 characters or fewer';
+  }
+
+  return null;
+}
+
+/**
+ * Convert a travel_calculations row into the calculator's trip shape
+ */
+export function tripFromRow(row) {
+  let data = {};
+  try {
+    data = JSON.parse(row.calculation_data || '{}');
+  } catch (error) {
+    console.warn(`Unreadable calculation_data for trip ${row.id}`);
+  }
+
+  return {
+    ...data,
+    id: row.client_trip_id || String(row.id),
+    serverId: row.id,
+    entryDate: row.entry_date,
+    exitDate: row.exit_date,
+    days: row.total_days,
+    isCompliant: row.is_compliant === null ? null : Boolean(row.is_compliant),
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at
+  };
+}
+
+function tripData(trip) {
+  const data = { ...trip };
+  SERVER_FIELDS.forEach(field => delete data[field]);
+  data.days = countTripDays(trip.entryDate, trip.exitDate);
+  return data;
+}
+
+/**
+ * Page of a user's trips, newest entry first
+ */
+export async function listUserTrips(env, userId, { page = 1, pageSize = DEFAULT_PAGE_SIZE, updatedSince = null, includeDeleted = false } = {}) {
+  const conditions = ['user_id = ?'];
+  const bindings = [userId];
+
+  if (!includeDeleted) {
+    conditions.push('deleted_at IS NULL');
+  }
+
+  if (updatedSince) {
+    conditions.push('updated_at > ?');
+    bindings.push(updatedSince);
+  }
+
+  const where = conditions.join(' AND ');
+  const countRow = await env.DB.prepare(
+    `SELECT COUNT(*) AS total FROM travel_calculations WHERE ${where}`
+  ).bind(...bindings).first();
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM travel_calculations WHERE ${where}
+     ORDER BY entry_date DESC, id DESC LIMIT ? OFFSET ?`
+  ).bind(...bindings, pageSize, (page - 1) * pageSize).all();
+
+  const total = countRow?.total || 0;
+  return {
+    trips: (results || []).map(tripFromRow),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize))
+    }
+  };
+}
+
+/**
+ * Look up a trip by its server ID and check that it belongs to the user
+ */
+export async function getOwnedTripRow(env, userId, serverId) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM travel_calculations WHERE id = ? AND deleted_at IS NULL'
+  ).bind(serverId).first();
+
+  if (!row) {
+    return { success: false, status: 404, error: 'Trip not found' };
+  }
+
+  if (row.user_id !== userId) {
+    return { success: false, status: 403, error: 'You do not have access to this trip' };
+  }
+
+  return { success: true, row };
+}
+
+/**
+ * The user's traveller profile and stored trips (by server ID), which the
+ * compliance check needs for every trip written. Load it once per request
+ * and pass it to createUserTrip and updateUserTrip; they keep it current.
+ * `rows` are travel_calculations rows already read for the user, if any.
+ */
+export async function loadComplianceContext(env, userId, rows = null) {
+  const { profile } = await getTravellerProfile(env, userId);
+
+  if (!rows) {
+    const { results } = await env.DB.prepare(
+      'SELECT * FROM travel_calculations WHERE user_id = ? AND deleted_at IS NULL'
+    ).bind(userId).all();
+    rows = results || [];
+  }
+
+  return {
+    profile,
+    trips: new Map(rows.filter(row => !row.deleted_at).map(row => [row.id, tripFromRow(row)]))
+  };
+}
+
+/**
+ * Whether the trip stays within the rule that applies to the user next to
+ * their other stored trips. Days covered by a residence permit don't count,
+ * and there is no limit with free movement.
+ */
+function checkTripCompliance(context, trip, excludeServerId = null) {
+  if (applicableRule(context.profile).rule === RULES.FREE_MOVEMENT) {
+    return true;
+  }
+
+  const otherTrips = [...context.trips.entries()]
+    .filter(([serverId]) => serverId !== excludeServerId)
+    .map(([, other]) => other);
+
+  return simulateItinerary(countingTrips(otherTrips, context.profile), countingTrips([trip], context.profile)).compliant;
+}
+
+/**
+ * Insert a new trip for the user
+ */
+export async function createUserTrip(env, userId, trip, context = null) {
+  context = context || await loadComplianceContext(env, userId);
+  const data = tripData(trip);
+  const isCompliant = checkTripCompliance(context, trip);
+
+  const created = await env.DB.prepare(
+    `INSERT INTO travel_calculations
+       (user_id, calculation_name, passport_country, entry_date, exit_date, total_days,
+        schengen_days, is_compliant, calculation_data, client_trip_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
+     RETURNING *`
+  ).bind(
+    userId,
+    trip.country,
+    trip.passportCountry || 'UNSPECIFIED',
+    trip.entryDate,
+    trip.exitDate,
+    data.days,
+    data.days,
+    isCompliant ? 1 : 0,
+    JSON.stringify(data),
+    trip.id ? String(trip.id) : crypto.randomUUID(),
+    trip.updatedAt || new Date().toISOString()
+  ).first();
+
+  context.trips.set(created.id, tripFromRow(created));
+  return created;
+}
+
+/**
+ * Replace an existing trip row with new trip data
+ */
+export async function updateUserTrip(env, userId, row, trip, context = null) {
+  context = context || await loadComplianceContext(env, userId);
+  const data = tripData(trip);
+  const isCompliant = checkTripCompliance(context, trip, row.id);
+
+  const updated = await env.DB.prepare(
+    `UPDATE travel_calculations
+     SET calculation_name = ?, passport_country = ?, entry_date = ?, exit_date = ?,
+         total_days = ?, schengen_days = ?, is_compliant = ?, calculation_data = ?,
+         deleted_at = NULL, updated_at = ?
+     WHERE id = ? AND user_id = ?
+     RETURNING *`
+  ).bind(
+    trip.country,
+    trip.passportCountry || row.passport_country,
+    trip.entryDate,
+    trip.exitDate,
+    data.days,
+    data.days,
+    isCompliant ? 1 : 0,
+    JSON.stringify(data),
+    trip.updatedAt || new Date().toISOString(),
+    row.id,
+    userId
+  ).first();
+
+  if (updated) {
+    context.trips.set(updated.id, tripFromRow(updated));
+  }
+  return updated;
+}
+
+/**
+ * Soft delete so that syncing devices remove the trip as well
+ */
+export async function deleteUserTrip(env, userId, row, deletedAt = new Date().toISOString()) {
+  await env.DB.prepare(
+    `UPDATE travel_calculations SET deleted_at = ?, updated_at = ?
+     WHERE id = ? AND user_id = ?`
+  ).bind(deletedAt, deletedAt, row.id, userId).run();
+}
+
+/**
+ * Merge the calculator's trips with the stored ones, last write wins.
+ * Each incoming trip carries its client ID and updatedAt timestamp; deleted
+ * trips are sent as { id, deleted: true, updatedAt }. Returns the merged set
+ * plus the IDs of trips deleted on the server.
+ */
+export async function syncUserTrips(env, userId, incomingTrips) {
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM travel_calculations WHERE user_id = ?'
+  ).bind(userId).all();
+
+  const rowsByClientId = new Map((results || []).map(row => [row.client_trip_id, row]));
+  const context = await loadComplianceContext(env, userId, results || []);
+  const rejected = [];
+  let uploaded = 0;
+
+  for (const trip of incomingTrips) {
+    const clientId = trip && trip.id ? String(trip.id) : null;
+    if (!clientId) {
+      rejected.push({ id: null, error: 'Trip id is required for sync' });
+      continue;
+    }
+
+    const row = rowsByClientId.get(clientId);
+    const incomingTime = trip.updatedAt || '1970-01-01T00:00:00.000Z';
+
+    // The stored copy is newer (or the same), so the server wins
+    if (row && row.updated_at && incomingTime <= row.updated_at) {
+      continue;
+    }
+
+    if (trip.deleted) {
+      if (row && !row.deleted_at) {
+        await deleteUserTrip(env, userId, row, incomingTime);
+        context.trips.delete(row.id);
+        rowsByClientId.set(clientId, { ...row, deleted_at: incomingTime, updated_at: incomingTime });
+        uploaded++;
+      }
+      continue;
+    }
+
+    const error = validateTrip(trip);
+    if (error) {
+      rejected.push({ id: clientId, error });
+      continue;
+    }
+
+    const tripWithTime = { ...trip, id: clientId, updatedAt: incomingTime };
+    const saved = row
+      ? await updateUserTrip(env, userId, row, tripWithTime, context)
+      : await createUserTrip(env, userId, tripWithTime, context);
+    // A later copy of the same id in this sync is compared with this one
+    rowsByClientId.set(clientId, saved || row);
+    uploaded++;
+  }
+
+  const { results: merged } = await env.DB.prepare(
+    'SELECT * FROM travel_calculations WHERE user_id = ? ORDER BY entry_date DESC, id DESC'
+  ).bind(userId).all();
+
+  const allTrips = (merged || []).map(tripFromRow);
+  return {
+    trips: allTrips.filter(trip => !trip.deletedAt),
+    deletedIds: allTrips.filter(trip => trip.deletedAt).map(trip => trip.id),
+    uploaded,
+    rejected,
+    syncedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Schengen Calc - Single Trip API Endpoint
+ * GET    /api/trips/:id - fetch a trip
+ * PUT    /api/trips/:id - replace a trip
+ * DELETE /api/trips/:id - delete a trip
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import {
+  validateTrip,
+  tripFromRow,
+  getOwnedTripRow,
+  updateUserTrip,
+  deleteUserTrip
+} from '../trips-api.js';
+
+/**
+ * Authenticate and load the trip, checking ownership
+ */
+async function loadOwnedTrip(request, env, params) {
+  const auth = await authenticateRequest(request, env);
+  if (!auth.success) {
+    return { response: errorResponse(auth.error, auth.status || 401) };
+  }
+
+  const serverId = parseInt(params.id, 10);
+  if (!serverId) {
+    return { response: errorResponse('Invalid trip id', 400) };
+  }
+
+  const lookup = await getOwnedTripRow(env, auth.user.id, serverId);
+  if (!lookup.success) {
+    return { response: errorResponse(lookup.error, lookup.status) };
+  }
+
+  return { user: auth.user, row: lookup.row };
+}
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { response, row } = await loadOwnedTrip(request, env, params);
+    if (response) return response;
+
+    return jsonResponse({ success: true, trip: tripFromRow(row) });
+
+  } catch (error) {
+    console.error('Error fetching trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPut({ request, env, params }) {
+  try {
+    const { response, user, row } = await loadOwnedTrip(request, env, params);
+    if (response) return response;
+
+    const trip = await request.json();
+    const validationError = validateTrip(trip);
+    if (validationError) {
+      return errorResponse(validationError, 400);
+    }
+
+    // Last write wins: refuse an edit older than the stored copy
+    if (trip.updatedAt && row.updated_at && trip.updatedAt < row.updated_at) {
+      return errorResponse('Trip was changed more recently on another device', 409, {
+        trip: tripFromRow(row)
+      });
+    }
+
+    const updated = await updateUserTrip(env, user.id, row, trip);
+
+    return jsonResponse({ success: true, trip: tripFromRow(updated) });
+
+  } catch (error) {
+    console.error('Error updating trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestDelete({ request, env, params }) {
+  try {
+    const { response, user, row } = await loadOwnedTrip(request, env, params);
+    if (response) return response;
+
+    await deleteUserTrip(env, user.id, row);
+
+    return jsonResponse({ success: true, message: 'Trip deleted' });
+
+  } catch (error) {
+    console.error('Error deleting trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, PUT, DELETE');
+}
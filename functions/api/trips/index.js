@@ -0,0 +1,82 @@
+/**
+ * Schengen Calc - Trips API Endpoint
+ * GET  /api/trips?page=1&pageSize=50&updatedSince=ISO - list the user's trips
+ * POST /api/trips - store a new trip
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateTrip,
+  tripFromRow,
+  listUserTrips,
+  createUserTrip
+} from '../trips-api.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const url = new URL(request.url);
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const pageSize = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const result = await listUserTrips(env, auth.user.id, {
+      page,
+      pageSize,
+      updatedSince: url.searchParams.get('updatedSince'),
+      includeDeleted: url.searchParams.get('includeDeleted') === 'true'
+    });
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error listing trips:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const trip = await request.json();
+    const validationError = validateTrip(trip);
+    if (validationError) {
+      return errorResponse(validationError, 400);
+    }
+
+    if (trip.id) {
+      const existing = await env.DB.prepare(
+        'SELECT id FROM travel_calculations WHERE user_id = ? AND client_trip_id = ?'
+      ).bind(auth.user.id, String(trip.id)).first();
+
+      if (existing) {
+        return errorResponse('A trip with this id already exists', 409, { serverId: existing.id });
+      }
+    }
+
+    const row = await createUserTrip(env, auth.user.id, trip);
+
+    return jsonResponse({ success: true, trip: tripFromRow(row) }, 201);
+
+  } catch (error) {
+    console.error('Error creating trip:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('GET, POST');
+}
@@ -0,0 +1,41 @@
+/**
+ * Schengen Calc - Trip Sync Endpoint
+ * POST /api/trips/sync
+ *
+ * Body: { trips: [...] } with every local trip (and deleted trips as
+ * { id, deleted: true, updatedAt }). Returns the merged trip list.
+ */
+
+import { authenticateRequest } from '../auth-api.js';
+import { jsonResponse, errorResponse, corsPreflight } from '../response-utils.js';
+import { MAX_SYNC_TRIPS, syncUserTrips } from '../trips-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateRequest(request, env);
+    if (!auth.success) {
+      return errorResponse(auth.error, auth.status || 401);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!body || typeof body !== 'object' || !Array.isArray(body.trips)) {
+      return errorResponse('trips must be an array', 400);
+    }
+
+    if (body.trips.length > MAX_SYNC_TRIPS) {
+      return errorResponse(`A sync can include at most ${MAX_SYNC_TRIPS} trips`, 413);
+    }
+
+    const result = await syncUserTrips(env, auth.user.id, body.trips);
+
+    return jsonResponse({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error syncing trips:', error);
+    return errorResponse('Internal server error', 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,36 @@
+/**
+ * Schengen Calc - Public Calculation Endpoint
+ * POST /api/v1/calculate - is this itinerary compliant?
+ *
+ * Authenticated with an organization API key (Authorization: Bearer sck_...)
+ * that has the "calculate" scope. See README.md in this folder.
+ */
+
+import { jsonResponse, corsPreflight } from '../response-utils.js';
+import { authenticateApiKey } from '../api-keys-api.js';
+import { calculateCompliance } from '../calculate-api.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const auth = await authenticateApiKey(request, env, 'calculate');
+    if (!auth.success) {
+      return jsonResponse({ success: false, error: auth.error }, auth.status, auth.headers);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = calculateCompliance(body);
+    if (!result.success) {
+      return jsonResponse({ success: false, error: result.error }, result.status, auth.headers);
+    }
+
+    return jsonResponse({ success: true, ...result.result }, 200, auth.headers);
+
+  } catch (error) {
+    console.error('Error in calculation API:', error);
+    return jsonResponse({ success: false, error: 'Internal server error' }, 500);
+  }
+}
+
+export async function onRequestOptions() {
+  return corsPreflight('POST');
+}
@@ -0,0 +1,53 @@
+/**
+ * Schengen Calc - Browser Auth Helpers
+ * Access/session tokens stored by the calculator's account card, shared by
+ * the standalone pages (checkout, account).
+ */
+
+const AUTH_TOKEN_KEY = 'travelCompliance_auth_token';
+const SESSION_TOKEN_KEY = 'travelCompliance_session_token';
+
+export function getAuthToken() {
+  return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+export function isSignedIn() {
+  return Boolean(getAuthToken());
+}
+
+/**
+ * Exchange the session token for a new access token; false if the session is gone
+ */
+export async function refreshAccessToken() {
+  const sessionToken = localStorage.getItem(SESSION_TOKEN_KEY);
+  if (!sessionToken) return false;
+
+  const response = await fetch('/api/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionToken })
+  });
+  const result = await response.json();
+
+  if (!result.success) return false;
+
+  localStorage.setItem(AUTH_TOKEN_KEY, result.token);
+  localStorage.setItem(SESSION_TOKEN_KEY, result.sessionToken);
+  return true;
+}
+
+/**
+ * fetch() with the access token, refreshing it once when it has expired
+ */
+export async function authorizedFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), 'Authorization': `Bearer ${getAuthToken()}` }
+  });
+
+  let response = await send();
+  if (response.status === 401 && await refreshAccessToken()) {
+    response = await send();
+  }
+  return response;
+}
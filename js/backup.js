@@ -0,0 +1,257 @@
+/**
+ * Schengen Calc - Trip Backups
+ * Browser module used by the calculator page for the 📤 Export / 📋 Copy
+ * backups and for restoring them.
+ *
+ * Backup format, version 4 (current):
+ *
+ *   {
+ *     "format": "schengen-calc-backup",
+ *     "version": 4,
+ *     "exportedAt": "2025-06-01T10:00:00.000Z",
+ *     "tripCount": 1,
+ *     "checksum": "sha256:<hex>",
+ *     "trips": [{ "id", "entryDate", "exitDate", "country", "legs",
+ *                 "entryBy", "tripType", "notes", "days", "updatedAt" }]
+ *   }
+ *
+ * "legs" is null for single-country trips, otherwise an ordered list of
+ * { country, entryDate, exitDate }. "entryBy" is "air", "sea", "land" or
+ * null when not recorded. The checksum is the SHA-256 of
+ * JSON.stringify(trips) with each trip's fields in the order above, so a
+ * backup edited by hand or cut short when copied is noticed on restore.
+ *
+ * Older formats are upgraded step by step when read:
+ *   version 0 - a bare array of trips (early exports)
+ *   version 1 - { trips, exportDate, version: "1.0" }, no checksum
+ *   version 2 - as version 3 without "legs"
+ *   version 3 - as version 4 without "entryBy"
+ */
+
+import { isValidTripId } from './schengen-rules.js';
+import { validateImportedTrips } from './trip-data.js';
+
+export const BACKUP_FORMAT = 'schengen-calc-backup';
+export const BACKUP_VERSION = 4;
+
+// Trip fields, in checksum order, for each version that has a checksum
+const TRIP_FIELDS = {
+  2: ['id', 'entryDate', 'exitDate', 'country', 'tripType', 'notes', 'days', 'updatedAt'],
+  3: ['id', 'entryDate', 'exitDate', 'country', 'legs', 'tripType', 'notes', 'days', 'updatedAt'],
+  4: ['id', 'entryDate', 'exitDate', 'country', 'legs', 'entryBy', 'tripType', 'notes', 'days', 'updatedAt']
+};
+
+// Fields that make two versions of a trip different
+const COMPARED_FIELDS = ['entryDate', 'exitDate', 'country', 'legs', 'entryBy', 'tripType', 'notes'];
+
+function pickTripFields(trip, fields = TRIP_FIELDS[BACKUP_VERSION]) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = trip && trip[field] !== undefined ? trip[field] : null;
+  }
+  return picked;
+}
+
+async function checksumTrips(trips, fields) {
+  const bytes = new TextEncoder().encode(JSON.stringify(trips.map(trip => pickTripFields(trip, fields))));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+/**
+ * Upgraders from each version to the next. Each takes the parsed data of
+ * its version and returns the data of the following one.
+ */
+const UPGRADERS = {
+  0: trips => ({ trips, exportDate: null, version: '1.0' }),
+  1: data => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportedAt: data.exportDate || null,
+    tripCount: data.trips.length,
+    checksum: null,
+    trips: data.trips.map(trip => pickTripFields(trip, TRIP_FIELDS[2]))
+  }),
+  2: data => ({
+    ...data,
+    version: 3,
+    trips: data.trips.map(trip => ({ ...trip, legs: null }))
+  }),
+  3: data => ({
+    ...data,
+    version: 4,
+    trips: data.trips.map(trip => ({ ...trip, entryBy: null }))
+  })
+};
+
+/**
+ * Version number of parsed backup data, or null if it isn't a backup
+ */
+function detectVersion(data) {
+  if (Array.isArray(data)) {
+    return 0;
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.trips)) {
+    return null;
+  }
+  if (data.format === BACKUP_FORMAT) {
+    return Number(data.version);
+  }
+  // Version 1 wrote "1.0"; anything else without a format is treated the same
+  return 1;
+}
+
+/**
+ * Backup data for the given trips in the current format
+ */
+export async function createBackup(trips, now = new Date()) {
+  const picked = trips.map(trip => pickTripFields(trip));
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    tripCount: picked.length,
+    checksum: await checksumTrips(picked, TRIP_FIELDS[BACKUP_VERSION]),
+    trips: picked
+  };
+}
+
+/**
+ * Read backup text in any known version. Returns { success, backup,
+ * fromVersion, checksum } where backup is in the current format and
+ * checksum is "valid", "mismatch" or "missing" (older versions had none),
+ * or { success: false, error }.
+ */
+export async function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { success: false, error: 'This is not a backup file (it is not valid JSON)' };
+  }
+
+  const fromVersion = detectVersion(data);
+  if (fromVersion === null || !Number.isInteger(fromVersion) || fromVersion < 0) {
+    return { success: false, error: 'This file does not contain a list of trips' };
+  }
+  if (fromVersion > BACKUP_VERSION) {
+    return { success: false, error: 'This backup was made by a newer version of Schengen Calc. Reload the page and try again.' };
+  }
+
+  // Checked before upgrading, against the fields of the version that wrote it
+  let checksum = 'missing';
+  if (TRIP_FIELDS[fromVersion] && data.checksum) {
+    checksum = data.checksum === await checksumTrips(data.trips, TRIP_FIELDS[fromVersion]) ? 'valid' : 'mismatch';
+  }
+
+  let backup = data;
+  for (let version = fromVersion; version < BACKUP_VERSION; version++) {
+    backup = UPGRADERS[version](backup);
+  }
+
+  return { success: true, backup, fromVersion, checksum };
+}
+
+function differingFields(current, incoming) {
+  const value = (trip, field) => (field === 'legs' ? JSON.stringify(trip.legs || null) : String(trip[field] || ''));
+  return COMPARED_FIELDS.filter(field => value(current, field) !== value(incoming, field));
+}
+
+/**
+ * Sort the backup's trips against the trips on this device. Trips are
+ * matched by ID, then by date range (as the CSV import does). Returns
+ * { newTrips, identical, conflicts, localOnly, invalid }; identical and
+ * conflicts hold { current, incoming, differences } pairs, invalid holds
+ * { row, errors }. Backup trips whose ID is outside TRIP_ID_PATTERN get a
+ * new one, so they can only match a trip on this device by date range.
+ */
+export function compareWithBackup(currentTrips, backup, { countries }) {
+  // validateImportedTrips replaces unsafe IDs
+  const results = validateImportedTrips(
+    backup.trips.map((trip, index) => ({ row: index + 1, ...trip })),
+    { countries, existingTrips: [] }
+  );
+
+  const byId = new Map(currentTrips.map(trip => [String(trip.id), trip]));
+  const byRange = new Map(currentTrips.map(trip => [`${trip.entryDate}|${trip.exitDate}`, trip]));
+  const matched = new Set();
+  const comparison = { newTrips: [], identical: [], conflicts: [], localOnly: [], invalid: [] };
+
+  results.forEach((result, index) => {
+    if (!result.trip) {
+      comparison.invalid.push({ row: result.row, errors: result.errors });
+      return;
+    }
+    if (result.duplicate) {
+      return; // repeated within the backup itself
+    }
+
+    const incoming = { ...result.trip, updatedAt: backup.trips[index].updatedAt || result.trip.updatedAt };
+    let current = byId.get(String(incoming.id));
+    if (!current || matched.has(current)) {
+      const sameDates = byRange.get(`${incoming.entryDate}|${incoming.exitDate}`);
+      current = sameDates && !matched.has(sameDates) ? sameDates : null;
+    }
+
+    if (!current) {
+      // An ID already taken by a different trip on this device gets a new one
+      comparison.newTrips.push(byId.has(String(incoming.id)) ? { ...incoming, id: `${Date.now()}${index}` } : incoming);
+      return;
+    }
+
+    matched.add(current);
+    const differences = differingFields(current, incoming);
+    comparison[differences.length > 0 ? 'conflicts' : 'identical'].push({ current, incoming, differences });
+  });
+
+  comparison.localOnly = currentTrips.filter(trip => !matched.has(trip));
+  return comparison;
+}
+
+/**
+ * Trips after a restore. `addNew` lists the IDs of new backup trips to add
+ * and `useBackup` the IDs of conflicting trips whose backup version wins;
+ * with `replaceAll` the device keeps exactly the backup's valid trips.
+ * Restored trips get a fresh updatedAt so account sync keeps them. New
+ * trips with an ID outside TRIP_ID_PATTERN are never added.
+ * Returns { trips, removedIds }.
+ */
+export function applyRestore(currentTrips, comparison, { addNew = [], useBackup = [], replaceAll = false }, now = new Date()) {
+  const updatedAt = now.toISOString();
+  const newTrips = comparison.newTrips.filter(trip => isValidTripId(String(trip.id)));
+
+  if (replaceAll) {
+    const restored = [
+      ...comparison.identical.map(pair => pair.current),
+      ...comparison.conflicts.map(pair => ({ ...pair.incoming, id: pair.current.id, updatedAt })),
+      ...newTrips.map(trip => ({ ...trip, updatedAt }))
+    ];
+    const kept = new Set(restored.map(trip => trip.id));
+    return {
+      trips: restored,
+      removedIds: currentTrips.filter(trip => !kept.has(trip.id)).map(trip => trip.id)
+    };
+  }
+
+  const addIds = new Set(addNew.map(String));
+  const backupIds = new Set(useBackup.map(String));
+  const replacements = new Map(
+    comparison.conflicts
+      .filter(pair => backupIds.has(String(pair.current.id)))
+      .map(pair => {
+        // Legs and the way of arrival aren't carried over: the backup's
+        // trip may have none
+        const { legs, entryBy, ...current } = pair.current;
+        return [pair.current, { ...current, ...pair.incoming, id: pair.current.id, updatedAt }];
+      })
+  );
+
+  return {
+    trips: [
+      ...currentTrips.map(trip => replacements.get(trip) || trip),
+      ...newTrips.filter(trip => addIds.has(String(trip.id))).map(trip => ({ ...trip, updatedAt }))
+    ],
+    removedIds: []
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Schengen Calc - Subscription Checkout
+ * The one checkout flow used by subscribe.html and subscribe-new.html: load
+ * the Square Web Payments SDK for the server's environment, turn the card
+ * into a token and start the subscription with POST /api/create-subscription.
+ */
+
+import { isSignedIn, authorizedFetch } from './auth-client.js';
+import { formatPrice, periodLabel } from './plans.js';
+
+export { isSignedIn, formatPrice, periodLabel };
+
+let configPromise = null;
+
+/**
+ * Public checkout settings: application/location IDs, SDK URL and the plan
+ * catalog from /api/plans
+ */
+export function loadCheckoutConfig() {
+  if (!configPromise) {
+    configPromise = fetch('/api/create-subscription')
+      .then(response => response.json())
+      .then(config => {
+        if (!config.success) {
+          throw new Error(config.error || 'Checkout is not available');
+        }
+        return config;
+      })
+      .catch(error => {
+        configPromise = null;
+        throw error;
+      });
+  }
+  return configPromise;
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error('Could not load the secure payment form'));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Show the Square card fields in the given container
+ * Returns a checkout handle for startSubscription()
+ */
+export async function mountCardForm(selector) {
+  const config = await loadCheckoutConfig();
+
+  if (!window.Square) {
+    await loadScript(config.sdkUrl);
+  }
+
+  const payments = window.Square.payments(config.applicationId, config.locationId);
+  const card = await payments.card();
+  await card.attach(selector);
+
+  return { payments, card, config };
+}
+
+/**
+ * Tokenize the card and start a subscription to planType
+ * (e.g. 'pro-monthly'). Resolves to the endpoint's { success, ... } result;
+ * code is 'signin' or 'verify' when the account needs attention first.
+ */
+export async function startSubscription(checkout, planType, cardholderName) {
+  if (!isSignedIn()) {
+    return { success: false, code: 'signin', error: 'Please sign in to start a subscription' };
+  }
+
+  const tokenResult = await checkout.card.tokenize();
+  if (tokenResult.status !== 'OK') {
+    return { success: false, error: tokenResult.errors?.[0]?.message || 'Please check your card details' };
+  }
+
+  // Strong Customer Authentication for storing the card (UK cards need it)
+  let verificationToken;
+  try {
+    const [givenName, ...familyNames] = (cardholderName || '').trim().split(/\s+/);
+    const verification = await checkout.payments.verifyBuyer(tokenResult.token, {
+      intent: 'STORE',
+      billingContact: { givenName, familyName: familyNames.join(' ') }
+    });
+    verificationToken = verification?.token;
+  } catch (error) {
+    return { success: false, error: 'Your bank could not confirm the card. Please try again.' };
+  }
+
+  const response = await authorizedFetch('/api/create-subscription', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      sourceId: tokenResult.token,
+      verificationToken,
+      planType,
+      cardholderName
+    })
+  });
+  const result = await response.json();
+
+  if (response.status === 401) {
+    return { ...result, code: 'signin' };
+  }
+  if (response.status === 403) {
+    return { ...result, code: 'verify' };
+  }
+  return result;
+}
+
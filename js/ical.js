@@ -0,0 +1,260 @@
+/**
+ * Schengen Calc - iCalendar (RFC 5545) Export and Import
+ * Shared by the calculator page (download and import) and the Pages Functions
+ * (the subscribable calendar feed).
+ *
+ * Trips become all-day events. The dates when used days drop out of the
+ * 180-day window, and the allowance recovers, are added as separate events.
+ * Importing reads VEVENTs back into trip-shaped objects for a preview; the
+ * caller decides which of them become trips.
+ */
+
+import {
+  getRollOffSchedule,
+  isValidTrip,
+  isValidTripId,
+  addDays,
+  today,
+  countTripDays,
+  countSchengenDays,
+  tripLegs,
+  MAX_STAY_DAYS
+} from './schengen-rules.js';
+
+const PRODUCT_ID = '-//Schengen Calc//Trips//EN';
+const UID_DOMAIN = 'shengencalc.com';
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Fold a content line at 75 octets, never splitting a UTF-8 character
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const chSize = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + chSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function allDayEvent({ uid, start, end, summary, description, stamp, transparent = false }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    // DTEND is exclusive for all-day events
+    `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `TRANSP:${transparent ? 'TRANSPARENT' : 'OPAQUE'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Calendar text for a list of trips. Roll-off events cover the days used in
+ * the window ending on the last day of travel (or today, if later), so
+ * recoveries from planned trips are included; only those still to come are
+ * added.
+ */
+export function buildCalendar(trips, { name = 'Schengen trips', includeRollOffs = true, now = new Date(), referenceDate = today() } = {}) {
+  const stamp = formatStamp(now);
+  const validTrips = (trips || []).filter(isValidTrip);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const trip of validTrips) {
+    const days = countTripDays(trip.entryDate, trip.exitDate);
+    const legs = tripLegs(trip);
+    const route = legs.length > 1
+      ? legs.map(leg => `${leg.country}: ${leg.entryDate} to ${leg.exitDate}`).join('\n')
+      : '';
+    lines.push(...allDayEvent({
+      uid: `trip-${trip.id || `${trip.entryDate}-${trip.exitDate}`}@${UID_DOMAIN}`,
+      start: trip.entryDate,
+      end: trip.exitDate,
+      summary: `${countSchengenDays(trip) > 0 ? 'Schengen' : 'Outside Schengen'}: ${legs.map(leg => leg.country).filter(Boolean).join(' → ') || 'Trip'} (${days} day${days === 1 ? '' : 's'})`,
+      description: [route, trip.notes].filter(Boolean).join('\n\n'),
+      stamp
+    }));
+  }
+
+  if (includeRollOffs && validTrips.length > 0) {
+    const lastStay = validTrips.reduce((last, trip) => (trip.exitDate > last ? trip.exitDate : last), referenceDate);
+    for (const entry of getRollOffSchedule(validTrips, lastStay)) {
+      if (entry.recoveryEnd < referenceDate) {
+        continue;
+      }
+      lines.push(...allDayEvent({
+        uid: `rolloff-${entry.stayStart}-${entry.stayEnd}@${UID_DOMAIN}`,
+        start: entry.recoveryStart,
+        end: entry.recoveryEnd,
+        summary: `Schengen: ${entry.days} day${entry.days === 1 ? '' : 's'} come back`,
+        description: `Days spent ${entry.stayStart} to ${entry.stayEnd} drop out of the 180-day window. ` +
+          `With no other travel, ${entry.remainingAfter} of ${MAX_STAY_DAYS} days are available afterwards.`,
+        stamp,
+        transparent: true
+      }));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Date part of a DATE or DATE-TIME value as YYYY-MM-DD, plus whether it
+ * carries a time
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    date: `${match[1]}-${match[2]}-${match[3]}`,
+    hasTime: Boolean(match[4]),
+    midnight: Boolean(match[4]) && match[5] === '00' && match[6] === '00' && match[7] === '00'
+  };
+}
+
+/**
+ * VEVENTs in an iCalendar file as { uid, summary, description, location,
+ * startDate, endDate } with inclusive YYYY-MM-DD dates. Times are read as
+ * the calendar day they are written in; an all-day (or midnight) end is
+ * exclusive, as the standard says.
+ */
+export function parseCalendar(text) {
+  const lines = String(text).replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        let endDate = event.start.date;
+        if (event.end) {
+          endDate = event.end.hasTime && !event.end.midnight ? event.end.date : addDays(event.end.date, -1);
+        }
+        events.push({
+          uid: event.uid || null,
+          summary: event.summary || '',
+          description: event.description || '',
+          location: event.location || '',
+          startDate: event.start.date,
+          endDate: endDate < event.start.date ? event.start.date : endDate
+        });
+      }
+      event = null;
+      continue;
+    }
+    if (!event) {
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon < 0) {
+      continue;
+    }
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1);
+
+    if (name === 'UID') event.uid = value.trim();
+    else if (name === 'SUMMARY') event.summary = unescapeText(value);
+    else if (name === 'DESCRIPTION') event.description = unescapeText(value);
+    else if (name === 'LOCATION') event.location = unescapeText(value);
+    else if (name === 'DTSTART') event.start = parseDateValue(value);
+    else if (name === 'DTEND') event.end = parseDateValue(value);
+  }
+
+  return events;
+}
+
+/**
+ * Trip ID this app wrote into an event's UID, if any. Anyone can write such
+ * a UID into a file, so only IDs the calculator itself could have made are
+ * returned.
+ */
+export function tripIdFromUid(uid) {
+  const match = /^trip-(.+)@shengencalc\.com$/.exec(uid || '');
+  return match && isValidTripId(match[1]) ? match[1] : null;
+}
+
+/**
+ * Whether an event is one of our own roll-off reminders
+ */
+export function isRollOffEvent(event) {
+  return /^rolloff-.+@shengencalc\.com$/.test(event.uid || '');
+}
+
+/**
+ * Draft trips from calendar events for the import preview. The country is
+ * guessed from the summary and location against `countries` (option values
+ * such as "🇫🇷 France"); it is empty when nothing matches.
+ */
+export function eventsToTrips(events, countries = []) {
+  const names = countries.map(value => ({ value, name: value.replace(/^[^A-Za-z]+/, '').toLowerCase() }));
+
+  return events
+    .filter(event => !isRollOffEvent(event))
+    .map(event => {
+      const haystack = `${event.summary} ${event.location}`.toLowerCase();
+      const match = names.find(country => country.name && haystack.includes(country.name));
+      return {
+        id: tripIdFromUid(event.uid),
+        entryDate: event.startDate,
+        exitDate: event.endDate,
+        country: match ? match.value : '',
+        notes: (event.description || event.summary.replace(/^(Outside )?Schengen: /, '')).slice(0, 500),
+        uid: event.uid
+      };
+    });
+}
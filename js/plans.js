@@ -0,0 +1,55 @@
+/**
+ * Schengen Calc - Plan Catalog Helpers
+ * Loads /api/plans once per page and formats prices, so every page shows the
+ * same prices as the checkout charges.
+ */
+
+let catalogPromise = null;
+
+/**
+ * The plan catalog: { environment, plans: [{ planType, tier, name, amount,
+ * currency, frequency, trialDays, features, variationId, available }] }
+ */
+export function loadPlans() {
+  if (!catalogPromise) {
+    catalogPromise = fetch('/api/plans')
+      .then(response => response.json())
+      .then(catalog => {
+        if (!catalog.success) {
+          throw new Error(catalog.error || 'Plans are not available');
+        }
+        return catalog;
+      })
+      .catch(error => {
+        catalogPromise = null;
+        throw error;
+      });
+  }
+  return catalogPromise;
+}
+
+export function findPlan(catalog, planType) {
+  return catalog.plans.find(plan => plan.planType === planType) || null;
+}
+
+/**
+ * Price in pence as text, e.g. "£2.99"; whole pounds drop the pence ("£24")
+ * when `short` is set
+ */
+export function formatPrice(amount, currency = 'GBP', { short = false } = {}) {
+  const value = short && amount % 100 === 0 ? String(amount / 100) : (amount / 100).toFixed(2);
+  return currency === 'GBP' ? `£${value}` : `${value} ${currency}`;
+}
+
+export function periodLabel(frequency) {
+  return frequency === 'ANNUALLY' ? 'per year' : 'per month';
+}
+
+/**
+ * How much a year of the annual plan saves over twelve monthly payments
+ */
+export function annualSaving(catalog, tier) {
+  const monthly = findPlan(catalog, `${tier}-monthly`);
+  const annual = findPlan(catalog, `${tier}-annual`);
+  return monthly && annual ? Math.max(0, monthly.amount * 12 - annual.amount) : 0;
+}
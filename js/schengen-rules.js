@@ -0,0 +1,793 @@
+/**
+ * Schengen Calc - 90/180 Rule Engine
+ * Pure calculation module shared by the calculator page and the Pages Functions.
+ *
+ * Every date is a calendar day in ISO format (YYYY-MM-DD). Dates are converted
+ * to UTC day numbers internally, so results never depend on the user's time zone.
+ * Both the entry day and the exit day count as days of stay, and a day spent
+ * in the Schengen area counts once even when several trips cover it.
+ *
+ * A day only counts when one of the trip's countries that day was in the
+ * Schengen area on that date (see SCHENGEN_ACCESSIONS); trips to countries
+ * outside it are kept for the record but never count.
+ */
+
+export const MAX_STAY_DAYS = 90;
+export const WINDOW_DAYS = 180;
+
+// How a traveller arrived in a country; accession dates can differ by border
+export const ENTRY_MODES = ['air', 'sea', 'land'];
+
+/**
+ * First day on which days in a country count, for countries that joined
+ * after the Schengen rules came into force. Border checks were often
+ * lifted at land borders first and airports later, or the other way round
+ * for Bulgaria and Romania. Countries not listed here or in
+ * NON_SCHENGEN_COUNTRIES always count.
+ */
+export const SCHENGEN_ACCESSIONS = {
+  'Czech Republic': { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Estonia: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Hungary: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Latvia: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Lithuania: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Malta: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Poland: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Slovakia: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Slovenia: { land: '2007-12-21', sea: '2007-12-21', air: '2008-03-30' },
+  Switzerland: { land: '2008-12-12', sea: '2008-12-12', air: '2009-03-29' },
+  Liechtenstein: { land: '2011-12-19', sea: '2011-12-19', air: '2011-12-19' },
+  Croatia: { land: '2023-01-01', sea: '2023-01-01', air: '2023-01-01' },
+  Bulgaria: { land: '2025-01-01', sea: '2024-03-31', air: '2024-03-31' },
+  Romania: { land: '2025-01-01', sea: '2024-03-31', air: '2024-03-31' }
+};
+
+// Countries that can be recorded but are outside the Schengen area
+export const NON_SCHENGEN_COUNTRIES = ['Cyprus', 'Ireland', 'United Kingdom', 'Other non-Schengen country'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Convert an ISO date string, a Date (its local calendar day) or a day number
+ * into a UTC day number
+ */
+export function toDayNumber(date) {
+  if (typeof date === 'number') {
+    return date;
+  }
+
+  if (date instanceof Date) {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+  }
+
+  const match = ISO_DATE_PATTERN.exec(String(date).substring(0, 10));
+  if (!match) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  const day = Number(match[3]);
+  const parsed = new Date(Date.UTC(year, month, day));
+
+  // Reject dates that JavaScript silently rolls over, e.g. 2025-02-30
+  if (parsed.getUTCMonth() !== month || parsed.getUTCDate() !== day) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  return parsed.getTime() / MS_PER_DAY;
+}
+
+/**
+ * Convert a day number back into an ISO date string
+ */
+export function toISODate(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Local Date at midnight for display with toLocaleDateString()
+ */
+export function toLocalDate(date) {
+  const [year, month, day] = toISODate(toDayNumber(date)).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Today's calendar day in the user's own time zone
+ */
+export function today() {
+  return toISODate(toDayNumber(new Date()));
+}
+
+export function addDays(date, days) {
+  return toISODate(toDayNumber(date) + days);
+}
+
+/**
+ * Signed number of days from one date to another (0 for the same day)
+ */
+export function daysBetween(fromDate, toDate) {
+  return toDayNumber(toDate) - toDayNumber(fromDate);
+}
+
+export function isValidDate(date) {
+  try {
+    toDayNumber(date);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Days of stay for a single trip, counting both entry and exit day
+ */
+export function countTripDays(entryDate, exitDate) {
+  return toDayNumber(exitDate) - toDayNumber(entryDate) + 1;
+}
+
+export function isValidTrip(trip) {
+  return Boolean(trip) &&
+    isValidDate(trip.entryDate) &&
+    isValidDate(trip.exitDate) &&
+    toDayNumber(trip.exitDate) >= toDayNumber(trip.entryDate);
+}
+
+// Trip ids end up in the page's markup and URLs, so they are kept to a
+// short run of letters, digits, "-" and "_"
+export const TRIP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidTripId(id) {
+  return typeof id === 'string' && TRIP_ID_PATTERN.test(id);
+}
+
+/**
+ * Country name a trip value refers to, without its flag: "🇫🇷 France" and
+ * "France" are the same country
+ */
+export function countryKey(country) {
+  return String(country || '').replace(/^[^A-Za-z]+/, '').trim();
+}
+
+/**
+ * Whether a country value (e.g. "🇨🇾 Cyprus") is outside the Schengen area
+ */
+export function isOutsideSchengen(country) {
+  return NON_SCHENGEN_COUNTRIES.includes(countryKey(country));
+}
+
+/**
+ * Day number from which days in a country count, -Infinity for always and
+ * Infinity for never. An unknown way of arrival is taken as air, so the
+ * earlier Bulgarian and Romanian date applies and days are not undercounted.
+ */
+function countsFromDay(country, entryBy) {
+  if (isOutsideSchengen(country)) {
+    return Infinity;
+  }
+  const accession = SCHENGEN_ACCESSIONS[countryKey(country)];
+  if (!accession) {
+    return -Infinity;
+  }
+  return toDayNumber(accession[ENTRY_MODES.includes(entryBy) ? entryBy : 'air']);
+}
+
+/**
+ * Whether a day in a country counts toward 90/180
+ */
+export function countsTowardLimit(country, date, entryBy = 'air') {
+  return toDayNumber(date) >= countsFromDay(country, entryBy);
+}
+
+/**
+ * Set of day numbers spent in the Schengen area. Each leg's days count from
+ * the date its country joined; a leg without its own way of arrival uses
+ * the trip's. Trips with missing or inverted dates are ignored rather than
+ * breaking the whole calculation.
+ */
+function collectStayDays(trips) {
+  const stayDays = new Set();
+
+  (trips || []).forEach(trip => {
+    if (!isValidTrip(trip)) {
+      return;
+    }
+
+    let legs = tripLegs(trip).filter(isValidTrip);
+    if (legs.length === 0) {
+      legs = [{ country: trip.country, entryDate: trip.entryDate, exitDate: trip.exitDate }];
+    }
+
+    legs.forEach(leg => {
+      const first = Math.max(toDayNumber(leg.entryDate), countsFromDay(leg.country, leg.entryBy || trip.entryBy));
+      const last = toDayNumber(leg.exitDate);
+      for (let day = first; day <= last; day++) {
+        stayDays.add(day);
+      }
+    });
+  });
+
+  return stayDays;
+}
+
+/**
+ * Days of a trip that count toward 90/180, which can be fewer than its
+ * length (or none) for countries outside the Schengen area at the time
+ */
+export function countSchengenDays(trip) {
+  return collectStayDays([trip]).size;
+}
+
+function countDaysInWindow(stayDays, referenceDay) {
+  let used = 0;
+  for (let day = referenceDay - WINDOW_DAYS + 1; day <= referenceDay; day++) {
+    if (stayDays.has(day)) {
+      used++;
+    }
+  }
+  return used;
+}
+
+/**
+ * Sorted, de-duplicated list of every day of stay as ISO dates
+ */
+export function getStayDays(trips) {
+  return [...collectStayDays(trips)].sort((a, b) => a - b).map(toISODate);
+}
+
+/**
+ * Days used in the 180-day window ending on (and including) the reference date
+ */
+export function daysUsedOn(trips, referenceDate = today()) {
+  return countDaysInWindow(collectStayDays(trips), toDayNumber(referenceDate));
+}
+
+/**
+ * When the days used on the reference date drop out of the window.
+ * A day of stay D stops counting on D + 180. Consecutive days are grouped
+ * into one entry; `remainingAfter` assumes no further travel after the
+ * reference date.
+ */
+export function getRollOffSchedule(trips, referenceDate = today()) {
+  const stayDays = collectStayDays(trips);
+  const referenceDay = toDayNumber(referenceDate);
+  const windowStart = referenceDay - WINDOW_DAYS + 1;
+  const used = countDaysInWindow(stayDays, referenceDay);
+
+  const schedule = [];
+  let current = null;
+  let recovered = 0;
+
+  for (let day = windowStart; day <= referenceDay; day++) {
+    if (!stayDays.has(day)) {
+      current = null;
+      continue;
+    }
+
+    recovered++;
+    if (!current) {
+      current = { stayStart: day, stayEnd: day, days: 0 };
+      schedule.push(current);
+    }
+    current.stayEnd = day;
+    current.days++;
+    current.remainingAfter = Math.max(0, MAX_STAY_DAYS - (used - recovered));
+  }
+
+  return schedule.map(entry => ({
+    stayStart: toISODate(entry.stayStart),
+    stayEnd: toISODate(entry.stayEnd),
+    recoveryStart: toISODate(entry.stayStart + WINDOW_DAYS),
+    recoveryEnd: toISODate(entry.stayEnd + WINDOW_DAYS),
+    days: entry.days,
+    remainingAfter: entry.remainingAfter
+  }));
+}
+
+/**
+ * Full status for a reference date: days used and remaining, overstay and
+ * the schedule of days coming back
+ */
+export function calculateStatus(trips, referenceDate = today()) {
+  const referenceDay = toDayNumber(referenceDate);
+  const used = daysUsedOn(trips, referenceDay);
+  const rollOffs = getRollOffSchedule(trips, referenceDay);
+  const nextRecovery = rollOffs.find(entry => toDayNumber(entry.recoveryStart) > referenceDay) || null;
+
+  return {
+    referenceDate: toISODate(referenceDay),
+    windowStart: toISODate(referenceDay - WINDOW_DAYS + 1),
+    used,
+    remaining: Math.max(0, MAX_STAY_DAYS - used),
+    overstayDays: Math.max(0, used - MAX_STAY_DAYS),
+    compliant: used <= MAX_STAY_DAYS,
+    rollOffs,
+    nextRecovery,
+    daysUntilRecovery: nextRecovery ? daysBetween(referenceDay, nextRecovery.recoveryStart) : null
+  };
+}
+
+/**
+ * Check the 90/180 rule on every day from startDate to endDate inclusive.
+ * Only days actually spent in the Schengen area can be violations.
+ */
+export function checkCompliance(trips, startDate, endDate) {
+  const stayDays = collectStayDays(trips);
+  const first = toDayNumber(startDate);
+  const last = toDayNumber(endDate);
+
+  if (last < first) {
+    throw new Error('End date must not be before start date');
+  }
+
+  const days = [];
+  const violations = [];
+  let used = countDaysInWindow(stayDays, first - 1);
+  let peakUsed = 0;
+
+  for (let day = first; day <= last; day++) {
+    // Slide the window forward one day
+    const present = stayDays.has(day);
+    if (present) {
+      used++;
+    }
+    if (stayDays.has(day - WINDOW_DAYS)) {
+      used--;
+    }
+
+    peakUsed = Math.max(peakUsed, used);
+    days.push({
+      date: toISODate(day),
+      present,
+      used,
+      remaining: Math.max(0, MAX_STAY_DAYS - used)
+    });
+
+    if (present && used > MAX_STAY_DAYS) {
+      violations.push({ date: toISODate(day), used, overBy: used - MAX_STAY_DAYS });
+    }
+  }
+
+  return {
+    compliant: violations.length === 0,
+    peakUsed,
+    firstViolation: violations[0] || null,
+    violations,
+    days
+  };
+}
+
+/**
+ * Present days that break the rule between two day numbers inclusive
+ */
+function findViolationDays(stayDays, firstDay, lastDay) {
+  const violations = new Set();
+  let used = countDaysInWindow(stayDays, firstDay - 1);
+
+  for (let day = firstDay; day <= lastDay; day++) {
+    const present = stayDays.has(day);
+    if (present) {
+      used++;
+    }
+    if (stayDays.has(day - WINDOW_DAYS)) {
+      used--;
+    }
+    if (present && used > MAX_STAY_DAYS) {
+      violations.add(day);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Whether a stay creates a violation that the recorded trips did not already have.
+ * A stay day can push recorded trips up to 179 days later over the limit too.
+ */
+function createsNewViolation(baseDays, baseViolations, entryDay, length) {
+  const withStay = new Set(baseDays);
+  for (let day = entryDay; day < entryDay + length; day++) {
+    withStay.add(day);
+  }
+
+  const violations = findViolationDays(withStay, entryDay, entryDay + length - 1 + WINDOW_DAYS - 1);
+  return [...violations].some(day => !baseViolations.has(day));
+}
+
+/**
+ * Day-by-day breakdown of a stay: days used, days dropping out of the window
+ * and days left on each day
+ */
+function explainStay(baseDays, entryDay, length) {
+  const withStay = new Set(baseDays);
+  for (let day = entryDay; day < entryDay + length; day++) {
+    withStay.add(day);
+  }
+
+  const explanation = [];
+  let used = countDaysInWindow(withStay, entryDay - 1);
+
+  for (let day = entryDay; day < entryDay + length; day++) {
+    const rolledOff = withStay.has(day - WINDOW_DAYS);
+    used++;
+    if (rolledOff) {
+      used--;
+    }
+    explanation.push({
+      day: day - entryDay + 1,
+      date: toISODate(day),
+      used,
+      rolledOff: rolledOff ? toISODate(day - WINDOW_DAYS) : null,
+      remaining: Math.max(0, MAX_STAY_DAYS - used)
+    });
+  }
+
+  return explanation;
+}
+
+/**
+ * Longest compliant stay when entering on entryDate. Days rolling off the
+ * window during the stay are taken into account, and the stay must not push
+ * any recorded trip over the limit.
+ */
+export function getMaxStay(trips, entryDate) {
+  const baseDays = collectStayDays(trips);
+  const entryDay = toDayNumber(entryDate);
+  const horizon = entryDay + MAX_STAY_DAYS - 1 + WINDOW_DAYS - 1;
+  const baseViolations = findViolationDays(baseDays, entryDay, horizon);
+
+  let maxDays = 0;
+  while (maxDays < MAX_STAY_DAYS && !createsNewViolation(baseDays, baseViolations, entryDay, maxDays + 1)) {
+    maxDays++;
+  }
+
+  return {
+    entryDate: toISODate(entryDay),
+    maxDays,
+    latestExitDate: maxDays > 0 ? toISODate(entryDay + maxDays - 1) : null,
+    days: explainStay(baseDays, entryDay, maxDays)
+  };
+}
+
+/**
+ * Earliest entry date on or after fromDate that allows an uninterrupted
+ * stay of stayLength days. Returns null when no date within the search
+ * horizon works.
+ */
+export function findEarliestEntry(trips, stayLength, fromDate = today(), horizonDays = 2 * 365) {
+  if (!Number.isInteger(stayLength) || stayLength < 1 || stayLength > MAX_STAY_DAYS) {
+    throw new Error(`Stay length must be between 1 and ${MAX_STAY_DAYS} days`);
+  }
+
+  const baseDays = collectStayDays(trips);
+  const firstDay = toDayNumber(fromDate);
+  const baseViolations = findViolationDays(baseDays, firstDay, firstDay + horizonDays + stayLength + WINDOW_DAYS);
+
+  for (let entryDay = firstDay; entryDay <= firstDay + horizonDays; entryDay++) {
+    if (!createsNewViolation(baseDays, baseViolations, entryDay, stayLength)) {
+      return {
+        entryDate: toISODate(entryDay),
+        exitDate: toISODate(entryDay + stayLength - 1),
+        waitDays: entryDay - firstDay,
+        days: explainStay(baseDays, entryDay, stayLength)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Simulate draft trips on top of the recorded ones. Only violations caused by
+ * the drafts are reported; recorded trips that already break the rule on their
+ * own are left to calculateStatus().
+ */
+export function simulateItinerary(recordedTrips, draftTrips) {
+  const drafts = (draftTrips || []).filter(isValidTrip);
+  if (drafts.length === 0) {
+    return { compliant: true, firstOverstay: null, overstayDays: 0, maxOverBy: 0, violations: [] };
+  }
+
+  const baseDays = collectStayDays(recordedTrips);
+  const planDays = collectStayDays([...(recordedTrips || []), ...drafts]);
+  const firstDay = Math.min(...drafts.map(trip => toDayNumber(trip.entryDate)));
+  const lastDay = Math.max(...[...planDays].filter(day => day >= firstDay), firstDay) + WINDOW_DAYS - 1;
+
+  const baseViolations = findViolationDays(baseDays, firstDay, lastDay);
+  const violations = [...findViolationDays(planDays, firstDay, lastDay)]
+    .filter(day => !baseViolations.has(day))
+    .sort((a, b) => a - b)
+    .map(day => {
+      const used = countDaysInWindow(planDays, day);
+      const trip = drafts.find(draft => day >= toDayNumber(draft.entryDate) && day <= toDayNumber(draft.exitDate)) || null;
+      return { date: toISODate(day), used, overBy: used - MAX_STAY_DAYS, trip };
+    });
+
+  return {
+    compliant: violations.length === 0,
+    firstOverstay: violations[0] || null,
+    overstayDays: violations.length,
+    maxOverBy: violations.reduce((max, violation) => Math.max(max, violation.overBy), 0),
+    violations
+  };
+}
+
+/**
+ * Smallest single change to one draft trip that makes the whole plan compliant:
+ * leave earlier (shorten) or move the trip later (shift), never before today.
+ * Suggestions are sorted by how many days they change.
+ */
+export function suggestItineraryFixes(recordedTrips, draftTrips, earliestDate = today(), maxShiftDays = 365) {
+  const drafts = draftTrips || [];
+  const earliestDay = toDayNumber(earliestDate);
+  const suggestions = [];
+
+  const compliantWith = (index, replacement) => {
+    const plan = drafts.map((trip, i) => (i === index ? replacement : trip));
+    return simulateItinerary(recordedTrips, plan).compliant;
+  };
+
+  drafts.forEach((trip, index) => {
+    if (!isValidTrip(trip)) {
+      return;
+    }
+
+    const entryDay = toDayNumber(trip.entryDate);
+    const exitDay = toDayNumber(trip.exitDate);
+    const length = exitDay - entryDay + 1;
+
+    for (let cut = 1; cut < length; cut++) {
+      const shortened = { ...trip, exitDate: toISODate(exitDay - cut) };
+      if (compliantWith(index, shortened)) {
+        suggestions.push({ type: 'shorten', tripIndex: index, days: cut, trip: shortened });
+        break;
+      }
+    }
+
+    for (let shift = 1; shift <= maxShiftDays; shift++) {
+      if (entryDay + shift < earliestDay) {
+        continue;
+      }
+      const shifted = {
+        ...trip,
+        entryDate: toISODate(entryDay + shift),
+        exitDate: toISODate(exitDay + shift)
+      };
+      if (compliantWith(index, shifted)) {
+        suggestions.push({ type: 'shift', tripIndex: index, days: shift, trip: shifted });
+        break;
+      }
+    }
+  });
+
+  return suggestions.sort((a, b) => a.days - b.days);
+}
+
+// Days remaining at which the traffic light turns from green to amber to red
+export const RISK_THRESHOLDS = { caution: 60, danger: 30 };
+
+const RISK_ORDER = ['overstay', 'danger', 'caution', 'safe'];
+
+/**
+ * Risk level for one traveller on the reference date, with the next date on
+ * which they would break the rule: the first overstay in their recorded or
+ * planned trips, or, while they are in the Schengen area, the first day
+ * past the longest stay they can still make. Levels follow the calculator's
+ * traffic light, with 'overstay' for anyone over the limit now or later.
+ */
+export function assessRisk(trips, referenceDate = today()) {
+  const referenceDay = toDayNumber(referenceDate);
+  const status = calculateStatus(trips, referenceDay);
+  const stayDays = collectStayDays(trips);
+  const lastStayDay = Math.max(...stayDays, referenceDay);
+
+  let nextRiskyDate = null;
+  let reason = null;
+
+  const planned = findViolationDays(stayDays, referenceDay, lastStayDay);
+  if (planned.size > 0) {
+    nextRiskyDate = toISODate(Math.min(...planned));
+    reason = 'overstay';
+  } else if (stayDays.has(referenceDay)) {
+    // The day after the longest stay that is still possible from today
+    const { maxDays } = getMaxStay(trips, toISODate(referenceDay));
+    nextRiskyDate = toISODate(referenceDay + maxDays);
+    reason = 'stay_limit';
+  }
+
+  let level = 'safe';
+  if (status.overstayDays > 0 || reason === 'overstay') {
+    level = 'overstay';
+  } else if (status.remaining < RISK_THRESHOLDS.danger) {
+    level = 'danger';
+  } else if (status.remaining < RISK_THRESHOLDS.caution) {
+    level = 'caution';
+  }
+
+  return {
+    referenceDate: status.referenceDate,
+    used: status.used,
+    remaining: status.remaining,
+    overstayDays: status.overstayDays,
+    level,
+    nextRiskyDate,
+    reason,
+    nextRecovery: status.nextRecovery
+  };
+}
+
+/**
+ * Sort order for risk assessments: highest level first, then fewest days
+ * remaining (null, for no limit, last), then the soonest risky date
+ */
+export function compareRisk(a, b) {
+  return RISK_ORDER.indexOf(a.level) - RISK_ORDER.indexOf(b.level) ||
+    (a.remaining ?? Infinity) - (b.remaining ?? Infinity) ||
+    (a.nextRiskyDate || '9999-12-31').localeCompare(b.nextRiskyDate || '9999-12-31');
+}
+
+/**
+ * Groups of trips that share calendar days. A group is "adjacent" when its
+ * trips only touch on a border-crossing day (one trip's exit day is the next
+ * one's entry day) and "overlap" otherwise. sharedDays is how many days the
+ * trips' own day counts add up to beyond the days actually spent; those days
+ * are still counted once by every calculation here.
+ */
+export function findTripConflicts(trips) {
+  const sorted = (trips || [])
+    .filter(isValidTrip)
+    .map(trip => ({ trip, entry: toDayNumber(trip.entryDate), exit: toDayNumber(trip.exitDate) }))
+    .sort((a, b) => a.entry - b.entry || a.exit - b.exit);
+
+  const groups = [];
+  let group = null;
+  for (const item of sorted) {
+    if (group && item.entry <= group.exit) {
+      // Touching only on the last day of the group so far is a same-day crossing
+      if (item.entry < group.exit || item.exit === group.exit) {
+        group.type = 'overlap';
+      }
+      group.items.push(item);
+      group.exit = Math.max(group.exit, item.exit);
+    } else {
+      group = { items: [item], entry: item.entry, exit: item.exit, type: 'adjacent' };
+      groups.push(group);
+    }
+  }
+
+  return groups
+    .filter(candidate => candidate.items.length > 1)
+    .map(candidate => ({
+      type: candidate.type,
+      trips: candidate.items.map(item => item.trip),
+      entryDate: toISODate(candidate.entry),
+      exitDate: toISODate(candidate.exit),
+      sharedDays: candidate.items.reduce((sum, item) => sum + item.exit - item.entry + 1, 0) -
+        collectStayDays(candidate.items.map(item => item.trip)).size
+    }));
+}
+
+/**
+ * One trip covering every day of a conflict group. Fields other than the
+ * dates come from the group's longest trip and notes are combined. When the
+ * trips were in different countries the result has legs in date order; a
+ * leg that falls entirely within an earlier one is dropped.
+ */
+export function mergeTrips(trips) {
+  const valid = (trips || []).filter(isValidTrip);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const longest = valid.reduce((best, trip) =>
+    (countTripDays(trip.entryDate, trip.exitDate) > countTripDays(best.entryDate, best.exitDate) ? trip : best));
+  const notes = [...new Set(valid.map(trip => trip.notes).filter(Boolean))];
+
+  const legs = [];
+  valid
+    .flatMap(tripLegs)
+    .sort((a, b) => a.entryDate.localeCompare(b.entryDate) || a.exitDate.localeCompare(b.exitDate))
+    .forEach(leg => {
+      const previous = legs[legs.length - 1];
+      if (!previous) {
+        legs.push({ ...leg });
+      } else if (leg.country === previous.country && toDayNumber(leg.entryDate) <= toDayNumber(previous.exitDate) + 1) {
+        previous.exitDate = leg.exitDate > previous.exitDate ? leg.exitDate : previous.exitDate;
+      } else if (leg.exitDate > previous.exitDate) {
+        // Overlapping legs are cut back to a border crossing on the previous leg's last day
+        legs.push({ ...leg, entryDate: leg.entryDate > previous.exitDate ? leg.entryDate : previous.exitDate });
+      }
+    });
+
+  const { legs: omitted, ...merged } = longest;
+  const entryDate = legs[0].entryDate;
+  const exitDate = legs.reduce((last, leg) => (leg.exitDate > last ? leg.exitDate : last), legs[0].exitDate);
+  return {
+    ...merged,
+    entryDate,
+    exitDate,
+    country: legs[0].country,
+    ...(legs.length > 1 ? { legs } : {}),
+    notes: notes.join(' / '),
+    days: countTripDays(entryDate, exitDate)
+  };
+}
+
+/**
+ * A trip's legs in order, each { country, entryDate, exitDate }. Trips
+ * without legs are a single leg in their own country.
+ */
+export function tripLegs(trip) {
+  if (Array.isArray(trip.legs) && trip.legs.length > 0) {
+    return trip.legs;
+  }
+  return [{ country: trip.country, entryDate: trip.entryDate, exitDate: trip.exitDate }];
+}
+
+/**
+ * Problem with a trip's legs, or null when they are usable. Each leg needs
+ * a country and valid dates, and starts on the day the previous leg ends
+ * (crossing a border that day) or the day after, so the legs together make
+ * one uninterrupted stay.
+ */
+export function validateLegs(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return 'A trip needs at least one leg';
+  }
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    if (!leg || !leg.country || typeof leg.country !== 'string') {
+      return `Leg ${i + 1} needs a country`;
+    }
+    if (leg.entryBy !== undefined && leg.entryBy !== null && !ENTRY_MODES.includes(leg.entryBy)) {
+      return `Leg ${i + 1} needs an arrival by ${ENTRY_MODES.join(', ')}`;
+    }
+    if (!isValidTrip(leg)) {
+      return `Leg ${i + 1} needs valid dates, with the exit on or after the entry`;
+    }
+    if (i > 0) {
+      const gap = daysBetween(legs[i - 1].exitDate, leg.entryDate);
+      if (gap < 0) {
+        return `Leg ${i + 1} starts before leg ${i} ends`;
+      }
+      if (gap > 1) {
+        return `Leg ${i + 1} doesn't start the day leg ${i} ends or the next day; record separate trips instead`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Days spent in each country from `from` to `to` (inclusive), from the
+ * trips' legs, as [{ country, days }] with the most days first. A day counts
+ * once per country even when trips overlap, and a border-crossing day
+ * counts for both countries, so the figures can add up to more than the
+ * days of stay used by the 90/180 calculations.
+ */
+export function countDaysByCountry(trips, from, to) {
+  const firstDay = toDayNumber(from);
+  const lastDay = toDayNumber(to);
+  const countryDays = new Map();
+
+  (trips || []).filter(isValidTrip).forEach(trip => {
+    tripLegs(trip).filter(isValidTrip).forEach(leg => {
+      if (!countryDays.has(leg.country)) {
+        countryDays.set(leg.country, new Set());
+      }
+      const last = Math.min(toDayNumber(leg.exitDate), lastDay);
+      for (let day = Math.max(toDayNumber(leg.entryDate), firstDay); day <= last; day++) {
+        countryDays.get(leg.country).add(day);
+      }
+    });
+  });
+
+  return [...countryDays.entries()]
+    .map(([country, days]) => ({ country, days: days.size }))
+    .filter(entry => entry.days > 0)
+    .sort((a, b) => b.days - a.days || a.country.localeCompare(b.country));
+}
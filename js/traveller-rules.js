@@ -0,0 +1,581 @@
+/**
+ * Schengen Calc - Traveller Rules
+ * Which short-stay rule applies to a traveller, from their profile. Shared by
+ * the calculator page and the Pages Functions, on top of the 90/180 engine.
+ *
+ * Traveller profile:
+ *
+ *   {
+ *     "passports": ["US", "IE"],
+ *     "visas": [{ "id", "validFrom", "validUntil", "days", "entries" }],
+ *     "permits": [{ "id", "type", "country", "from", "to" }]
+ *   }
+ *
+ * Passports are ISO 3166-1 alpha-2 codes and the most favourable one
+ * applies: EU/EEA/Swiss citizens move freely with no limit, visa-exempt
+ * nationals follow 90/180, and everyone else also needs a Schengen visa
+ * covering each day, within its duration of stay ("days") and number of
+ * entries ("single", "double" or "multiple").
+ *
+ * A residence permit or national long-stay (D) visa covers its "from" to
+ * "to" period. Days spent in the issuing country (a trip country value such
+ * as "🇫🇷 France"; empty for any country) don't count toward 90/180, and no
+ * Schengen visa is needed anywhere during the period.
+ */
+
+import {
+  assessRisk,
+  calculateStatus,
+  countryKey,
+  getMaxStay,
+  findEarliestEntry,
+  getStayDays,
+  isValidDate,
+  isValidTrip,
+  tripLegs,
+  toDayNumber,
+  toISODate,
+  daysBetween,
+  today,
+  MAX_STAY_DAYS,
+  RISK_THRESHOLDS
+} from './schengen-rules.js';
+
+export const RULES = {
+  FREE_MOVEMENT: 'free-movement',
+  VISA_EXEMPT: 'visa-exempt',
+  VISA_REQUIRED: 'visa-required'
+};
+
+export const PERMIT_TYPES = {
+  'residence-permit': 'Residence permit',
+  'long-stay-visa': 'National long-stay (D) visa'
+};
+
+export const VISA_ENTRIES = { single: 1, double: 2, multiple: Infinity };
+
+// EU member states plus Iceland, Liechtenstein, Norway and Switzerland
+const FREE_MOVEMENT_COUNTRIES = new Set((
+  'AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL PL PT RO SK SI ES SE ' +
+  'IS LI NO CH'
+).split(' '));
+
+// Regulation (EU) 2018/1806, Annex II: no visa needed for short stays
+const VISA_EXEMPT_COUNTRIES = new Set((
+  'AD AE AG AL AR AU BA BB BN BR BS BZ CA CL CO CR DM FM GB GD GE GT HK HN IL JP KI KN ' +
+  'KR LC MC MD ME MH MK MO MU MX MY NI NR NZ PA PE PW PY RS SB SC SG SM SV TL TO TT TV ' +
+  'TW UA US UY VA VC VE WS XK'
+).split(' '));
+
+// Nationalities that can be picked for a passport
+export const PASSPORT_COUNTRIES = (
+  'AD AE AF AG AL AM AO AR AT AU AZ BA BB BD BE BF BG BH BI BJ BN BO BR BS BT BW BY BZ ' +
+  'CA CD CF CG CH CI CL CM CN CO CR CU CV CY CZ DE DJ DK DM DO DZ EC EE EG ER ES ET FI ' +
+  'FJ FM FR GA GB GD GE GH GM GN GQ GR GT GW GY HK HN HR HT HU ID IE IL IN IQ IR IS IT ' +
+  'JM JO JP KE KG KH KI KM KN KP KR KW KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME ' +
+  'MG MH MK ML MM MN MO MR MT MU MV MW MX MY MZ NA NE NG NI NL NO NP NR NZ OM PA PE PG ' +
+  'PH PK PL PS PT PW PY QA RO RS RU RW SA SB SC SD SE SG SI SK SL SM SN SO SR SS ST SV ' +
+  'SY SZ TD TG TH TJ TL TM TN TO TR TT TV TW TZ UA UG US UY UZ VA VC VE VN VU WS XK YE ' +
+  'ZA ZM ZW'
+).split(' ');
+
+const RULE_ORDER = [RULES.FREE_MOVEMENT, RULES.VISA_EXEMPT, RULES.VISA_REQUIRED];
+
+/**
+ * English name of a passport country, falling back to its code
+ */
+export function passportCountryName(code) {
+  if (code === 'XK') {
+    return 'Kosovo';
+  }
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Rule for a single nationality
+ */
+export function nationalityRule(code) {
+  const upper = String(code || '').toUpperCase();
+  if (FREE_MOVEMENT_COUNTRIES.has(upper)) {
+    return RULES.FREE_MOVEMENT;
+  }
+  if (VISA_EXEMPT_COUNTRIES.has(upper)) {
+    return RULES.VISA_EXEMPT;
+  }
+  return RULES.VISA_REQUIRED;
+}
+
+/**
+ * Rule that applies to a profile and the passport it comes from. Without a
+ * passport, 90/180 applies as it always has in the calculator.
+ */
+export function applicableRule(profile) {
+  const passports = (profile && profile.passports) || [];
+  if (passports.length === 0) {
+    return { rule: RULES.VISA_EXEMPT, passport: null };
+  }
+
+  return passports
+    .map(passport => ({ rule: nationalityRule(passport), passport }))
+    .sort((a, b) => RULE_ORDER.indexOf(a.rule) - RULE_ORDER.indexOf(b.rule))[0];
+}
+
+const PROFILE_LISTS = ['passports', 'visas', 'permits'];
+
+function isEntry(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Lists and entries of the wrong type are kept for validateProfile to reject
+function normalizeList(value, normalizeItem) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(item => normalizeItem(item)) : value;
+}
+
+/**
+ * Profile with every list present, passports upper-cased and de-duplicated
+ */
+export function normalizeProfile(profile) {
+  const source = profile && typeof profile === 'object' ? profile : {};
+  const passports = normalizeList(source.passports, code => (typeof code === 'string' ? code.trim().toUpperCase() : code));
+  return {
+    passports: Array.isArray(passports) ? [...new Set(passports.filter(code => code !== ''))] : passports,
+    visas: normalizeList(source.visas, visa => (isEntry(visa) ? {
+      id: String(visa.id || ''),
+      validFrom: visa.validFrom,
+      validUntil: visa.validUntil,
+      days: Number(visa.days),
+      entries: visa.entries || 'multiple'
+    } : visa)),
+    permits: normalizeList(source.permits, permit => (isEntry(permit) ? {
+      id: String(permit.id || ''),
+      type: permit.type || 'residence-permit',
+      country: permit.country || '',
+      from: permit.from,
+      to: permit.to
+    } : permit))
+  };
+}
+
+/**
+ * Problem with the lists of a normalized profile: each must be a list, of
+ * country codes for passports and of objects for visas and permits
+ */
+export function profileShapeError(profile) {
+  for (const list of PROFILE_LISTS) {
+    if (profile[list] !== undefined && !Array.isArray(profile[list])) {
+      return `${list} must be a list`;
+    }
+  }
+  if ((profile.passports || []).some(passport => typeof passport !== 'string')) {
+    return 'passports must be a list of country codes';
+  }
+
+  const visa = (profile.visas || []).findIndex(item => !isEntry(item));
+  if (visa !== -1) {
+    return `Visa ${visa + 1} must be an object`;
+  }
+  const permit = (profile.permits || []).findIndex(item => !isEntry(item));
+  if (permit !== -1) {
+    return `Permit ${permit + 1} must be an object`;
+  }
+  return null;
+}
+
+/**
+ * Problem with a profile, or null when it is usable
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return 'Profile must be an object';
+  }
+
+  const shapeError = profileShapeError(profile);
+  if (shapeError) {
+    return shapeError;
+  }
+
+  for (const passport of profile.passports || []) {
+    if (!PASSPORT_COUNTRIES.includes(passport)) {
+      return `Unknown passport country: ${passport}`;
+    }
+  }
+
+  for (const [index, visa] of (profile.visas || []).entries()) {
+    if (!isValidDate(visa.validFrom) || !isValidDate(visa.validUntil) || visa.validUntil < visa.validFrom) {
+      return `Visa ${index + 1} needs valid dates, with "valid until" on or after "valid from"`;
+    }
+    if (!Number.isInteger(visa.days) || visa.days < 1 || visa.days > MAX_STAY_DAYS) {
+      return `Visa ${index + 1} needs a duration of stay between 1 and ${MAX_STAY_DAYS} days`;
+    }
+    if (!VISA_ENTRIES[visa.entries]) {
+      return `Visa ${index + 1} needs single, double or multiple entries`;
+    }
+  }
+
+  for (const [index, permit] of (profile.permits || []).entries()) {
+    if (!PERMIT_TYPES[permit.type]) {
+      return `Permit ${index + 1} has an unknown type`;
+    }
+    if (!isValidDate(permit.from) || !isValidDate(permit.to) || permit.to < permit.from) {
+      return `Permit ${index + 1} needs valid dates, with the end on or after the start`;
+    }
+    if (typeof permit.country !== 'string' || permit.country.length > 100) {
+      return `Permit ${index + 1} has an invalid country`;
+    }
+  }
+
+  return null;
+}
+
+function permitCovers(permit, day) {
+  return isValidDate(permit.from) && isValidDate(permit.to) &&
+    day >= toDayNumber(permit.from) && day <= toDayNumber(permit.to);
+}
+
+/**
+ * Countries of a trip on a given day, from its legs
+ */
+function countriesOnDay(trip, day) {
+  return tripLegs(trip)
+    .filter(leg => isValidTrip(leg) && day >= toDayNumber(leg.entryDate) && day <= toDayNumber(leg.exitDate))
+    .map(leg => leg.country);
+}
+
+function isExcludedDay(trip, day, permits) {
+  return permits.some(permit => permitCovers(permit, day) &&
+    (!permit.country || countriesOnDay(trip, day).some(country => countryKey(country) === countryKey(permit.country))));
+}
+
+function clipLegs(legs, entryDate, exitDate) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return legs;
+  }
+  return legs
+    .filter(leg => leg.exitDate >= entryDate && leg.entryDate <= exitDate)
+    .map(leg => ({
+      ...leg,
+      entryDate: leg.entryDate < entryDate ? entryDate : leg.entryDate,
+      exitDate: leg.exitDate > exitDate ? exitDate : leg.exitDate
+    }));
+}
+
+/**
+ * Trips as the 90/180 calculations should see them: days covered by a
+ * residence permit or long-stay visa are cut out, splitting a trip into
+ * pieces where needed. Pieces keep the trip's other fields.
+ */
+export function countingTrips(trips, profile) {
+  const permits = (profile && profile.permits) || [];
+  if (permits.length === 0) {
+    return trips || [];
+  }
+
+  const pieces = [];
+  (trips || []).forEach(trip => {
+    if (!isValidTrip(trip)) {
+      pieces.push(trip);
+      return;
+    }
+
+    const last = toDayNumber(trip.exitDate);
+    let start = null;
+    for (let day = toDayNumber(trip.entryDate); day <= last + 1; day++) {
+      const counts = day <= last && !isExcludedDay(trip, day, permits);
+      if (counts && start === null) {
+        start = day;
+      } else if (!counts && start !== null) {
+        const entryDate = toISODate(start);
+        const exitDate = toISODate(day - 1);
+        pieces.push({ ...trip, entryDate, exitDate, legs: clipLegs(trip.legs, entryDate, exitDate) });
+        start = null;
+      }
+    }
+  });
+
+  return pieces;
+}
+
+/**
+ * Visa that a day of stay uses: of the visas valid that day, the one
+ * issued most recently
+ */
+function visaForDay(visas, day) {
+  return visas
+    .filter(visa => day >= toDayNumber(visa.validFrom) && day <= toDayNumber(visa.validUntil))
+    .sort((a, b) => b.validFrom.localeCompare(a.validFrom))[0] || null;
+}
+
+/**
+ * Check visa-required trips against the recorded visas. Counted days
+ * outside any permit period need a visa valid that day; each visa's days
+ * and entries (the first day of each uninterrupted stay) are added up.
+ * Returns { usage, problems }: usage is [{ visa, daysUsed, entriesUsed,
+ * daysLeft, entriesLeft }] and problems is [{ type, date, visa, message }]
+ * with type 'no-visa', 'visa-days' or 'visa-entries'. Travellers who
+ * don't need a visa get empty lists.
+ */
+export function checkVisas(trips, profile) {
+  const { rule } = applicableRule(profile);
+  if (rule !== RULES.VISA_REQUIRED) {
+    return { usage: [], problems: [] };
+  }
+
+  const visas = ((profile && profile.visas) || []).filter(visa => isValidDate(visa.validFrom) && isValidDate(visa.validUntil));
+  const permits = (profile && profile.permits) || [];
+
+  const visaDays = new Set(
+    getStayDays(countingTrips(trips, profile))
+      .map(toDayNumber)
+      .filter(day => !permits.some(permit => permitCovers(permit, day)))
+  );
+
+  const usage = new Map(visas.map(visa => [visa, { visa, daysUsed: 0, entriesUsed: 0 }]));
+  const problems = [];
+  let lastNoVisaDay = null;
+
+  [...visaDays].sort((a, b) => a - b).forEach(day => {
+    const visa = visaForDay(visas, day);
+    if (!visa) {
+      // One problem per uninterrupted run of days without a visa
+      if (lastNoVisaDay !== day - 1) {
+        problems.push({ type: 'no-visa', date: toISODate(day), visa: null, message: `No valid Schengen visa on ${toISODate(day)}` });
+      }
+      lastNoVisaDay = day;
+      return;
+    }
+
+    const entry = usage.get(visa);
+    entry.daysUsed++;
+    if (entry.daysUsed === visa.days + 1) {
+      problems.push({ type: 'visa-days', date: toISODate(day), visa, message: `More than the visa's ${visa.days} days from ${toISODate(day)}` });
+    }
+    if (!visaDays.has(day - 1) || visaForDay(visas, day - 1) !== visa) {
+      entry.entriesUsed++;
+      if (entry.entriesUsed === VISA_ENTRIES[visa.entries] + 1) {
+        problems.push({ type: 'visa-entries', date: toISODate(day), visa, message: `More entries than the ${visa.entries}-entry visa allows on ${toISODate(day)}` });
+      }
+    }
+  });
+
+  return {
+    usage: [...usage.values()].map(entry => ({
+      ...entry,
+      daysLeft: Math.max(0, entry.visa.days - entry.daysUsed),
+      entriesLeft: Math.max(0, VISA_ENTRIES[entry.visa.entries] - entry.entriesUsed)
+    })),
+    problems: problems.sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+function inPermitPeriod(profile, date) {
+  const day = toDayNumber(date);
+  return ((profile && profile.permits) || []).some(permit => permitCovers(permit, day));
+}
+
+/**
+ * Longest stay a visa still allows from entryDate, or null when no visa is
+ * needed that day. 0 when there is no valid visa or its entries are used up.
+ */
+function visaStayLimit(trips, profile, entryDate) {
+  if (applicableRule(profile).rule !== RULES.VISA_REQUIRED || inPermitPeriod(profile, entryDate)) {
+    return null;
+  }
+
+  const visa = visaForDay((profile.visas || []).filter(v => isValidDate(v.validFrom) && isValidDate(v.validUntil)), toDayNumber(entryDate));
+  if (!visa) {
+    return { visa: null, maxDays: 0 };
+  }
+
+  const usage = checkVisas(trips, profile).usage.find(entry => entry.visa === visa);
+  const alreadyInside = countingTrips(trips, profile)
+    .some(trip => isValidTrip(trip) && trip.entryDate < entryDate && trip.exitDate >= toISODate(toDayNumber(entryDate) - 1));
+  const maxDays = usage.entriesLeft > 0 || alreadyInside
+    ? Math.min(usage.daysLeft, daysBetween(entryDate, visa.validUntil) + 1)
+    : 0;
+
+  return { visa, maxDays, usage };
+}
+
+/**
+ * Where a traveller stands on the reference date under the rule that
+ * applies to them. Returns the 90/180 status of the counted days plus
+ * { rule, passport, unlimited, remaining, limitedBy, visa, problems }.
+ * remaining is null for free movement; limitedBy is 'rule', 'visa' or
+ * 'no-visa' (a visa is needed and none is valid). Visa problems in the
+ * current window make the status non-compliant, like an overstay.
+ */
+export function assessTraveller(trips, profile, referenceDate = today()) {
+  const { rule, passport } = applicableRule(profile);
+  const status = calculateStatus(countingTrips(trips, profile), referenceDate);
+
+  if (rule === RULES.FREE_MOVEMENT) {
+    return {
+      ...status,
+      rule,
+      passport,
+      unlimited: true,
+      remaining: null,
+      overstayDays: 0,
+      compliant: true,
+      limitedBy: null,
+      visa: null,
+      problems: []
+    };
+  }
+
+  const { problems } = checkVisas(trips, profile);
+  const limit = visaStayLimit(trips, profile, status.referenceDate);
+  let remaining = status.remaining;
+  let limitedBy = 'rule';
+
+  if (limit && limit.maxDays < remaining) {
+    remaining = limit.maxDays;
+    limitedBy = limit.visa ? 'visa' : 'no-visa';
+  }
+
+  return {
+    ...status,
+    rule,
+    passport,
+    unlimited: false,
+    remaining,
+    compliant: status.compliant && !problems.some(problem => problem.date >= status.windowStart && problem.date <= status.referenceDate),
+    limitedBy,
+    visa: limit && limit.usage ? limit.usage : null,
+    problems
+  };
+}
+
+/**
+ * getMaxStay() under the traveller's rule: null for free movement, otherwise
+ * capped by the visa valid on the entry date. Adds limitedBy ('rule',
+ * 'visa' or 'no-visa').
+ */
+export function maxStayForTraveller(trips, profile, entryDate) {
+  if (applicableRule(profile).rule === RULES.FREE_MOVEMENT) {
+    return null;
+  }
+
+  const result = getMaxStay(countingTrips(trips, profile), entryDate);
+  const limit = visaStayLimit(trips, profile, entryDate);
+  if (!limit || limit.maxDays >= result.maxDays) {
+    return { ...result, limitedBy: 'rule' };
+  }
+
+  return {
+    ...result,
+    maxDays: limit.maxDays,
+    latestExitDate: limit.maxDays > 0 ? toISODate(toDayNumber(entryDate) + limit.maxDays - 1) : null,
+    days: result.days.slice(0, limit.maxDays),
+    limitedBy: limit.visa ? 'visa' : 'no-visa'
+  };
+}
+
+/**
+ * findEarliestEntry() under the traveller's rule. Visa holders need the
+ * whole stay inside one visa's validity, with enough of its days and an
+ * entry left. Free movement can always start on fromDate.
+ */
+export function earliestEntryForTraveller(trips, profile, stayLength, fromDate = today(), horizonDays = 2 * 365) {
+  const { rule } = applicableRule(profile);
+  if (rule === RULES.FREE_MOVEMENT) {
+    return {
+      entryDate: toISODate(toDayNumber(fromDate)),
+      exitDate: toISODate(toDayNumber(fromDate) + stayLength - 1),
+      waitDays: 0,
+      days: []
+    };
+  }
+
+  const counted = countingTrips(trips, profile);
+  if (rule === RULES.VISA_EXEMPT) {
+    return findEarliestEntry(counted, stayLength, fromDate, horizonDays);
+  }
+
+  const lastDay = toDayNumber(fromDate) + horizonDays;
+  const usage = checkVisas(trips, profile).usage;
+  const candidates = usage
+    .filter(entry => entry.daysLeft >= stayLength && entry.entriesLeft > 0)
+    .map(entry => {
+      const start = Math.max(toDayNumber(fromDate), toDayNumber(entry.visa.validFrom));
+      const latestEntry = Math.min(toDayNumber(entry.visa.validUntil) - stayLength + 1, lastDay);
+      return latestEntry < start
+        ? null
+        : findEarliestEntry(counted, stayLength, toISODate(start), latestEntry - start);
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.entryDate.localeCompare(b.entryDate));
+
+  const result = candidates[0] || null;
+  return result ? { ...result, waitDays: daysBetween(fromDate, result.entryDate) } : null;
+}
+
+/**
+ * assessRisk() under the traveller's rule, for dashboards: days covered by a
+ * permit don't count, a visa can lower the days remaining, and visa problems
+ * make the level 'overstay' with reason 'visa'. Free movement is always
+ * 'safe' with remaining null. Adds { rule, limitedBy }.
+ */
+export function assessTravellerRisk(trips, profile, referenceDate = today()) {
+  const status = assessTraveller(trips, profile, referenceDate);
+  const risk = assessRisk(countingTrips(trips, profile), referenceDate);
+
+  if (status.unlimited) {
+    return {
+      ...risk,
+      remaining: null,
+      overstayDays: 0,
+      level: 'safe',
+      nextRiskyDate: null,
+      reason: null,
+      rule: status.rule,
+      limitedBy: null
+    };
+  }
+
+  let { nextRiskyDate, reason } = risk;
+  if (reason === 'stay_limit') {
+    nextRiskyDate = toISODate(toDayNumber(status.referenceDate) + maxStayForTraveller(trips, profile, status.referenceDate).maxDays);
+  }
+
+  const visaProblem = status.problems.find(problem => problem.date >= status.referenceDate);
+  if (visaProblem && (reason !== 'overstay' || visaProblem.date < nextRiskyDate)) {
+    nextRiskyDate = visaProblem.date;
+    reason = 'visa';
+  }
+
+  let level = 'safe';
+  if (!status.compliant || reason === 'overstay' || reason === 'visa') {
+    level = 'overstay';
+  } else if (status.remaining < RISK_THRESHOLDS.danger) {
+    level = 'danger';
+  } else if (status.remaining < RISK_THRESHOLDS.caution) {
+    level = 'caution';
+  }
+
+  return {
+    ...risk,
+    remaining: status.remaining,
+    level,
+    nextRiskyDate,
+    reason,
+    rule: status.rule,
+    limitedBy: status.limitedBy
+  };
+}
+
+/**
+ * Visa problems that draft trips would add to the recorded ones
+ */
+export function checkPlannedVisas(recordedTrips, draftTrips, profile) {
+  const known = new Set(checkVisas(recordedTrips, profile).problems.map(problem => `${problem.type}|${problem.date}`));
+  return checkVisas([...(recordedTrips || []), ...(draftTrips || [])], profile).problems
+    .filter(problem => !known.has(`${problem.type}|${problem.date}`));
+}
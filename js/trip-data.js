@@ -0,0 +1,501 @@
+/**
+ * Schengen Calc - Trip Import and Export (CSV and JSON)
+ * Browser module used by the calculator page.
+ *
+ * Spreadsheet rows go through a column mapping and are validated one by one:
+ * every row comes back with its errors, so the page can show exactly what is
+ * wrong before anything is saved. The same validation is applied to JSON
+ * backups. Day counts are always recalculated from the dates, and duplicates
+ * are detected by ID and by date range, against the existing trips and
+ * within the import itself.
+ */
+
+import { countTripDays, toDayNumber, toISODate, isValidDate, isValidTripId, tripLegs, validateLegs, ENTRY_MODES } from './schengen-rules.js';
+
+export const TRIP_TYPES = ['tourism', 'business', 'transit'];
+export const MAX_NOTES_LENGTH = 500;
+
+/**
+ * Trip fields a spreadsheet column can be mapped to, with the headings
+ * recognised automatically (compared lower-case, ignoring punctuation)
+ */
+export const TRIP_FIELDS = [
+  { key: 'entryDate', label: 'Entry date', required: true, headings: ['entry date', 'entry', 'start date', 'start', 'from', 'arrival', 'arrival date', 'date in'] },
+  { key: 'exitDate', label: 'Exit date', required: true, headings: ['exit date', 'exit', 'end date', 'end', 'to', 'departure', 'departure date', 'date out'] },
+  { key: 'country', label: 'Country', required: true, headings: ['country', 'destination', 'location', 'country name'] },
+  { key: 'legs', label: 'Legs', required: false, headings: ['legs', 'itinerary', 'route', 'countries'] },
+  { key: 'tripType', label: 'Purpose', required: false, headings: ['trip type', 'type', 'purpose', 'trip purpose', 'reason'] },
+  { key: 'entryBy', label: 'Arrived by', required: false, headings: ['entry by', 'arrived by', 'arrival by', 'transport', 'travelled by', 'traveled by'] },
+  { key: 'notes', label: 'Notes', required: false, headings: ['notes', 'note', 'comment', 'comments', 'description', 'details'] },
+  { key: 'id', label: 'Trip ID', required: false, headings: ['id', 'trip id'] }
+];
+
+export const DATE_FORMATS = {
+  auto: 'Detect automatically',
+  ymd: 'YYYY-MM-DD',
+  dmy: 'DD/MM/YYYY',
+  mdy: 'MM/DD/YYYY'
+};
+
+// ISO codes accepted in place of country names
+const COUNTRY_CODES = {
+  AT: 'Austria', BE: 'Belgium', BG: 'Bulgaria', HR: 'Croatia', CZ: 'Czech Republic',
+  DK: 'Denmark', EE: 'Estonia', FI: 'Finland', FR: 'France', DE: 'Germany',
+  GR: 'Greece', HU: 'Hungary', IS: 'Iceland', IT: 'Italy', LV: 'Latvia',
+  LI: 'Liechtenstein', LT: 'Lithuania', LU: 'Luxembourg', MT: 'Malta', NL: 'Netherlands',
+  NO: 'Norway', PL: 'Poland', PT: 'Portugal', RO: 'Romania', SK: 'Slovakia',
+  SI: 'Slovenia', ES: 'Spain', SE: 'Sweden', CH: 'Switzerland',
+  CY: 'Cyprus', IE: 'Ireland', GB: 'United Kingdom', UK: 'United Kingdom'
+};
+
+const COUNTRY_ALIASES = {
+  czechia: 'Czech Republic',
+  holland: 'Netherlands',
+  'the netherlands': 'Netherlands',
+  'great britain': 'United Kingdom',
+  england: 'United Kingdom',
+  scotland: 'United Kingdom',
+  wales: 'United Kingdom',
+  'northern ireland': 'United Kingdom',
+  eire: 'Ireland',
+  multiple: 'Multiple Countries'
+};
+
+// Spreadsheets count days from 1899-12-30
+const SPREADSHEET_EPOCH = toDayNumber('1899-12-30');
+
+const CSV_COLUMNS = ['entry_date', 'exit_date', 'country', 'legs', 'trip_type', 'entry_by', 'days', 'notes', 'id'];
+
+function normalizeHeading(value) {
+  return String(value || '').toLowerCase().replace(/[_\-.]+/g, ' ').replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Country name without its flag, e.g. "🇫🇷 France" -> "France"
+ */
+export function countryName(value) {
+  return String(value || '').replace(/^[^A-Za-z]+/, '').trim();
+}
+
+/**
+ * Quote a CSV field. Fields that spreadsheets would run as formulas are
+ * prefixed with an apostrophe (removed again on import).
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n']/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A multi-leg trip's legs as one spreadsheet cell, e.g.
+ * "France 2025-01-01/2025-01-05; Germany 2025-01-05/2025-01-09"; empty for
+ * single-country trips
+ */
+export function formatLegs(trip) {
+  const legs = tripLegs(trip);
+  return legs.length > 1
+    ? legs.map(leg => `${countryName(leg.country)} ${leg.entryDate}/${leg.exitDate}`).join('; ')
+    : '';
+}
+
+/**
+ * Raw legs from a cell written by formatLegs(); entries that can't be read
+ * come back with only their text so validation can report them
+ */
+function parseLegsCell(value) {
+  return String(value || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = /^(.+?)\s+(\S+)\s*\/\s*(\S+)$/.exec(part);
+      return match ? { country: match[1], entryDate: match[2], exitDate: match[3] } : { text: part };
+    });
+}
+
+/**
+ * Trips as CSV with a heading row, ready for Excel, Numbers or Google Sheets
+ */
+export function tripsToCsv(trips) {
+  const rows = [...trips]
+    .sort((a, b) => String(a.entryDate).localeCompare(String(b.entryDate)))
+    .map(trip => [
+      trip.entryDate,
+      trip.exitDate,
+      countryName(trip.country),
+      formatLegs(trip),
+      trip.tripType || 'tourism',
+      trip.entryBy || '',
+      isValidDate(trip.entryDate) && isValidDate(trip.exitDate) ? countTripDays(trip.entryDate, trip.exitDate) : '',
+      trip.notes || '',
+      trip.id
+    ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Delimiter used by a file: comma, semicolon (Excel in many European
+ * locales) or tab, whichever appears most in the first line
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * Rows of a CSV or tab-separated file as arrays of strings. Quoted fields
+ * may contain delimiters, doubled quotes and line breaks. Blank lines are
+ * dropped.
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Column index for each trip field, guessed from the heading row; -1 when
+ * no heading matches
+ */
+export function guessMapping(headings) {
+  const normalized = headings.map(normalizeHeading);
+  const used = new Set();
+  const mapping = {};
+
+  for (const field of TRIP_FIELDS) {
+    const index = normalized.findIndex((heading, i) => !used.has(i) && field.headings.includes(heading));
+    mapping[field.key] = index;
+    if (index >= 0) {
+      used.add(index);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Whether the first row looks like headings rather than a trip
+ */
+export function hasHeadingRow(rows) {
+  return rows.length > 0 && Object.values(guessMapping(rows[0])).some(index => index >= 0);
+}
+
+function isoFromParts(year, month, day) {
+  const iso = `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return isValidDate(iso) ? iso : null;
+}
+
+/**
+ * ISO date for a spreadsheet cell, or null. Accepts YYYY-MM-DD (with or
+ * without a time), day/month/year or month/day/year with "/", "." or "-"
+ * separators and two- or four-digit years, and spreadsheet date serials.
+ */
+export function parseDateCell(value, format = 'auto') {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/.exec(text);
+  if (iso) {
+    return isoFromParts(iso[1], iso[2], iso[3]);
+  }
+
+  const local = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?: .*)?$/.exec(text);
+  if (local) {
+    if (format === 'ymd') {
+      return null;
+    }
+    const year = local[3].length === 2 ? 2000 + Number(local[3]) : Number(local[3]);
+    const [day, month] = format === 'mdy' ? [local[2], local[1]] : [local[1], local[2]];
+    return isoFromParts(year, month, day);
+  }
+
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    return toISODate(SPREADSHEET_EPOCH + Math.floor(Number(text)));
+  }
+
+  return null;
+}
+
+/**
+ * Day/month order used by a column of dates: "mdy" only when some value
+ * can't be day-first (e.g. 03/25/2025), otherwise "dmy"
+ */
+export function detectDateFormat(values) {
+  const slashed = values
+    .map(value => /^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}/.exec(String(value || '').trim()))
+    .filter(Boolean);
+
+  if (slashed.some(match => Number(match[1]) > 12)) {
+    return 'dmy';
+  }
+  if (slashed.some(match => Number(match[2]) > 12)) {
+    return 'mdy';
+  }
+  return slashed.length > 0 ? 'dmy' : 'ymd';
+}
+
+/**
+ * The calculator's country value (e.g. "🇫🇷 France") for a name, an ISO
+ * code or a value with its flag, or null when it isn't one of `countries`
+ */
+export function matchCountry(value, countries) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const byCode = COUNTRY_CODES[text.toUpperCase()];
+  const wanted = (byCode || COUNTRY_ALIASES[countryName(text).toLowerCase()] || countryName(text)).toLowerCase();
+  return countries.find(country => countryName(country).toLowerCase() === wanted) || null;
+}
+
+function matchTripType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return 'tourism';
+  }
+  if (TRIP_TYPES.includes(text)) {
+    return text;
+  }
+  if (/leisure|holiday|vacation|touris/.test(text)) return 'tourism';
+  if (/business|work|meeting|conference/.test(text)) return 'business';
+  if (/transit|layover/.test(text)) return 'transit';
+  return null;
+}
+
+/**
+ * Way of arrival from a cell: "air", "sea" or "land" (or a word like
+ * "flight", "ferry" or "train"); '' when empty and null when unknown
+ */
+function matchEntryMode(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return '';
+  }
+  if (ENTRY_MODES.includes(text)) {
+    return text;
+  }
+  if (/fl[iy]|plane|airport/.test(text)) return 'air';
+  if (/ferry|boat|ship|cruise|port/.test(text)) return 'sea';
+  if (/car|train|rail|bus|road|drive|coach/.test(text)) return 'land';
+  return null;
+}
+
+function dateRangeKey(trip) {
+  return `${trip.entryDate}|${trip.exitDate}`;
+}
+
+/**
+ * Legs of an imported trip (an array from a backup or a spreadsheet cell),
+ * with countries matched and dates parsed. Problems are added to `errors`.
+ * Returns null for single-country trips.
+ */
+function readLegs(value, { countries, dateFormat, errors }) {
+  const raw = Array.isArray(value) ? value : parseLegsCell(value);
+  if (raw.length === 0) {
+    return null;
+  }
+
+  const legs = [];
+  raw.forEach((leg, index) => {
+    const country = matchCountry(leg && leg.country, countries);
+    const entryDate = parseDateCell(leg && leg.entryDate, dateFormat);
+    const exitDate = parseDateCell(leg && leg.exitDate, dateFormat);
+    if (leg && leg.text) {
+      errors.push(`Leg ${index + 1} "${leg.text}" should look like "France 2025-01-01/2025-01-05"`);
+    } else if (!country) {
+      errors.push(`Leg ${index + 1}: unknown country "${(leg && leg.country) || ''}"`);
+    } else if (!entryDate || !exitDate) {
+      errors.push(`Leg ${index + 1}: dates are not valid`);
+    }
+    legs.push({ country, entryDate, exitDate });
+  });
+
+  if (errors.length === 0) {
+    const problem = validateLegs(legs);
+    if (problem) {
+      errors.push(problem);
+    }
+  }
+  return errors.length > 0 || legs.length > 1 ? legs : null;
+}
+
+/**
+ * Validate imported trips against the calculator's rules and the trips
+ * already saved. Each candidate is { row, entryDate, exitDate, country,
+ * legs, tripType, entryBy, notes, id } with raw values; each result is
+ * { row, trip, errors, duplicate } where duplicate is null, "id" or
+ * "dates". Only results without errors or duplicate should be saved. An id
+ * outside TRIP_ID_PATTERN is dropped and the trip gets a new one.
+ */
+export function validateImportedTrips(candidates, { countries, existingTrips = [], dateFormat = 'auto' }) {
+  const seenIds = new Set(existingTrips.map(trip => trip.id));
+  const seenRanges = new Set(existingTrips.map(dateRangeKey));
+  const now = new Date().toISOString();
+
+  // Day/month order is decided once for the whole file, not per row
+  if (dateFormat === 'auto') {
+    const detected = detectDateFormat(candidates.flatMap(candidate => [candidate.entryDate, candidate.exitDate]));
+    dateFormat = detected === 'ymd' ? 'auto' : detected;
+  }
+
+  return candidates.map((candidate, index) => {
+    const errors = [];
+    const legs = readLegs(candidate.legs, { countries, dateFormat, errors });
+    const entryDate = parseDateCell(candidate.entryDate, dateFormat) || (legs && !candidate.entryDate ? legs[0].entryDate : null);
+    const exitDate = parseDateCell(candidate.exitDate, dateFormat) || (legs && !candidate.exitDate ? legs[legs.length - 1].exitDate : null);
+    const country = legs ? legs[0].country : matchCountry(candidate.country, countries);
+    const tripType = matchTripType(candidate.tripType);
+    const entryBy = matchEntryMode(candidate.entryBy);
+    const notes = String(candidate.notes || '').replace(/^'(?=[=+\-@])/, '').trim();
+
+    if (!entryDate) {
+      errors.push(candidate.entryDate ? `Entry date "${candidate.entryDate}" is not a valid date` : 'Entry date is missing');
+    }
+    if (!exitDate) {
+      errors.push(candidate.exitDate ? `Exit date "${candidate.exitDate}" is not a valid date` : 'Exit date is missing');
+    }
+    if (entryDate && exitDate && exitDate < entryDate) {
+      errors.push('Exit date is before entry date');
+    }
+    if (!country && errors.length === 0) {
+      errors.push(candidate.country ? `Unknown country "${candidate.country}"` : 'Country is missing');
+    }
+    if (legs && errors.length === 0 && (legs[0].entryDate !== entryDate || legs[legs.length - 1].exitDate !== exitDate)) {
+      errors.push(`Legs run from ${legs[0].entryDate} to ${legs[legs.length - 1].exitDate}, not the trip's ${entryDate} to ${exitDate}`);
+    }
+    if (!tripType) {
+      errors.push(`Unknown trip purpose "${candidate.tripType}" (use tourism, business or transit)`);
+    }
+    if (entryBy === null) {
+      errors.push(`Unknown way of arrival "${candidate.entryBy}" (use air, sea or land)`);
+    }
+    if (notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`Notes are longer than ${MAX_NOTES_LENGTH} characters`);
+    }
+
+    // IDs that are not ones the calculator could have made are replaced
+    const given = candidate.id ? String(candidate.id).trim() : '';
+    const id = isValidTripId(given) ? given : '';
+    const trip = errors.length > 0 ? null : {
+      id: id || `${Date.now()}${String(index).padStart(4, '0')}`,
+      entryDate,
+      exitDate,
+      country,
+      ...(legs ? { legs } : {}),
+      tripType,
+      ...(entryBy ? { entryBy } : {}),
+      notes,
+      days: countTripDays(entryDate, exitDate),
+      updatedAt: now
+    };
+
+    let duplicate = null;
+    if (trip) {
+      if (id && seenIds.has(id)) {
+        duplicate = 'id';
+      } else if (seenRanges.has(dateRangeKey(trip))) {
+        duplicate = 'dates';
+      } else {
+        seenIds.add(trip.id);
+        seenRanges.add(dateRangeKey(trip));
+      }
+    }
+
+    return { row: candidate.row ?? index + 1, trip, errors, duplicate };
+  });
+}
+
+/**
+ * Candidates from spreadsheet rows using a column mapping (field key ->
+ * column index, -1 for none). Row numbers match the file's own lines.
+ */
+export function rowsToCandidates(rows, mapping, { headingRow = true } = {}) {
+  const cell = (cells, key) => (mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '');
+  const offset = headingRow ? 2 : 1;
+
+  return rows.slice(headingRow ? 1 : 0).map((cells, index) => ({
+    row: index + offset,
+    entryDate: cell(cells, 'entryDate'),
+    exitDate: cell(cells, 'exitDate'),
+    country: cell(cells, 'country'),
+    legs: cell(cells, 'legs'),
+    tripType: cell(cells, 'tripType'),
+    entryBy: cell(cells, 'entryBy'),
+    notes: cell(cells, 'notes'),
+    id: cell(cells, 'id')
+  }));
+}
+
+/**
+ * One-line summary of a validation run for alerts
+ */
+export function summarizeImport(results) {
+  const added = results.filter(result => result.trip && !result.duplicate).length;
+  const duplicates = results.filter(result => result.duplicate).length;
+  const invalid = results.filter(result => result.errors.length > 0);
+
+  const lines = [`${added} new trip${added === 1 ? '' : 's'}`];
+  if (duplicates > 0) {
+    lines.push(`${duplicates} duplicate${duplicates === 1 ? '' : 's'} skipped`);
+  }
+  if (invalid.length > 0) {
+    lines.push(`${invalid.length} invalid row${invalid.length === 1 ? '' : 's'} skipped`);
+    invalid.slice(0, 5).forEach(result => lines.push(`  • Row ${result.row}: ${result.errors.join('; ')}`));
+    if (invalid.length > 5) {
+      lines.push(`  • …and ${invalid.length - 5} more`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -1,5 +1,6 @@
--- Schengen Calc D1 Database Schema
--- Enhanced schema with Square subscription integration
+-- 0001: Initial schema
+-- The original database-schema.sql: users, Square subscriptions and payments,
+-- saved calculations and sessions
 
 -- Users table for authentication and profile management
 CREATE TABLE IF NOT EXISTS users (
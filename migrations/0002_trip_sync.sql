@@ -0,0 +1,7 @@
+-- 0002: Trip sync
+-- Calculator trip IDs and soft deletes for /api/trips
+
+ALTER TABLE travel_calculations ADD COLUMN client_trip_id TEXT; -- Trip ID generated by the calculator, used for sync
+ALTER TABLE travel_calculations ADD COLUMN deleted_at TEXT DEFAULT NULL; -- Soft delete so other devices learn about deletions
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_travel_calculations_client_trip ON travel_calculations(user_id, client_trip_id);
@@ -0,0 +1,16 @@
+-- 0004: Idempotent Square webhooks and invoice payments
+
+ALTER TABLE payments ADD COLUMN square_invoice_id TEXT; -- Square invoice the payment belongs to
+
+-- Square webhook deliveries we have seen, so retries are only processed once
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL UNIQUE, -- Square event_id
+    event_type TEXT NOT NULL,
+    status TEXT NOT NULL, -- 'processing', 'processed', 'failed'
+    error TEXT DEFAULT NULL,
+    created_at TEXT NOT NULL,
+    processed_at TEXT DEFAULT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(square_invoice_id);
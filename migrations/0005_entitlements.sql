@@ -0,0 +1,15 @@
+-- 0005: Plans, trials and free usage
+
+ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT false; -- Admins may use developer overrides
+ALTER TABLE users ADD COLUMN trial_ends_at TEXT DEFAULT NULL; -- End of the free trial that starts at registration
+ALTER TABLE users ADD COLUMN entitlement_override TEXT DEFAULT NULL; -- Admin testing override: 'free' or 'trial'
+
+-- Free calculation counters, per user ('user:<id>') or visitor ('visitor:<ip hash>')
+CREATE TABLE IF NOT EXISTS usage_counters (
+    subject TEXT PRIMARY KEY,
+    calculations INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+);
+
+-- The seeded admin accounts from 0001
+UPDATE users SET is_admin = true WHERE id IN (1, 2);
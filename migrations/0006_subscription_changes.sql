@@ -0,0 +1,21 @@
+-- 0006: Self-service subscription changes
+
+-- Self-service subscription changes, recorded when requested and confirmed by the webhook
+CREATE TABLE IF NOT EXISTS subscription_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL, -- subscriptions.id
+    user_id INTEGER NOT NULL,
+    action TEXT NOT NULL, -- 'pause', 'resume', 'cancel', 'change_plan'
+    from_plan TEXT,
+    to_plan TEXT,
+    proration_amount INTEGER DEFAULT 0, -- Pence charged now for an upgrade
+    effective_date TEXT, -- When Square applies the change
+    status TEXT NOT NULL, -- 'requested', 'confirmed', 'failed'
+    error TEXT DEFAULT NULL,
+    requested_at TEXT NOT NULL,
+    confirmed_at TEXT DEFAULT NULL,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_changes_subscription ON subscription_changes(subscription_id, status);
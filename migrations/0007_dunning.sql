@@ -0,0 +1,25 @@
+-- 0007: Dunning for failed renewals
+
+-- Failed renewals being chased. One unresolved case per subscription; access
+-- is removed when the grace period ends and restored when a payment goes through
+CREATE TABLE IF NOT EXISTS dunning_cases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    subscription_id TEXT NOT NULL, -- Square subscription ID
+    square_invoice_id TEXT, -- Latest unpaid invoice
+    invoice_url TEXT, -- Square's hosted page for paying the invoice
+    amount INTEGER, -- Amount due in pence
+    currency TEXT DEFAULT 'GBP',
+    status TEXT NOT NULL DEFAULT 'open', -- 'open', 'downgraded', 'recovered'
+    failure_count INTEGER NOT NULL DEFAULT 1,
+    reminders_sent INTEGER NOT NULL DEFAULT 0,
+    last_reminder_at TEXT DEFAULT NULL,
+    failed_at TEXT NOT NULL,
+    grace_ends_at TEXT NOT NULL,
+    downgraded_at TEXT DEFAULT NULL,
+    resolved_at TEXT DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dunning_unresolved ON dunning_cases(subscription_id) WHERE status IN ('open', 'downgraded');
+CREATE INDEX IF NOT EXISTS idx_dunning_status ON dunning_cases(status, grace_ends_at);
@@ -0,0 +1,9 @@
+-- 0008: Cached plan catalog
+
+-- Normalized plan catalog from Square, cached per Square environment
+CREATE TABLE IF NOT EXISTS plan_catalog (
+    environment TEXT PRIMARY KEY, -- 'sandbox', 'production'
+    plans TEXT NOT NULL, -- JSON array of plans
+    source TEXT NOT NULL, -- 'square'
+    fetched_at TEXT NOT NULL
+);
@@ -0,0 +1,42 @@
+-- 0009: Business organizations
+
+-- A business account; the owner's Business subscription covers every member
+CREATE TABLE IF NOT EXISTS organizations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    owner_user_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT DEFAULT NULL,
+    FOREIGN KEY (owner_user_id) REFERENCES users (id)
+);
+
+-- Employees in an organization. Their trips are their own travel_calculations rows
+CREATE TABLE IF NOT EXISTS organization_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL, -- 'owner', 'admin', 'member'
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (organization_id) REFERENCES organizations (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- Email invitations (token stored as a SHA-256 hash)
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL, -- 'admin', 'member'
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    accepted_at TEXT DEFAULT NULL,
+    revoked_at TEXT DEFAULT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (organization_id) REFERENCES organizations (id),
+    FOREIGN KEY (invited_by) REFERENCES users (id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(organization_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_by_user ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_org ON organization_invitations(organization_id, email);
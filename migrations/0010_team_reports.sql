@@ -0,0 +1,20 @@
+-- 0010: Team compliance reports
+
+-- Each generated report is kept as a snapshot so it can be downloaded again
+-- later with exactly the same figures
+CREATE TABLE IF NOT EXISTS team_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    created_by INTEGER NOT NULL,
+    date_from TEXT NOT NULL,
+    date_to TEXT NOT NULL,
+    as_of TEXT NOT NULL,
+    member_ids TEXT DEFAULT NULL, -- JSON array, NULL for everyone
+    data TEXT NOT NULL, -- the report as JSON
+    checksum TEXT NOT NULL, -- SHA-256 of data
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (organization_id) REFERENCES organizations (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_reports_org ON team_reports(organization_id, created_at);
@@ -0,0 +1,11 @@
+-- 0011: Subscribable calendar feeds
+
+-- One feed URL per user; only the token's SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL UNIQUE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    last_accessed_at TEXT DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
@@ -0,0 +1,10 @@
+-- 0012: Traveller profiles
+
+-- Passports, Schengen visas and residence permits that decide which
+-- short-stay rule applies to the user (see js/traveller-rules.js)
+CREATE TABLE IF NOT EXISTS traveller_profiles (
+    user_id INTEGER PRIMARY KEY,
+    profile TEXT NOT NULL, -- JSON { passports, visas, permits }
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
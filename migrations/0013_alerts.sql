@@ -0,0 +1,26 @@
+-- 0013: Scheduled alerts
+
+-- What the alerts worker sends each user and where (see functions/api/alerts-api.js).
+-- Users without a row get the defaults; unsubscribing clears `enabled`.
+CREATE TABLE IF NOT EXISTS alert_settings (
+    user_id INTEGER PRIMARY KEY,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    settings TEXT NOT NULL, -- JSON { thresholds, plannedOverstay, recovery, channels, quietHours, ... }
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- Alerts already delivered, so each one is sent once. Threshold keys are
+-- removed when the remaining days go back above the threshold.
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    alert_key TEXT NOT NULL, -- e.g. 'threshold:10', 'overstay:<trip id>:<entry>:<exit>', 'recovery:<date>'
+    kind TEXT NOT NULL, -- 'threshold', 'overstay', 'visa' or 'recovery'
+    channels TEXT NOT NULL, -- comma-separated channels it went to
+    sent_at TEXT NOT NULL,
+    UNIQUE (user_id, alert_key),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_sent ON alert_deliveries (sent_at);
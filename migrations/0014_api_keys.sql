@@ -0,0 +1,31 @@
+-- 0014: Calculation API keys
+
+-- Keys for POST /api/v1/calculate, owned by an organization. Only the key's
+-- SHA-256 hash is stored; the prefix identifies it on the account page.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organization_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL, -- comma-separated, e.g. 'calculate'
+    rate_limit_per_minute INTEGER NOT NULL,
+    created_by INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT DEFAULT NULL,
+    revoked_at TEXT DEFAULT NULL,
+    FOREIGN KEY (organization_id) REFERENCES organizations (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+);
+
+-- Requests per key per minute: the rate limit counter and the usage meter
+CREATE TABLE IF NOT EXISTS api_usage (
+    api_key_id INTEGER NOT NULL,
+    minute TEXT NOT NULL, -- 'YYYY-MM-DD HH:MM' UTC
+    requests INTEGER NOT NULL DEFAULT 0, -- requests let through
+    rejected INTEGER NOT NULL DEFAULT 0, -- requests refused by the rate limit
+    PRIMARY KEY (api_key_id, minute),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization ON api_keys(organization_id);
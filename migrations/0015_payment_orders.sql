@@ -0,0 +1,7 @@
+-- 0015: Orders of invoice payments
+-- Square invoices do not say which payment paid them, so refunds of
+-- subscription invoices are matched on the invoice's order instead
+
+ALTER TABLE payments ADD COLUMN square_order_id TEXT; -- Square order the invoice payment belongs to
+
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(square_order_id);
@@ -0,0 +1,294 @@
+/**
+ * Schengen Calc - D1 Migrations
+ *
+ * Applies the numbered, forward-only migrations in migrations/ through
+ * wrangler and records each one in schema_migrations with a checksum:
+ *
+ *   npm run db:local              apply pending migrations to local D1
+ *   npm run db:migrate            apply pending migrations to the remote database
+ *   npm run db:status             list applied and pending migrations (local)
+ *   npm run db:check              fail if local D1 has drifted from migrations/
+ *
+ * Flags: --local / --remote, --status, --check, --baseline <version>.
+ * Anything else is passed on to wrangler (e.g. --persist-to, --config).
+ *
+ * Drift means a pending or unknown migration, a migration file edited after
+ * it was applied, or tables, columns and indexes that differ from a scratch
+ * database built from migrations/. Databases created from the old
+ * database-schema.sql can be adopted with --baseline <version>, which marks
+ * migrations up to that version as applied without running them; pending
+ * migrations are not applied to them until then.
+ *
+ * migrations/ is the only definition of the schema: fresh databases are
+ * built from 0001 onwards, and every change is a new numbered migration.
+ *
+ * Never edit an applied migration; add a new one and update SCHEMA_VERSION in
+ * functions/api/schema-version.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const DATABASE = process.env.D1_DATABASE || 'schengen-calc-db';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const SCHEMA_VERSION_FILE = path.join(__dirname, '..', 'functions', 'api', 'schema-version.js');
+
+const CREATE_SCHEMA_MIGRATIONS = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL, -- SHA-256 of the migration file
+    applied_at TEXT NOT NULL
+);`;
+
+// Tables wrangler and SQLite manage themselves
+const INTERNAL_NAME = /^(sqlite_|_cf_|d1_)/;
+
+function parseArgs(argv) {
+  const options = { target: '--local', mode: 'apply', baseline: null, wranglerArgs: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--local' || arg === '--remote') {
+      options.target = arg;
+    } else if (arg === '--status') {
+      options.mode = 'status';
+    } else if (arg === '--check') {
+      options.mode = 'check';
+    } else if (arg === '--baseline') {
+      options.mode = 'baseline';
+      options.baseline = parseInt(argv[++i], 10);
+    } else {
+      options.wranglerArgs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Migration files in order: [{ version, name, file, sql, checksum }]
+ */
+function readMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{4}_[a-z0-9_]+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: parseInt(file.slice(0, 4), 10),
+        name: file.replace(/^\d{4}_/, '').replace(/\.sql$/, ''),
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    });
+
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migrations must be numbered 0001, 0002, ... without gaps; found ${migration.file}`);
+    }
+  });
+
+  return migrations;
+}
+
+function wrangler(args, target, extraArgs) {
+  const output = execFileSync(
+    'npx',
+    ['wrangler', 'd1', 'execute', DATABASE, target, '--json', ...args, ...extraArgs],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  return JSON.parse(output);
+}
+
+function query(sql, target, extraArgs) {
+  const results = wrangler(['--command', sql], target, extraArgs);
+  return results.flatMap(result => result.results || []);
+}
+
+function executeFile(sql, target, extraArgs) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'schengen-migrate-')), 'migration.sql');
+  fs.writeFileSync(file, sql);
+  try {
+    wrangler(['--file', file, '--yes'], target, extraArgs);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+// Drop `--name value` or `--name=value` from a wrangler argument list
+function withoutOption(args, name) {
+  return args.filter((arg, i) => !arg.startsWith(name) && args[i - 1] !== name);
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function recordStatement(migration) {
+  return `INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (${migration.version}, ${sqlString(migration.name)}, ${sqlString(migration.checksum)}, datetime('now'));`;
+}
+
+function appliedMigrations(target, extraArgs) {
+  return query(`${CREATE_SCHEMA_MIGRATIONS} SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;`, target, extraArgs);
+}
+
+/**
+ * Run every migration not yet recorded, each together with its
+ * schema_migrations row so a failed migration is not marked as applied
+ */
+function applyPending(target, extraArgs) {
+  const migrations = readMigrations();
+  const applied = new Set(appliedMigrations(target, extraArgs).map(row => row.version));
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  // Running 0001 onwards on such a database would fail part way, e.g. on
+  // columns database-schema.sql already had
+  if (applied.size === 0 && query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'", target, extraArgs).length > 0) {
+    throw new Error(`${DATABASE} already has tables but no recorded migrations. If it was created from the old database-schema.sql, adopt it with --baseline <version> (the last migration whose changes it already has; --check lists the differences), then run the migrations again.`);
+  }
+
+  if (pending.length === 0) {
+    console.log(`✅ ${DATABASE} is up to date (version ${migrations.length})`);
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`⏫ Applying ${migration.file}`);
+    executeFile(`${migration.sql.trim()}\n\n${recordStatement(migration)}\n`, target, extraArgs);
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s); ${DATABASE} is at version ${migrations.length}`);
+}
+
+function baseline(version, target, extraArgs) {
+  const migrations = readMigrations().filter(migration => migration.version <= version);
+  if (!version || migrations.length !== version) {
+    throw new Error(`--baseline needs a version between 1 and ${readMigrations().length}`);
+  }
+
+  const applied = new Set(appliedMigrations(target, extraArgs).map(row => row.version));
+  const statements = migrations
+    .filter(migration => !applied.has(migration.version))
+    .map(recordStatement);
+
+  if (statements.length > 0) {
+    executeFile(statements.join('\n'), target, extraArgs);
+  }
+  console.log(`✅ Marked migrations up to ${String(version).padStart(4, '0')} as applied`);
+}
+
+/**
+ * Tables with their columns, and indexes, as comparable strings
+ */
+function describeSchema(target, extraArgs) {
+  const columns = query(
+    `SELECT m.name AS tbl, p.name AS col, p.type, p."notnull" AS not_null, p.dflt_value, p.pk
+     FROM sqlite_master m JOIN pragma_table_info(m.name) p
+     WHERE m.type = 'table' AND m.name != 'schema_migrations'`,
+    target,
+    extraArgs
+  );
+  const indexes = query(
+    "SELECT name, tbl_name, sql FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL",
+    target,
+    extraArgs
+  );
+
+  return new Set([
+    ...columns
+      .filter(column => !INTERNAL_NAME.test(column.tbl))
+      .map(column => `column ${column.tbl}.${column.col} ${column.type}${column.not_null ? ' NOT NULL' : ''}${column.dflt_value !== null ? ` DEFAULT ${column.dflt_value}` : ''}${column.pk ? ' PRIMARY KEY' : ''}`),
+    ...indexes
+      .filter(index => !INTERNAL_NAME.test(index.tbl_name))
+      .map(index => `index ${index.name}: ${index.sql.replace(/\s+/g, ' ').replace(/ IF NOT EXISTS/i, '')}`)
+  ]);
+}
+
+function status(target, extraArgs) {
+  const migrations = readMigrations();
+  const applied = new Map(appliedMigrations(target, extraArgs).map(row => [row.version, row]));
+
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    const state = !row ? 'pending' : row.checksum === migration.checksum ? `applied ${row.applied_at}` : 'applied, FILE CHANGED';
+    console.log(`${migration.file.padEnd(40)} ${state}`);
+  }
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      console.log(`${`${String(row.version).padStart(4, '0')}_${row.name}.sql`.padEnd(40)} applied, NO FILE`);
+    }
+  }
+}
+
+function check(target, extraArgs) {
+  const migrations = readMigrations();
+  const problems = [];
+
+  const schemaVersion = parseInt((fs.readFileSync(SCHEMA_VERSION_FILE, 'utf8').match(/SCHEMA_VERSION = (\d+)/) || [])[1], 10);
+  if (schemaVersion !== migrations.length) {
+    problems.push(`SCHEMA_VERSION is ${schemaVersion} but the latest migration is ${migrations.length}`);
+  }
+
+  const applied = appliedMigrations(target, extraArgs);
+  for (const migration of migrations) {
+    const row = applied.find(item => item.version === migration.version);
+    if (!row) {
+      problems.push(`${migration.file} has not been applied`);
+    } else if (row.checksum !== migration.checksum) {
+      problems.push(`${migration.file} was changed after it was applied`);
+    }
+  }
+  for (const row of applied) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      problems.push(`version ${row.version} (${row.name}) is applied but has no migration file`);
+    }
+  }
+
+  // Build a scratch database from migrations/ and compare the structure
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'schengen-schema-'));
+  try {
+    const scratchArgs = [...withoutOption(extraArgs, '--persist-to'), '--persist-to', scratch];
+    executeFile(migrations.map(migration => migration.sql.trim()).join('\n\n'), '--local', scratchArgs);
+
+    const expected = describeSchema('--local', scratchArgs);
+    const actual = describeSchema(target, extraArgs);
+    for (const item of expected) {
+      if (!actual.has(item)) problems.push(`missing ${item}`);
+    }
+    for (const item of actual) {
+      if (!expected.has(item)) problems.push(`unexpected ${item}`);
+    }
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+
+  if (problems.length > 0) {
+    console.error(`❌ ${DATABASE} has drifted from migrations/:`);
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ ${DATABASE} matches migrations/ (version ${migrations.length})`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+try {
+  if (options.mode === 'status') {
+    status(options.target, options.wranglerArgs);
+  } else if (options.mode === 'check') {
+    check(options.target, options.wranglerArgs);
+  } else if (options.mode === 'baseline') {
+    baseline(options.baseline, options.target, options.wranglerArgs);
+  } else {
+    applyPending(options.target, options.wranglerArgs);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,345 @@
+/**
+ * Schengen Calc - Local Square API Stand-in
+ *
+ * A small in-memory imitation of the parts of the Square API we call, so
+ * checkout can be exercised without a sandbox account:
+ *
+ *   npm run square:mock
+ *
+ * and in .dev.vars for `npm run dev`:
+ *
+ *   SQUARE_API_BASE_URL=http://localhost:8789
+ *   SQUARE_WEB_SDK_URL=http://localhost:8789/v1/square.js
+ *   SQUARE_APPLICATION_ID=mock-application
+ *   SQUARE_ACCESS_TOKEN=mock-token
+ *
+ * The stand-in Web Payments SDK shows a text box instead of card fields; the
+ * value typed there is used as the card token. Use cnon:card-nonce-ok for a
+ * working card and cnon:card-nonce-declined for a declined one.
+ *
+ * With MOCK_SQUARE_WEBHOOK_URL and SQUARE_WEBHOOK_SIGNATURE_KEY set, new
+ * subscriptions are followed by signed subscription.created and
+ * invoice.payment_made webhooks, like Square sends them. Pause, resume,
+ * cancel and plan swaps take effect immediately and send
+ * subscription.updated; refunds complete straight away and send
+ * refund.updated.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_SQUARE_PORT || 8789);
+const LOCATION_ID = 'MOCK_LOCATION';
+
+const customers = new Map();
+const cards = new Map();
+const subscriptions = new Map();
+const payments = new Map();
+const idempotentResponses = new Map();
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addMonths(isoDate, months) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().split('T')[0];
+}
+
+function squareError(status, code, detail) {
+  return { status, body: { errors: [{ category: 'INVALID_REQUEST_ERROR', code, detail }] } };
+}
+
+/**
+ * Replay the stored response when an idempotency key is reused
+ */
+function idempotent(scope, key, create) {
+  if (!key) {
+    return create();
+  }
+
+  const cacheKey = `${scope}:${key}`;
+  if (!idempotentResponses.has(cacheKey)) {
+    idempotentResponses.set(cacheKey, create());
+  }
+  return idempotentResponses.get(cacheKey);
+}
+
+async function sendWebhook(type, object) {
+  const url = process.env.MOCK_SQUARE_WEBHOOK_URL;
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  if (!url || !signatureKey) {
+    return;
+  }
+
+  const body = JSON.stringify({
+    merchant_id: 'MOCK_MERCHANT',
+    type,
+    event_id: crypto.randomUUID(),
+    created_at: new Date().toISOString(),
+    data: { type: type.split('.')[0], id: object.id, object: { [type.split('.')[0]]: object } }
+  });
+  const signature = crypto.createHmac('sha256', signatureKey).update(url + body).digest('base64');
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-square-hmacsha256-signature': signature },
+      body
+    });
+    console.log(`Webhook ${type} -> ${response.status}`);
+  } catch (error) {
+    console.warn(`Webhook ${type} failed: ${error.message}`);
+  }
+}
+
+function sendSubscriptionWebhooks(subscription) {
+  setTimeout(async () => {
+    await sendWebhook('subscription.created', subscription);
+    await sendWebhook('invoice.payment_made', {
+      id: newId('inv'),
+      order_id: newId('order'),
+      invoice_number: String(Date.now()).slice(-6),
+      subscription_id: subscription.id,
+      status: 'PAID',
+      primary_recipient: { customer_id: subscription.customer_id },
+      payment_requests: [{ total_completed_amount_money: { amount: 299, currency: 'GBP' } }]
+    });
+  }, 500);
+}
+
+// The live Pro plan variations, so catalog lookups match SUBSCRIPTION_PLANS
+const CATALOG = [{
+  type: 'SUBSCRIPTION_PLAN',
+  id: 'MOCK_PLAN_PRO',
+  subscription_plan_data: {
+    name: 'Pro',
+    subscription_plan_variations: [
+      { id: 'TKUZNUNASUW62W7YRGRYDQ42', cadence: 'MONTHLY', amount: 299 },
+      { id: '4UKSQDEJRTATGGV2YTDIWD3W', cadence: 'ANNUAL', amount: 2400 }
+    ].map(variation => ({
+      type: 'SUBSCRIPTION_PLAN_VARIATION',
+      id: variation.id,
+      subscription_plan_variation_data: {
+        name: `Pro ${variation.cadence === 'ANNUAL' ? 'Annual' : 'Monthly'}`,
+        phases: [{
+          cadence: variation.cadence,
+          ordinal: 0,
+          pricing: { type: 'STATIC', price_money: { amount: variation.amount, currency: 'GBP' } }
+        }]
+      }
+    }))
+  }
+}];
+
+const routes = [
+  ['GET', /^\/v2\/catalog\/list$/, () => ({ status: 200, body: { objects: CATALOG } })],
+
+  ['GET', /^\/v2\/locations$/, () => ({
+    status: 200,
+    body: { locations: [{ id: LOCATION_ID, name: 'Schengen Calc (mock)', status: 'ACTIVE', currency: 'GBP', country: 'GB' }] }
+  })],
+
+  ['POST', /^\/v2\/customers$/, (body) => idempotent('customers', body.idempotency_key, () => {
+    const customer = {
+      id: newId('CUST'),
+      given_name: body.given_name,
+      family_name: body.family_name,
+      email_address: body.email_address,
+      reference_id: body.reference_id,
+      created_at: new Date().toISOString()
+    };
+    customers.set(customer.id, customer);
+    return { status: 200, body: { customer } };
+  })],
+
+  ['POST', /^\/v2\/cards$/, (body) => idempotent('cards', body.idempotency_key, () => {
+    if (!customers.has(body.card?.customer_id)) {
+      return squareError(404, 'NOT_FOUND', 'Customer not found');
+    }
+    if (body.source_id === 'cnon:card-nonce-declined') {
+      return squareError(400, 'CARD_DECLINED', 'The card was declined');
+    }
+
+    const card = {
+      id: newId('ccof'),
+      card_brand: 'VISA',
+      last_4: '1111',
+      exp_month: 12,
+      exp_year: new Date().getFullYear() + 3,
+      cardholder_name: body.card.cardholder_name,
+      customer_id: body.card.customer_id,
+      reference_id: body.card.reference_id,
+      enabled: true
+    };
+    cards.set(card.id, card);
+    return { status: 200, body: { card } };
+  })],
+
+  ['POST', /^\/v2\/subscriptions$/, (body) => idempotent('subscriptions', body.idempotency_key, () => {
+    if (!cards.has(body.card_id)) {
+      return squareError(404, 'NOT_FOUND', 'Card not found');
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      location_id: body.location_id,
+      plan_variation_id: body.plan_variation_id,
+      customer_id: body.customer_id,
+      card_id: body.card_id,
+      start_date: body.start_date || today(),
+      charged_through_date: addMonths(body.start_date || today(), 1),
+      status: 'ACTIVE',
+      version: 1,
+      timezone: body.timezone,
+      created_at: new Date().toISOString()
+    };
+    subscriptions.set(subscription.id, subscription);
+    sendSubscriptionWebhooks(subscription);
+    return { status: 200, body: { subscription } };
+  })],
+
+  ['GET', /^\/v2\/subscriptions\/([^/]+)$/, (body, id) => subscriptions.has(id)
+    ? { status: 200, body: { subscription: subscriptions.get(id) } }
+    : squareError(404, 'NOT_FOUND', 'Subscription not found')],
+
+  ['POST', /^\/v2\/subscriptions\/([^/]+)\/pause$/, (body, id) => updateSubscription(id, { status: 'PAUSED' })],
+
+  ['POST', /^\/v2\/subscriptions\/([^/]+)\/resume$/, (body, id) => updateSubscription(id, { status: 'ACTIVE' })],
+
+  ['POST', /^\/v2\/subscriptions\/([^/]+)\/cancel$/, (body, id) => updateSubscription(id, {
+    canceled_date: subscriptions.get(id)?.charged_through_date
+  })],
+
+  ['POST', /^\/v2\/subscriptions\/([^/]+)\/swap-plan$/, (body, id) => updateSubscription(id, {
+    plan_variation_id: body.new_plan_variation_id
+  })],
+
+  ['POST', /^\/v2\/payments$/, (body) => idempotent('payments', body.idempotency_key, () => {
+    if (!cards.has(body.source_id)) {
+      return squareError(400, 'CARD_DECLINED', 'The card was declined');
+    }
+
+    const payment = {
+      id: newId('pay'),
+      amount_money: body.amount_money,
+      status: 'COMPLETED',
+      source_type: 'CARD',
+      card_details: { card: cards.get(body.source_id) },
+      customer_id: body.customer_id,
+      location_id: body.location_id,
+      note: body.note,
+      created_at: new Date().toISOString()
+    };
+    payments.set(payment.id, payment);
+    return { status: 200, body: { payment } };
+  })],
+
+  ['POST', /^\/v2\/refunds$/, (body) => idempotent('refunds', body.idempotency_key, () => {
+    const payment = payments.get(body.payment_id);
+    if (!payment) {
+      return squareError(404, 'NOT_FOUND', 'Payment not found');
+    }
+
+    const refund = {
+      id: newId('refund'),
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      amount_money: body.amount_money,
+      reason: body.reason,
+      status: 'COMPLETED',
+      created_at: new Date().toISOString()
+    };
+    setTimeout(() => sendWebhook('refund.updated', refund), 500);
+    return { status: 200, body: { refund: { ...refund, status: 'PENDING' } } };
+  })]
+];
+
+/**
+ * Apply a change straight away and tell the app through the webhook
+ */
+function updateSubscription(id, changes) {
+  const subscription = subscriptions.get(id);
+  if (!subscription) {
+    return squareError(404, 'NOT_FOUND', 'Subscription not found');
+  }
+
+  Object.assign(subscription, changes, { version: subscription.version + 1 });
+  setTimeout(() => sendWebhook('subscription.updated', subscription), 500);
+  return { status: 200, body: { subscription, actions: [] } };
+}
+
+// Stand-in for https://sandbox.web.squarecdn.com/v1/square.js
+const WEB_SDK = `
+window.Square = {
+  payments() {
+    return {
+      async card() {
+        let input;
+        return {
+          async attach(selector) {
+            input = document.createElement('input');
+            input.value = 'cnon:card-nonce-ok';
+            input.style.cssText = 'width:100%;padding:12px;border:2px dashed #f59e0b;border-radius:8px;';
+            input.title = 'Mock Square card token';
+            document.querySelector(selector).appendChild(input);
+          },
+          async tokenize() {
+            return { status: 'OK', token: input.value };
+          }
+        };
+      },
+      async verifyBuyer() {
+        return { token: 'verf:mock-verification' };
+      }
+    };
+  }
+};
+`;
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  let raw = '';
+
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (req.method === 'GET' && url.pathname === '/v1/square.js') {
+      res.writeHead(200, { 'Content-Type': 'application/javascript', 'Access-Control-Allow-Origin': '*' });
+      res.end(WEB_SDK);
+      return;
+    }
+
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      body = null;
+    }
+
+    let response = squareError(404, 'NOT_FOUND', `No mock for ${req.method} ${url.pathname}`);
+    if (body === null) {
+      response = squareError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    } else {
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && url.pathname.match(pattern);
+        if (match) {
+          response = handler(body, ...match.slice(1));
+          break;
+        }
+      }
+    }
+
+    console.log(`${req.method} ${url.pathname} -> ${response.status}`);
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.body));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Square API listening on http://localhost:${PORT}`);
+});
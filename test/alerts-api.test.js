@@ -0,0 +1,205 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAlerts, isQuietTime, normalizeAlertSettings, runAlerts } from '../functions/api/alerts-api.js';
+import { registerAlertTransport } from '../functions/api/alert-transport.js';
+import { normalizeProfile } from '../js/traveller-rules.js';
+import { createTestDatabase } from './support/d1.js';
+
+const SETTINGS = normalizeAlertSettings({});
+const NO_PROFILE = normalizeProfile({});
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+function trip(id, entryDate, exitDate) {
+  return { id, entryDate, exitDate, country: '🇫🇷 France' };
+}
+
+describe('evaluateAlerts', () => {
+  it('sends the lowest threshold crossed and settles the ones above it', () => {
+    const { alerts, rearm } = evaluateAlerts([trip('a', '2025-03-01', '2025-05-24')], NO_PROFILE, SETTINGS, '2025-06-01');
+    assert.deepEqual(alerts.map(({ key, covers }) => ({ key, covers })), [{ key: 'threshold:10', covers: ['threshold:30', 'threshold:10'] }]);
+    assert.match(alerts[0].message, /^You have 5 days left in the Schengen area\./);
+    assert.deepEqual(rearm, []);
+  });
+
+  it('re-arms the thresholds the days left are above', () => {
+    const crossed = evaluateAlerts([trip('a', '2025-03-01', '2025-04-29')], NO_PROFILE, SETTINGS, '2025-06-01');
+    assert.deepEqual(crossed.alerts.map(alert => alert.key), ['threshold:30']);
+    assert.deepEqual(crossed.rearm, ['threshold:10']);
+
+    const clear = evaluateAlerts([trip('a', '2025-04-01', '2025-05-05')], NO_PROFILE, SETTINGS, '2025-06-01');
+    assert.deepEqual(clear.alerts, []);
+    assert.deepEqual(clear.rearm, ['threshold:30', 'threshold:10']);
+  });
+
+  it('warns about a planned trip that would overstay', () => {
+    const trips = [trip('a', '2025-03-01', '2025-04-29'), trip('b', '2025-06-10', '2025-07-20')];
+
+    const { alerts } = evaluateAlerts(trips, NO_PROFILE, SETTINGS, '2025-06-01');
+    const overstay = alerts.find(alert => alert.kind === 'overstay');
+    assert.equal(overstay.key, 'overstay:b:2025-06-10:2025-07-20');
+    assert.match(overstay.message, /would overstay from 10 July 2025, by up to 11 days\.$/);
+
+    const off = evaluateAlerts(trips, NO_PROFILE, { ...SETTINGS, plannedOverstay: false }, '2025-06-01');
+    assert.equal(off.alerts.some(alert => alert.kind === 'overstay'), false);
+  });
+
+  it('warns about a planned trip without the visa it needs', () => {
+    const { alerts } = evaluateAlerts([trip('a', '2025-06-10', '2025-06-20')], normalizeProfile({ passports: ['IN'] }), SETTINGS, '2025-06-01');
+    assert.deepEqual(alerts.filter(alert => alert.kind === 'visa').map(alert => alert.key), ['visa:no-visa:2025-06-10']);
+  });
+
+  it('announces days coming back within the lookahead', () => {
+    const trips = [trip('a', '2024-12-10', '2024-12-25')];
+
+    const { alerts } = evaluateAlerts(trips, NO_PROFILE, SETTINGS, '2025-06-01');
+    assert.deepEqual(alerts.map(alert => alert.key), ['recovery:2025-06-08']);
+
+    assert.deepEqual(evaluateAlerts(trips, NO_PROFILE, { ...SETTINGS, recoveryLookaheadDays: 6 }, '2025-06-01').alerts, []);
+    assert.deepEqual(evaluateAlerts(trips, NO_PROFILE, { ...SETTINGS, recoveryMinDays: 17 }, '2025-06-01').alerts, []);
+  });
+
+  it('has nothing to say to travellers without a limit', () => {
+    const result = evaluateAlerts([trip('a', '2025-01-01', '2025-05-30')], normalizeProfile({ passports: ['DE'] }), SETTINGS, '2025-06-01');
+    assert.deepEqual(result, { alerts: [], rearm: [] });
+  });
+});
+
+describe('isQuietTime', () => {
+  const quiet = (start, end, timezone = 'UTC') => ({ ...SETTINGS, quietHours: { start, end }, timezone });
+
+  it('is never quiet without quiet hours', () => {
+    assert.equal(isQuietTime(SETTINGS, NOW), false);
+    assert.equal(isQuietTime(quiet('12:00', '12:00'), NOW), false);
+  });
+
+  it('covers the start but not the end of the period', () => {
+    assert.equal(isQuietTime(quiet('12:00', '13:00'), NOW), true);
+    assert.equal(isQuietTime(quiet('11:00', '12:00'), NOW), false);
+  });
+
+  it('runs a period that ends before it starts over midnight', () => {
+    assert.equal(isQuietTime(quiet('22:00', '07:00'), new Date('2025-06-01T23:30:00Z')), true);
+    assert.equal(isQuietTime(quiet('22:00', '07:00'), new Date('2025-06-01T06:59:00Z')), true);
+    assert.equal(isQuietTime(quiet('22:00', '07:00'), NOW), false);
+  });
+
+  it('reads the time in the user\'s time zone', () => {
+    assert.equal(isQuietTime(quiet('13:00', '15:00', 'Europe/Paris'), NOW), true);
+    assert.equal(isQuietTime(quiet('13:00', '15:00'), NOW), false);
+  });
+});
+
+describe('runAlerts', () => {
+  const deliveries = [];
+  const failing = new Set();
+  registerAlertTransport('test', () => ({
+    name: 'test',
+    async deliver(channel, recipient, digest) {
+      if (failing.has(channel)) {
+        return { success: false, error: `${channel} is down` };
+      }
+      deliveries.push({ channel, userId: recipient.userId, alerts: digest.alerts.map(alert => alert.key) });
+      return { success: true };
+    }
+  }));
+
+  let env;
+  let userId;
+
+  async function setTrips(...trips) {
+    await env.DB.prepare('DELETE FROM travel_calculations WHERE user_id = ?').bind(userId).run();
+    for (const [entryDate, exitDate] of trips) {
+      await env.DB.prepare(
+        `INSERT INTO travel_calculations (user_id, calculation_name, passport_country, entry_date, exit_date, total_days, calculation_data, created_at)
+         VALUES (?, '🇫🇷 France', 'UNSPECIFIED', ?, ?, 1, ?, datetime('now'))`
+      ).bind(userId, entryDate, exitDate, JSON.stringify({ country: '🇫🇷 France' })).run();
+    }
+  }
+
+  async function setSettings(settings) {
+    await env.DB.prepare(
+      `INSERT INTO alert_settings (user_id, enabled, settings, updated_at) VALUES (?, 1, ?, datetime('now'))
+       ON CONFLICT (user_id) DO UPDATE SET settings = excluded.settings`
+    ).bind(userId, JSON.stringify(settings)).run();
+  }
+
+  async function recordedKeys() {
+    const { results } = await env.DB.prepare('SELECT alert_key, channels FROM alert_deliveries ORDER BY alert_key').all();
+    return results.map(row => `${row.alert_key} by ${row.channels}`);
+  }
+
+  beforeEach(async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    deliveries.length = 0;
+    failing.clear();
+    env = { DB: await createTestDatabase(), ALERT_TRANSPORT: 'test', JWT_SECRET: 'test-secret' };
+    userId = (await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, subscription_active, created_at)
+       VALUES ('a@example.com', 'Ada', 'Doe', true, datetime('now')) RETURNING id`
+    ).first()).id;
+    await env.DB.prepare(
+      `INSERT INTO subscriptions (user_id, square_subscription_id, plan_type, status, price_amount, currency, frequency, created_at)
+       VALUES (?, 'sub-1', 'business-monthly', 'ACTIVE', 1000, 'GBP', 'MONTHLY', datetime('now'))`
+    ).bind(userId).run();
+    await setTrips(['2025-03-01', '2025-05-24']);
+  });
+
+  it('sends each alert once', async () => {
+    assert.deepEqual(await runAlerts(env, NOW), { checked: 1, sent: 1, held: 0, skipped: 0, errors: 0 });
+    assert.deepEqual(deliveries, [{ channel: 'email', userId, alerts: ['threshold:10'] }]);
+    assert.deepEqual(await recordedKeys(), ['threshold:10 by email', 'threshold:30 by email']);
+
+    assert.equal((await runAlerts(env, NOW)).sent, 0);
+    assert.equal(deliveries.length, 1);
+  });
+
+  it('sends a threshold again after the days left have gone back above it', async () => {
+    await runAlerts(env, NOW);
+
+    await setTrips(['2025-04-01', '2025-05-05']);
+    await runAlerts(env, NOW);
+    assert.deepEqual(await recordedKeys(), []);
+
+    await setTrips(['2025-03-01', '2025-05-24']);
+    assert.equal((await runAlerts(env, NOW)).sent, 1);
+    assert.equal(deliveries.length, 2);
+  });
+
+  it('holds alerts during quiet hours until the first run after them', async () => {
+    await setSettings({ quietHours: { start: '11:00', end: '13:00' } });
+
+    assert.equal((await runAlerts(env, NOW)).held, 1);
+    assert.deepEqual(deliveries, []);
+    assert.deepEqual(await recordedKeys(), []);
+
+    assert.equal((await runAlerts(env, new Date('2025-06-01T13:00:00Z'))).sent, 1);
+  });
+
+  it('evaluates nothing while alerts are paused', async () => {
+    await setSettings({ pausedUntil: '2025-06-01' });
+
+    assert.equal((await runAlerts(env, NOW)).skipped, 1);
+    assert.deepEqual(deliveries, []);
+
+    assert.equal((await runAlerts(env, new Date('2025-06-02T00:00:00Z'))).sent, 1);
+  });
+
+  it('skips accounts without the alerts feature', async () => {
+    await env.DB.prepare('UPDATE subscriptions SET plan_type = ? WHERE user_id = ?').bind('pro-monthly', userId).run();
+
+    assert.equal((await runAlerts(env, NOW)).skipped, 1);
+    assert.deepEqual(deliveries, []);
+  });
+
+  it('records an alert only once a channel has delivered it', async () => {
+    await setSettings({ channels: ['email', 'webhook'], webhookUrl: 'https://hooks.example.com/alerts' });
+
+    failing.add('email').add('webhook');
+    assert.equal((await runAlerts(env, NOW)).errors, 1);
+    assert.deepEqual(await recordedKeys(), []);
+
+    failing.delete('email');
+    assert.equal((await runAlerts(env, NOW)).sent, 1);
+    assert.deepEqual(await recordedKeys(), ['threshold:10 by email', 'threshold:30 by email']);
+  });
+});
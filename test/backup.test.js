@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackup, readBackup, compareWithBackup, applyRestore, BACKUP_VERSION } from '../js/backup.js';
+
+const COUNTRIES = ['🇫🇷 France', '🇩🇪 Germany', '🇮🇹 Italy'];
+const NOW = new Date('2025-06-01T10:00:00.000Z');
+
+function trip(id, entryDate, exitDate, country = '🇫🇷 France', extra = {}) {
+  return { id, entryDate, exitDate, country, tripType: 'tourism', notes: '', days: 1, updatedAt: '2025-01-01T00:00:00.000Z', ...extra };
+}
+
+async function backupOf(trips) {
+  return (await readBackup(JSON.stringify(await createBackup(trips, NOW)))).backup;
+}
+
+describe('readBackup', () => {
+  it('reads its own backups with a valid checksum', async () => {
+    const trips = [trip('1', '2025-03-01', '2025-03-10')];
+    const read = await readBackup(JSON.stringify(await createBackup(trips, NOW)));
+    assert.equal(read.success, true);
+    assert.equal(read.fromVersion, BACKUP_VERSION);
+    assert.equal(read.checksum, 'valid');
+    assert.equal(read.backup.exportedAt, NOW.toISOString());
+    assert.deepEqual(read.backup.trips[0], { ...trips[0], legs: null, entryBy: null });
+  });
+
+  it('notices a backup edited after export', async () => {
+    const data = await createBackup([trip('1', '2025-03-01', '2025-03-10')], NOW);
+    data.trips[0].exitDate = '2025-03-01';
+    assert.equal((await readBackup(JSON.stringify(data))).checksum, 'mismatch');
+  });
+
+  it('upgrades early exports', async () => {
+    const read = await readBackup(JSON.stringify([{ id: '1', entryDate: '2025-03-01', exitDate: '2025-03-02', country: '🇫🇷 France' }]));
+    assert.equal(read.fromVersion, 0);
+    assert.equal(read.checksum, 'missing');
+    assert.equal(read.backup.version, BACKUP_VERSION);
+    assert.equal(read.backup.trips[0].legs, null);
+    assert.equal(read.backup.trips[0].entryBy, null);
+  });
+
+  it('rejects files that are not backups or come from a newer version', async () => {
+    assert.match((await readBackup('not json')).error, /not valid JSON/);
+    assert.match((await readBackup('{"hello":1}')).error, /does not contain a list of trips/);
+    assert.match((await readBackup(JSON.stringify({ format: 'schengen-calc-backup', version: BACKUP_VERSION + 1, trips: [] }))).error, /newer version/);
+  });
+});
+
+describe('compareWithBackup', () => {
+  it('sorts backup trips into new, identical, conflicting and invalid', async () => {
+    const current = [
+      trip('1', '2025-03-01', '2025-03-10'),
+      trip('2', '2025-04-01', '2025-04-05', '🇩🇪 Germany'),
+      trip('3', '2025-05-01', '2025-05-02')
+    ];
+    const backup = await backupOf([
+      trip('1', '2025-03-01', '2025-03-10'),
+      trip('99', '2025-04-01', '2025-04-05', '🇮🇹 Italy'),
+      trip('4', '2025-07-01', '2025-07-03'),
+      trip('5', '2025-08-10', '2025-08-01')
+    ]);
+    const comparison = compareWithBackup(current, backup, { countries: COUNTRIES });
+
+    assert.deepEqual(comparison.identical.map(pair => pair.current.id), ['1']);
+    assert.deepEqual(comparison.conflicts.map(pair => [pair.current.id, pair.differences]), [['2', ['country']]]);
+    assert.deepEqual(comparison.newTrips.map(t => t.id), ['4']);
+    assert.deepEqual(comparison.localOnly.map(t => t.id), ['3']);
+    assert.deepEqual(comparison.invalid, [{ row: 4, errors: ['Exit date is before entry date'] }]);
+  });
+
+  it('gives backup trips with unsafe ids a new one', async () => {
+    const backup = await backupOf([
+      trip("1');alert(document.cookie);('", '2025-07-01', '2025-07-03'),
+      trip('<img src=x onerror=alert(1)>', '2025-08-01', '2025-08-03')
+    ]);
+    const comparison = compareWithBackup([], backup, { countries: COUNTRIES });
+    assert.equal(comparison.newTrips.length, 2);
+    for (const incoming of comparison.newTrips) {
+      assert.match(incoming.id, /^\d+$/);
+    }
+  });
+});
+
+describe('applyRestore', () => {
+  const current = [trip('1', '2025-03-01', '2025-03-10'), trip('2', '2025-04-01', '2025-04-05', '🇩🇪 Germany')];
+
+  async function comparison() {
+    return compareWithBackup(current, await backupOf([
+      trip('2', '2025-04-01', '2025-04-05', '🇮🇹 Italy'),
+      trip('4', '2025-07-01', '2025-07-03')
+    ]), { countries: COUNTRIES });
+  }
+
+  it('adds the chosen new trips and takes the chosen backup versions', async () => {
+    const { trips, removedIds } = applyRestore(current, await comparison(), { addNew: ['4'], useBackup: ['2'] }, NOW);
+    assert.deepEqual(trips.map(t => [t.id, t.country]), [['1', '🇫🇷 France'], ['2', '🇮🇹 Italy'], ['4', '🇫🇷 France']]);
+    assert.equal(trips[1].updatedAt, NOW.toISOString());
+    assert.deepEqual(removedIds, []);
+  });
+
+  it('keeps exactly the backup trips when replacing everything', async () => {
+    const { trips, removedIds } = applyRestore(current, await comparison(), { replaceAll: true }, NOW);
+    assert.deepEqual(trips.map(t => t.id).sort(), ['2', '4']);
+    assert.deepEqual(removedIds, ['1']);
+  });
+
+  it('never adds new trips with unsafe ids', () => {
+    const unsafe = { newTrips: [trip("x');alert(1);('", '2025-07-01', '2025-07-03')], identical: [], conflicts: [], localOnly: [], invalid: [] };
+    assert.deepEqual(applyRestore([], unsafe, { replaceAll: true }, NOW).trips, []);
+    assert.deepEqual(applyRestore([], unsafe, { addNew: ["x');alert(1);('"] }, NOW).trips, []);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCompliance } from '../functions/api/calculate-api.js';
+import { MAX_PERIOD_DAYS } from '../functions/api/reports-api.js';
+import { addDays } from '../js/schengen-rules.js';
+
+function trip(entryDate, exitDate, country = 'France') {
+  return { entryDate, exitDate, country };
+}
+
+describe('calculateCompliance', () => {
+  it('reports days used and remaining on the reference date', () => {
+    const result = calculateCompliance({ trips: [trip('2025-05-01', '2025-05-20')], referenceDate: '2025-06-01' });
+    assert.equal(result.success, true);
+    assert.equal(result.result.daysUsed, 20);
+    assert.equal(result.result.daysRemaining, 70);
+    assert.equal(result.result.compliant, true);
+    assert.deepEqual(result.result.nextRecovery, { date: '2025-10-28', days: 20 });
+  });
+
+  it('finds the first day over the limit', () => {
+    const result = calculateCompliance({ trips: [trip('2025-01-01', '2025-04-05')], referenceDate: '2025-06-01' });
+    assert.equal(result.result.compliant, false);
+    assert.deepEqual(result.result.firstViolation, { date: '2025-04-01', reason: 'overstay', overBy: 1 });
+  });
+
+  it('checks a planned trip on top of the recorded ones', () => {
+    const result = calculateCompliance({
+      trips: [trip('2025-05-01', '2025-05-20')],
+      referenceDate: '2025-06-01',
+      plannedTrip: trip('2025-07-01', '2025-09-30', 'Spain')
+    });
+    assert.equal(result.result.plannedTrip.compliant, false);
+    assert.equal(result.result.plannedTrip.maxStayDays, 70);
+    assert.equal(result.result.plannedTrip.latestExitDate, '2025-09-08');
+    assert.equal(result.result.firstViolation.date, '2025-09-09');
+  });
+
+  it('applies the traveller profile', () => {
+    const result = calculateCompliance({
+      trips: [trip('2025-01-01', '2025-06-30')],
+      referenceDate: '2025-06-30',
+      traveller: { passports: ['DE'] }
+    });
+    assert.equal(result.result.rule, 'free-movement');
+    assert.equal(result.result.daysRemaining, null);
+    assert.equal(result.result.compliant, true);
+  });
+
+  it('answers 400 for bodies that are not objects', () => {
+    for (const body of [null, undefined, [], 'trips', 42]) {
+      const result = calculateCompliance(body);
+      assert.equal(result.success, false);
+      assert.equal(result.status, 400);
+    }
+  });
+
+  it('answers 400 for traveller lists of the wrong type', () => {
+    const cases = [
+      [{ passports: 'FR' }, 'traveller: passports must be a list'],
+      [{ passports: [null] }, 'traveller: passports must be a list of country codes'],
+      [{ visas: {} }, 'traveller: visas must be a list'],
+      [{ visas: [null] }, 'traveller: Visa 1 must be an object'],
+      [{ permits: 'residence-permit' }, 'traveller: permits must be a list'],
+      [{ permits: [{ type: 'residence-permit', from: '2025-01-01', to: '2025-12-31' }, 'FR'] }, 'traveller: Permit 2 must be an object']
+    ];
+    for (const [traveller, error] of cases) {
+      assert.deepEqual(calculateCompliance({ trips: [], traveller }), { success: false, status: 400, error });
+    }
+  });
+
+  it('answers 400 for invalid trips', () => {
+    const result = calculateCompliance({ trips: [trip('2025-05-20', '2025-05-01')] });
+    assert.deepEqual(result, { success: false, status: 400, error: 'trips[0]: Exit date must not be before entry date' });
+  });
+
+  it(`refuses trips spanning more than ${MAX_PERIOD_DAYS} days`, () => {
+    const far = calculateCompliance({ trips: [trip('2000-01-01', '2000-01-02'), trip('2090-01-01', '2090-01-02')] });
+    assert.equal(far.status, 400);
+    assert.match(far.error, /must fall within 1098 days/);
+
+    const long = calculateCompliance({ trips: [], plannedTrip: trip('2025-01-01', '2099-12-31') });
+    assert.equal(long.status, 400);
+
+    const edge = calculateCompliance({ trips: [trip('2025-01-01', '2025-01-02')], plannedTrip: trip(addDays('2025-01-01', MAX_PERIOD_DAYS - 2), addDays('2025-01-01', MAX_PERIOD_DAYS - 1)) });
+    assert.equal(edge.success, true);
+  });
+});
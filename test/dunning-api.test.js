@@ -0,0 +1,188 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerMailTransport } from '../functions/api/mail-transport.js';
+import { openDunningCase, resolveDunningCases, runDunning } from '../functions/api/dunning-api.js';
+import { createTestDatabase } from './support/d1.js';
+
+const sent = [];
+let mailDown = false;
+registerMailTransport('test', () => ({
+  name: 'test',
+  async send(message) {
+    if (mailDown) {
+      return { success: false, error: 'Mail is down' };
+    }
+    sent.push(message);
+    return { success: true };
+  }
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function later(days) {
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+const UNSAFE_NAME = '<img src=x onerror=alert(1)>';
+
+async function setup() {
+  const env = { DB: await createTestDatabase(), MAIL_TRANSPORT: 'test', APP_BASE_URL: 'https://example.com' };
+  const user = await env.DB.prepare(
+    `INSERT INTO users (email, first_name, last_name, created_at)
+     VALUES ('a@example.com', ?, 'Doe', datetime('now'))
+     RETURNING id, email, first_name`
+  ).bind(UNSAFE_NAME).first();
+  await env.DB.prepare(
+    `INSERT INTO subscriptions (user_id, square_subscription_id, plan_type, status, price_amount, currency, frequency, created_at)
+     VALUES (?, 'sub-1', 'pro-monthly', 'ACTIVE', 299, 'GBP', 'MONTHLY', datetime('now'))`
+  ).bind(user.id).run();
+  await env.DB.prepare('UPDATE users SET subscription_active = true WHERE id = ?').bind(user.id).run();
+  return { env, user };
+}
+
+async function dunningCase(env) {
+  return await env.DB.prepare('SELECT * FROM dunning_cases WHERE subscription_id = ?').bind('sub-1').first();
+}
+
+async function subscriptionActive(env, userId) {
+  return Boolean((await env.DB.prepare('SELECT subscription_active FROM users WHERE id = ?').bind(userId).first()).subscription_active);
+}
+
+function failedInvoice(publicUrl) {
+  return {
+    id: 'inv-1',
+    subscription_id: 'sub-1',
+    public_url: publicUrl,
+    payment_requests: [{ computed_amount_money: { amount: 999, currency: 'GBP' } }]
+  };
+}
+
+describe('dunning emails', () => {
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('escapes the name and payment link in reminders and downgrade notices', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice('https://pay.example.com/?a=1&b="><script>'));
+
+    await runDunning(env);
+    await runDunning(env, later(8));
+
+    assert.equal(sent.length, 2);
+    for (const message of sent) {
+      assert.match(message.html, /<p>Hi &lt;img src=x onerror=alert\(1\)&gt;,<\/p>/);
+      assert.match(message.html, /href="https:\/\/pay\.example\.com\/\?a=1&amp;b=&quot;&gt;&lt;script&gt;"/);
+      assert.doesNotMatch(message.html, /<img|<script/);
+    }
+  });
+
+  it('escapes the name when access comes back', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+    await runDunning(env, later(8));
+    sent.length = 0;
+
+    await resolveDunningCases(env, user, 'sub-1');
+
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].html, /<p>Hi &lt;img src=x onerror=alert\(1\)&gt;,<\/p>/);
+  });
+});
+
+describe('dunning schedule', () => {
+  beforeEach(() => {
+    sent.length = 0;
+    mailDown = false;
+  });
+
+  it('counts another failure on the case that is already open', async () => {
+    const { env, user } = await setup();
+    const first = await openDunningCase(env, user.id, failedInvoice(null));
+    const second = await openDunningCase(env, user.id, { ...failedInvoice('https://pay.example.com/2'), id: 'inv-2' });
+
+    assert.equal(second.id, first.id);
+    assert.equal(second.failure_count, 2);
+    assert.equal(second.grace_ends_at, first.grace_ends_at);
+    assert.equal(second.square_invoice_id, 'inv-2');
+    assert.equal(await openDunningCase(env, user.id, { ...failedInvoice(null), subscription_id: null }), null);
+  });
+
+  it('sends each reminder once, on its day', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+
+    assert.deepEqual(await runDunning(env), { checked: 1, reminders: 1, downgraded: 0, errors: 0 });
+    assert.equal((await runDunning(env, later(1))).reminders, 0);
+    assert.equal((await runDunning(env, later(3))).reminders, 1);
+    assert.equal((await dunningCase(env)).reminders_sent, 2);
+    assert.equal(sent.length, 2);
+  });
+
+  it('sends only the latest reminder due after missed runs', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+
+    assert.equal((await runDunning(env, later(6))).reminders, 1);
+    assert.equal((await dunningCase(env)).reminders_sent, 3);
+    assert.equal((await runDunning(env, later(6))).reminders, 0);
+  });
+
+  it('retries a reminder the mail transport could not send', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+
+    mailDown = true;
+    assert.equal((await runDunning(env)).errors, 1);
+    assert.equal((await dunningCase(env)).reminders_sent, 0);
+
+    mailDown = false;
+    assert.equal((await runDunning(env)).reminders, 1);
+  });
+
+  it('removes access once the grace period is over', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+
+    assert.equal((await runDunning(env, later(6))).downgraded, 0);
+    assert.equal(await subscriptionActive(env, user.id), true);
+
+    assert.deepEqual(await runDunning(env, later(8)), { checked: 1, reminders: 0, downgraded: 1, errors: 0 });
+    assert.equal((await dunningCase(env)).status, 'downgraded');
+    assert.equal(await subscriptionActive(env, user.id), false);
+    assert.match(sent[sent.length - 1].subject, /features are paused/);
+
+    assert.equal((await runDunning(env, later(9))).checked, 0);
+  });
+
+  it('restores access when the payment comes in', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+    await runDunning(env, later(8));
+    sent.length = 0;
+
+    await resolveDunningCases(env, user, 'sub-1');
+
+    const resolved = await dunningCase(env);
+    assert.equal(resolved.status, 'recovered');
+    assert.ok(resolved.resolved_at);
+    assert.equal(await subscriptionActive(env, user.id), true);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].subject, /active again/);
+  });
+
+  it('closes a case quietly when access was never removed', async () => {
+    const { env, user } = await setup();
+    await openDunningCase(env, user.id, failedInvoice(null));
+    await runDunning(env);
+    sent.length = 0;
+
+    await resolveDunningCases(env, user, 'sub-1');
+
+    assert.equal((await dunningCase(env)).status, 'recovered');
+    assert.equal(await subscriptionActive(env, user.id), true);
+    assert.deepEqual(sent, []);
+    assert.equal((await runDunning(env, later(8))).checked, 0);
+  });
+});
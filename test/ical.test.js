@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, parseCalendar, eventsToTrips, tripIdFromUid, isRollOffEvent } from '../js/ical.js';
+
+const COUNTRIES = ['🇫🇷 France', '🇩🇪 Germany', '🇮🇹 Italy'];
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function event(fields) {
+  return ['BEGIN:VEVENT', ...fields, 'END:VEVENT'];
+}
+
+describe('buildCalendar', () => {
+  it('writes each trip as an all-day event with an exclusive end date', () => {
+    const text = buildCalendar(
+      [{ id: '1718000000000', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France' }],
+      { includeRollOffs: false, now: NOW }
+    );
+    assert.match(text, /UID:trip-1718000000000@shengencalc\.com\r\n/);
+    assert.match(text, /DTSTART;VALUE=DATE:20250301\r\n/);
+    assert.match(text, /DTEND;VALUE=DATE:20250311\r\n/);
+    assert.match(text, /SUMMARY:Schengen: 🇫🇷 France \(10 days\)/);
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  });
+
+  it('escapes notes and folds long lines', () => {
+    const text = buildCalendar(
+      [{ id: '1', entryDate: '2025-03-01', exitDate: '2025-03-02', country: '🇫🇷 France', notes: `Paris; Lyon, then home\n${'x'.repeat(100)}` }],
+      { includeRollOffs: false, now: NOW }
+    );
+    assert.ok(text.includes('DESCRIPTION:Paris\\; Lyon\\, then home\\n'));
+    for (const line of text.split('\r\n')) {
+      assert.ok(new TextEncoder().encode(line).length <= 75, line);
+    }
+  });
+
+  it('adds roll-off reminders that are still to come', () => {
+    const text = buildCalendar(
+      [{ id: '1', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France' }],
+      { now: NOW, referenceDate: '2025-03-15' }
+    );
+    const rollOffs = parseCalendar(text).filter(isRollOffEvent);
+    assert.equal(rollOffs.length, 1);
+    assert.equal(rollOffs[0].startDate, '2025-08-28');
+    assert.equal(rollOffs[0].endDate, '2025-09-06');
+
+    const later = buildCalendar(
+      [{ id: '1', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France' }],
+      { now: NOW, referenceDate: '2025-10-01' }
+    );
+    assert.equal(parseCalendar(later).filter(isRollOffEvent).length, 0);
+  });
+});
+
+describe('parseCalendar', () => {
+  it('reads back what buildCalendar writes', () => {
+    const trips = [
+      { id: '1718000000000', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France', notes: 'Conference; then, a week off' },
+      { id: '1718000000001', entryDate: '2025-05-05', exitDate: '2025-05-05', country: '🇮🇹 Italy' }
+    ];
+    const imported = eventsToTrips(parseCalendar(buildCalendar(trips, { now: NOW, referenceDate: '2025-01-01' })), COUNTRIES);
+    assert.deepEqual(imported.map(({ id, entryDate, exitDate, country }) => ({ id, entryDate, exitDate, country })), [
+      { id: '1718000000000', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France' },
+      { id: '1718000000001', entryDate: '2025-05-05', exitDate: '2025-05-05', country: '🇮🇹 Italy' }
+    ]);
+    assert.equal(imported[0].notes, 'Conference; then, a week off');
+  });
+
+  it('unfolds continuation lines and reads timed events by their calendar day', () => {
+    const events = parseCalendar(calendar(event([
+      'UID:abc',
+      'SUMMARY:Trip to Ger',
+      ' many',
+      'DTSTART:20250410T090000Z',
+      'DTEND:20250412T180000Z'
+    ])));
+    assert.equal(events[0].summary, 'Trip to Germany');
+    assert.equal(events[0].startDate, '2025-04-10');
+    assert.equal(events[0].endDate, '2025-04-12');
+  });
+
+  it('skips events without a start date', () => {
+    assert.deepEqual(parseCalendar(calendar(event(['UID:abc', 'SUMMARY:No date']))), []);
+  });
+});
+
+describe('eventsToTrips', () => {
+  it('guesses the country from the summary or location', () => {
+    const [trip] = eventsToTrips(parseCalendar(calendar(event([
+      'UID:abc@example.com',
+      'SUMMARY:Holiday',
+      'LOCATION:Berlin\\, Germany',
+      'DTSTART;VALUE=DATE:20250601',
+      'DTEND;VALUE=DATE:20250608'
+    ]))), COUNTRIES);
+    assert.equal(trip.country, '🇩🇪 Germany');
+    assert.equal(trip.exitDate, '2025-06-07');
+    assert.equal(trip.id, null);
+    assert.equal(trip.notes, 'Holiday');
+  });
+
+  it('does not take trip ids from crafted UIDs', () => {
+    const [trip] = eventsToTrips(parseCalendar(calendar(event([
+      "UID:trip-1');alert(document.cookie);('@shengencalc.com",
+      'SUMMARY:Schengen: France',
+      'DESCRIPTION:<img src=x onerror=alert(1)>',
+      'DTSTART;VALUE=DATE:20250601',
+      'DTEND;VALUE=DATE:20250602'
+    ]))), COUNTRIES);
+    assert.equal(trip.id, null);
+    assert.equal(tripIdFromUid("trip-1');alert(1);('@shengencalc.com"), null);
+    assert.equal(tripIdFromUid('trip-1718000000000@shengencalc.com'), '1718000000000');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMailTransport, registerMailTransport, sendMail } from '../functions/api/mail-transport.js';
+import { getAlertTransport } from '../functions/api/alert-transport.js';
+import { sendVerificationEmail } from '../functions/api/email-auth-api.js';
+import { createTestDatabase } from './support/d1.js';
+
+const sent = [];
+registerMailTransport('test', () => ({
+  name: 'test',
+  async send(message) {
+    sent.push(message);
+    return { success: true };
+  }
+}));
+
+describe('mail transport', () => {
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('has no default transport', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.throws(() => getMailTransport({}), /MAIL_TRANSPORT is not set/);
+    assert.throws(() => getAlertTransport({}), /ALERT_TRANSPORT is not set/);
+
+    const result = await sendMail({}, { to: 'a@example.com', subject: 'Hi', text: 'Hi' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /MAIL_TRANSPORT/);
+  });
+
+  it('rejects unknown transports', () => {
+    assert.throws(() => getMailTransport({ MAIL_TRANSPORT: 'carrier-pigeon' }), /Unknown MAIL_TRANSPORT/);
+  });
+
+  it('escapes the name in the verification email', async () => {
+    const env = { DB: await createTestDatabase(), MAIL_TRANSPORT: 'test', APP_BASE_URL: 'https://example.com' };
+    const user = await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, created_at)
+       VALUES ('a@example.com', '<img src=x onerror=alert(1)>', 'Doe', datetime('now'))
+       RETURNING id, email, first_name`
+    ).first();
+
+    const result = await sendVerificationEmail(env, new Request('https://example.com/api/auth/register'), user);
+
+    assert.equal(result.success, true);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].html, /<p>Hi &lt;img src=x onerror=alert\(1\)&gt;,<\/p>/);
+    assert.match(sent[0].html, /href="https:\/\/example\.com\/account\/verify-email\.html\?token=[0-9a-f]{64}"/);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, migrationFiles } from './support/d1.js';
+import { SCHEMA_VERSION } from '../functions/api/schema-version.js';
+
+describe('migrations', () => {
+  it('are numbered without gaps up to SCHEMA_VERSION', () => {
+    const versions = migrationFiles().map(file => parseInt(file.slice(0, 4), 10));
+    assert.deepEqual(versions, versions.map((version, i) => i + 1));
+    assert.equal(versions.length, SCHEMA_VERSION);
+  });
+
+  it('build a fresh database one version at a time', async () => {
+    for (let version = 1; version <= SCHEMA_VERSION; version++) {
+      await createTestDatabase(version);
+    }
+  });
+
+  it('leave later columns out of the initial schema', async () => {
+    const db = await createTestDatabase(1);
+    const { results } = await db.prepare("SELECT name FROM pragma_table_info('travel_calculations')").all();
+    const columns = results.map(row => row.name);
+    assert.equal(columns.includes('client_trip_id'), false);
+    assert.equal(columns.includes('deleted_at'), false);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSquare, mockSquare } from 'squareup';
+import { buildTeamDashboard } from '../functions/api/organizations-api.js';
+import { createOrganization } from './support/organizations.js';
+
+const LONG_STAY = [['2025-01-01', '2025-04-30']];
+const PERMIT = { type: 'residence-permit', country: 'France', from: '2024-12-01', to: '2025-12-31' };
+
+describe('buildTeamDashboard', () => {
+  beforeEach(() => {
+    resetSquare();
+    mockSquare('catalogApi', 'listCatalog', () => ({ objects: [] }));
+  });
+
+  it("applies each member's traveller profile", async () => {
+    const { env, membership, addMember } = await createOrganization();
+    await addMember('plain@example.com', 'Pat', { trips: LONG_STAY });
+    await addMember('eu@example.com', 'Eve', { trips: LONG_STAY, profile: { passports: ['IE'] } });
+    await addMember('resident@example.com', 'Rui', { trips: LONG_STAY, profile: { permits: [PERMIT] } });
+    await addMember('visa@example.com', 'Vic', { trips: [['2025-05-10', '2025-05-12']], profile: { passports: ['IN'] } });
+
+    const result = await buildTeamDashboard(env, membership, '2025-04-30');
+
+    assert.equal(result.success, true);
+    const byEmail = Object.fromEntries(result.dashboard.members.map(member => [member.email, member]));
+    assert.equal(byEmail['plain@example.com'].level, 'overstay');
+    assert.equal(byEmail['eu@example.com'].level, 'safe');
+    assert.equal(byEmail['eu@example.com'].remaining, null);
+    assert.equal(byEmail['resident@example.com'].level, 'safe');
+    assert.equal(byEmail['resident@example.com'].used, 0);
+    assert.equal(byEmail['visa@example.com'].reason, 'visa');
+    assert.equal(byEmail['visa@example.com'].nextRiskyDate, '2025-05-10');
+    assert.deepEqual(result.dashboard.summary, { overstay: 2, danger: 0, caution: 0, safe: 3 });
+    assert.equal(result.dashboard.members.at(-1).email, 'eu@example.com');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSquare, mockSquare } from 'squareup';
+import { createTeamReport, renderReportCsv, renderReportPdf } from '../functions/api/reports-api.js';
+import { createOrganization } from './support/organizations.js';
+
+const LONG_STAY = [['2025-01-01', '2025-04-30']];
+
+describe('createTeamReport', () => {
+  beforeEach(() => {
+    resetSquare();
+    mockSquare('catalogApi', 'listCatalog', () => ({ objects: [] }));
+  });
+
+  it("applies each traveller's profile", async () => {
+    const { env, membership, addMember } = await createOrganization();
+    await addMember('plain@example.com', 'Pat', { trips: LONG_STAY });
+    await addMember('eu@example.com', 'Eve', { trips: LONG_STAY, profile: { passports: ['IE'] } });
+    await addMember('resident@example.com', 'Rui', {
+      trips: LONG_STAY,
+      profile: { permits: [{ type: 'residence-permit', country: '🇫🇷 France', from: '2025-01-01', to: '2025-03-31' }] }
+    });
+    await addMember('visa@example.com', 'Vic', { trips: [['2025-05-10', '2025-05-12']], profile: { passports: ['IN'] } });
+
+    const result = await createTeamReport(env, membership, { from: '2025-01-01', to: '2025-06-30' });
+
+    assert.equal(result.success, true);
+    const byEmail = Object.fromEntries(result.report.travellers.map(traveller => [traveller.email, traveller]));
+    assert.equal(byEmail['plain@example.com'].peakUsed, 120);
+    assert.equal(byEmail['plain@example.com'].compliant, false);
+    assert.equal(byEmail['eu@example.com'].peakUsed, 0);
+    assert.equal(byEmail['eu@example.com'].compliant, true);
+    assert.equal(byEmail['eu@example.com'].daysInPeriod, 120);
+    assert.equal(byEmail['resident@example.com'].peakUsed, 30);
+    assert.equal(byEmail['resident@example.com'].compliant, true);
+    assert.equal(byEmail['visa@example.com'].compliant, false);
+    assert.deepEqual(byEmail['visa@example.com'].visaProblems.map(problem => problem.type), ['no-visa']);
+    assert.equal(result.report.totals.withViolations, 2);
+
+    const csv = renderReportCsv(result.report).split('\r\n');
+    assert.match(csv[0], /,rule,visa_problems$/);
+    assert.ok(csv.some(line => line.includes('visa@example.com') && line.endsWith(',visa-required,No valid Schengen visa on 2025-05-10')));
+    assert.ok(renderReportPdf(result.report).byteLength > 0);
+  });
+});
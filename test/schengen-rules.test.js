@@ -0,0 +1,262 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toDayNumber,
+  toISODate,
+  addDays,
+  countTripDays,
+  isValidTrip,
+  isValidTripId,
+  isOutsideSchengen,
+  countsTowardLimit,
+  countSchengenDays,
+  daysUsedOn,
+  calculateStatus,
+  checkCompliance,
+  getMaxStay,
+  findEarliestEntry,
+  simulateItinerary,
+  assessRisk,
+  findTripConflicts,
+  mergeTrips,
+  validateLegs,
+  countDaysByCountry
+} from '../js/schengen-rules.js';
+
+function trip(entryDate, exitDate, country = 'France', extra = {}) {
+  return { id: `${entryDate}-${country}`, entryDate, exitDate, country, ...extra };
+}
+
+describe('dates', () => {
+  it('round-trips ISO dates through day numbers', () => {
+    assert.equal(toISODate(toDayNumber('2024-02-29')), '2024-02-29');
+    assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  });
+
+  it('rejects dates that would roll over', () => {
+    assert.throws(() => toDayNumber('2025-02-30'), /Invalid date/);
+    assert.throws(() => toDayNumber('not a date'), /Invalid date/);
+  });
+
+  it('counts both the entry and the exit day', () => {
+    assert.equal(countTripDays('2025-01-01', '2025-01-01'), 1);
+    assert.equal(countTripDays('2025-01-01', '2025-01-10'), 10);
+  });
+
+  it('treats inverted or missing dates as invalid trips', () => {
+    assert.equal(isValidTrip(trip('2025-01-10', '2025-01-01')), false);
+    assert.equal(isValidTrip({ country: 'France' }), false);
+    assert.equal(isValidTrip(null), false);
+  });
+
+  it('only accepts short trip ids of letters, digits, - and _', () => {
+    assert.equal(isValidTripId('1718000000000'), true);
+    assert.equal(isValidTripId('draft-1718000000000_2'), true);
+    assert.equal(isValidTripId(''), false);
+    assert.equal(isValidTripId('x'.repeat(65)), false);
+    assert.equal(isValidTripId("1');alert(1);('"), false);
+    assert.equal(isValidTripId('<img src=x onerror=alert(1)>'), false);
+    assert.equal(isValidTripId(42), false);
+  });
+});
+
+describe('daysUsedOn', () => {
+  it('counts days inside the 180-day window ending on the reference date', () => {
+    const trips = [trip('2025-01-01', '2025-01-10')];
+    assert.equal(daysUsedOn(trips, '2025-01-10'), 10);
+    assert.equal(daysUsedOn(trips, '2025-01-05'), 5);
+    // 2025-01-01 drops out 180 days later
+    assert.equal(daysUsedOn(trips, '2025-06-29'), 10);
+    assert.equal(daysUsedOn(trips, '2025-06-30'), 9);
+  });
+
+  it('counts a day covered by overlapping trips once', () => {
+    const trips = [trip('2025-01-01', '2025-01-10'), trip('2025-01-10', '2025-01-15', 'Germany')];
+    assert.equal(daysUsedOn(trips, '2025-01-31'), 15);
+  });
+
+  it('ignores invalid trips instead of failing', () => {
+    const trips = [trip('2025-01-01', '2025-01-10'), trip('2025-02-10', '2025-02-01')];
+    assert.equal(daysUsedOn(trips, '2025-03-01'), 10);
+  });
+});
+
+describe('Schengen membership', () => {
+  it('never counts countries outside the area', () => {
+    assert.equal(isOutsideSchengen('🇨🇾 Cyprus'), true);
+    assert.equal(isOutsideSchengen('France'), false);
+    assert.equal(countSchengenDays(trip('2025-01-01', '2025-01-10', 'Ireland')), 0);
+  });
+
+  it('counts days from the accession date onwards', () => {
+    assert.equal(countsTowardLimit('Croatia', '2022-12-31'), false);
+    assert.equal(countsTowardLimit('🇭🇷 Croatia', '2023-01-01'), true);
+    assert.equal(countSchengenDays(trip('2022-12-25', '2023-01-05', 'Croatia')), 5);
+  });
+
+  it('uses the border that was crossed when accession dates differ', () => {
+    assert.equal(countsTowardLimit('Romania', '2024-06-01', 'air'), true);
+    assert.equal(countsTowardLimit('Romania', '2024-06-01', 'land'), false);
+    assert.equal(countSchengenDays(trip('2024-12-30', '2025-01-02', 'Bulgaria', { entryBy: 'land' })), 2);
+  });
+
+  it('counts each leg by its own country', () => {
+    const multiLeg = trip('2025-01-01', '2025-01-10', 'France', {
+      legs: [
+        { country: 'France', entryDate: '2025-01-01', exitDate: '2025-01-04' },
+        { country: 'United Kingdom', entryDate: '2025-01-05', exitDate: '2025-01-10' }
+      ]
+    });
+    assert.equal(countSchengenDays(multiLeg), 4);
+  });
+});
+
+describe('calculateStatus', () => {
+  it('reports days used, remaining and overstay', () => {
+    const status = calculateStatus([trip('2025-01-01', '2025-04-10')], '2025-04-10');
+    assert.equal(status.used, 100);
+    assert.equal(status.remaining, 0);
+    assert.equal(status.overstayDays, 10);
+    assert.equal(status.compliant, false);
+    assert.equal(status.windowStart, '2024-10-13');
+  });
+
+  it('schedules when days come back', () => {
+    const status = calculateStatus([trip('2025-01-01', '2025-01-10')], '2025-02-01');
+    assert.deepEqual(status.nextRecovery, {
+      stayStart: '2025-01-01',
+      stayEnd: '2025-01-10',
+      recoveryStart: '2025-06-30',
+      recoveryEnd: '2025-07-09',
+      days: 10,
+      remainingAfter: 90
+    });
+  });
+});
+
+describe('checkCompliance', () => {
+  it('finds the first day over the limit', () => {
+    const result = checkCompliance([trip('2025-01-01', '2025-04-05')], '2025-01-01', '2025-04-30');
+    assert.equal(result.compliant, false);
+    assert.deepEqual(result.firstViolation, { date: '2025-04-01', used: 91, overBy: 1 });
+    assert.equal(result.violations.length, 5);
+    assert.equal(result.peakUsed, 95);
+  });
+
+  it('allows exactly 90 days', () => {
+    const result = checkCompliance([trip('2025-01-01', '2025-03-31')], '2025-01-01', '2025-12-31');
+    assert.equal(result.compliant, true);
+    assert.equal(result.peakUsed, 90);
+  });
+
+  it('rejects an end date before the start date', () => {
+    assert.throws(() => checkCompliance([], '2025-02-01', '2025-01-01'), /End date/);
+  });
+});
+
+describe('getMaxStay', () => {
+  it('allows 90 days with no travel history', () => {
+    const result = getMaxStay([], '2025-01-01');
+    assert.equal(result.maxDays, 90);
+    assert.equal(result.latestExitDate, '2025-03-31');
+  });
+
+  it('takes days rolling off during the stay into account', () => {
+    // 60 days used; the stay can last until the window is full again
+    const result = getMaxStay([trip('2025-01-01', '2025-03-01')], '2025-05-01');
+    assert.equal(result.maxDays, 30);
+    assert.equal(result.latestExitDate, '2025-05-30');
+  });
+
+  it('finds the earliest entry for a stay length', () => {
+    const entry = findEarliestEntry([trip('2025-01-01', '2025-03-31')], 10, '2025-04-01');
+    assert.equal(entry.entryDate, '2025-06-30');
+    assert.equal(entry.exitDate, '2025-07-09');
+  });
+});
+
+describe('simulateItinerary', () => {
+  it('reports only violations caused by the draft trips', () => {
+    const recorded = [trip('2025-01-01', '2025-03-01')];
+    const drafts = [trip('2025-03-10', '2025-04-20', 'Spain')];
+    const result = simulateItinerary(recorded, drafts);
+    assert.equal(result.compliant, false);
+    assert.equal(result.firstOverstay.date, '2025-04-09');
+    assert.equal(result.firstOverstay.trip, drafts[0]);
+  });
+
+  it('is compliant without drafts', () => {
+    assert.equal(simulateItinerary([trip('2025-01-01', '2025-06-01')], []).compliant, true);
+  });
+});
+
+describe('assessRisk', () => {
+  it('grades by days remaining', () => {
+    assert.equal(assessRisk([], '2025-01-01').level, 'safe');
+    assert.equal(assessRisk([trip('2025-01-01', '2025-02-10')], '2025-02-20').level, 'caution');
+    assert.equal(assessRisk([trip('2025-01-01', '2025-03-10')], '2025-03-20').level, 'danger');
+  });
+
+  it('flags a future overstay in planned trips', () => {
+    const risk = assessRisk([trip('2025-01-01', '2025-02-01'), trip('2025-03-01', '2025-05-01')], '2025-01-15');
+    assert.equal(risk.level, 'overstay');
+    assert.equal(risk.reason, 'overstay');
+    assert.equal(risk.nextRiskyDate, '2025-04-28');
+  });
+});
+
+describe('trip conflicts', () => {
+  it('tells border crossings from overlaps', () => {
+    const groups = findTripConflicts([
+      trip('2025-01-01', '2025-01-05'),
+      trip('2025-01-05', '2025-01-08', 'Germany'),
+      trip('2025-02-01', '2025-02-10'),
+      trip('2025-02-05', '2025-02-12', 'Italy')
+    ]);
+    assert.equal(groups.length, 2);
+    assert.equal(groups[0].type, 'adjacent');
+    assert.equal(groups[1].type, 'overlap');
+    assert.equal(groups[1].sharedDays, 6);
+  });
+
+  it('merges overlapping trips into legs', () => {
+    const merged = mergeTrips([
+      trip('2025-02-01', '2025-02-10', 'France', { notes: 'work' }),
+      trip('2025-02-05', '2025-02-12', 'Italy', { notes: 'holiday' })
+    ]);
+    assert.equal(merged.entryDate, '2025-02-01');
+    assert.equal(merged.exitDate, '2025-02-12');
+    assert.equal(merged.notes, 'work / holiday');
+    assert.deepEqual(merged.legs.map(leg => [leg.country, leg.entryDate, leg.exitDate]), [
+      ['France', '2025-02-01', '2025-02-10'],
+      ['Italy', '2025-02-10', '2025-02-12']
+    ]);
+  });
+});
+
+describe('legs', () => {
+  it('requires legs to follow on from each other', () => {
+    assert.equal(validateLegs([
+      { country: 'France', entryDate: '2025-01-01', exitDate: '2025-01-05' },
+      { country: 'Spain', entryDate: '2025-01-05', exitDate: '2025-01-09' }
+    ]), null);
+    assert.match(validateLegs([
+      { country: 'France', entryDate: '2025-01-01', exitDate: '2025-01-05' },
+      { country: 'Spain', entryDate: '2025-01-08', exitDate: '2025-01-09' }
+    ]), /separate trips/);
+    assert.match(validateLegs([]), /at least one leg/);
+  });
+
+  it('counts days per country within a period', () => {
+    const trips = [trip('2025-01-01', '2025-01-10', 'France', {
+      legs: [
+        { country: 'France', entryDate: '2025-01-01', exitDate: '2025-01-04' },
+        { country: 'Spain', entryDate: '2025-01-04', exitDate: '2025-01-10' }
+      ]
+    })];
+    assert.deepEqual(countDaysByCountry(trips, '2025-01-03', '2025-01-31'), [
+      { country: 'Spain', days: 7 },
+      { country: 'France', days: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mockSquare, resetSquare } from 'squareup';
+import { handleSquareWebhook } from '../functions/api/square-subscription-api.js';
+import { createTestDatabase } from './support/d1.js';
+
+const SIGNATURE_KEY = 'test-signature-key';
+const WEBHOOK_URL = 'https://example.com/api/square-webhook';
+
+let env;
+let userId;
+let eventCount = 0;
+
+function event(type, object, eventId = `event-${++eventCount}`) {
+  return JSON.stringify({ event_id: eventId, type, data: { object } });
+}
+
+function sign(body) {
+  return createHmac('sha256', SIGNATURE_KEY).update(WEBHOOK_URL + body).digest('base64');
+}
+
+async function deliver(body) {
+  return await handleSquareWebhook(env, body, { sha256: sign(body) }, WEBHOOK_URL);
+}
+
+function invoice(fields = {}) {
+  return {
+    id: 'inv-1',
+    order_id: 'order-1',
+    subscription_id: 'sub-1',
+    primary_recipient: { customer_id: 'cust-1' },
+    payment_requests: [{
+      computed_amount_money: { amount: 299, currency: 'GBP' },
+      total_completed_amount_money: { amount: 299, currency: 'GBP' }
+    }],
+    ...fields
+  };
+}
+
+async function payments() {
+  const { results } = await env.DB.prepare('SELECT * FROM payments ORDER BY id').all();
+  return results;
+}
+
+describe('Square webhooks', () => {
+  beforeEach(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    resetSquare();
+    mockSquare('catalogApi', 'listCatalog', () => ({ objects: [] }));
+    env = { DB: await createTestDatabase(), SQUARE_WEBHOOK_SIGNATURE_KEY: SIGNATURE_KEY, SQUARE_WEBHOOK_URL: WEBHOOK_URL };
+    userId = (await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, square_customer_id, created_at)
+       VALUES ('a@example.com', 'Ada', 'Doe', 'cust-1', datetime('now')) RETURNING id`
+    ).first()).id;
+  });
+
+  it('rejects deliveries with a bad signature', async () => {
+    const body = event('invoice.payment_made', { invoice: invoice() });
+    const result = await handleSquareWebhook(env, body, { sha256: sign(`${body} `) }, WEBHOOK_URL);
+    assert.equal(result.status, 401);
+    assert.equal((await payments()).length, 0);
+  });
+
+  it('accepts the older SHA-1 signature', async () => {
+    const body = event('invoice.payment_made', { invoice: invoice() });
+    const sha1 = createHmac('sha1', SIGNATURE_KEY).update(WEBHOOK_URL + body).digest('base64');
+    const result = await handleSquareWebhook(env, body, { sha1 }, WEBHOOK_URL);
+    assert.equal(result.status, 200);
+  });
+
+  it('records a new subscription and activates the account', async () => {
+    const body = event('subscription.created', {
+      subscription: { id: 'sub-1', customer_id: 'cust-1', plan_variation_id: 'TKUZNUNASUW62W7YRGRYDQ42', status: 'ACTIVE', start_date: '2025-01-01' }
+    });
+    assert.equal((await deliver(body)).status, 200);
+
+    const subscription = await env.DB.prepare('SELECT * FROM subscriptions WHERE square_subscription_id = ?').bind('sub-1').first();
+    assert.equal(subscription.plan_type, 'pro-monthly');
+    assert.equal(subscription.status, 'ACTIVE');
+    assert.equal(subscription.price_amount, 299);
+    const user = await env.DB.prepare('SELECT subscription_active FROM users WHERE id = ?').bind(userId).first();
+    assert.equal(user.subscription_active, 1);
+  });
+
+  it('records the catalog price rather than the built-in one', async () => {
+    mockSquare('catalogApi', 'listCatalog', () => ({
+      objects: [{
+        type: 'SUBSCRIPTION_PLAN_VARIATION',
+        id: 'TKUZNUNASUW62W7YRGRYDQ42',
+        subscriptionPlanVariationData: {
+          phases: [{ cadence: 'MONTHLY', pricing: { type: 'STATIC', priceMoney: { amount: 349n, currency: 'GBP' } } }]
+        }
+      }]
+    }));
+    const body = event('subscription.created', {
+      subscription: { id: 'sub-1', customer_id: 'cust-1', plan_variation_id: 'TKUZNUNASUW62W7YRGRYDQ42', status: 'ACTIVE' }
+    });
+    assert.equal((await deliver(body)).status, 200);
+
+    const subscription = await env.DB.prepare('SELECT price_amount FROM subscriptions WHERE square_subscription_id = ?').bind('sub-1').first();
+    assert.equal(subscription.price_amount, 349);
+  });
+
+  it('processes a retried event only once', async () => {
+    const body = event('invoice.payment_made', { invoice: invoice() }, 'event-retried');
+    assert.equal((await deliver(body)).status, 200);
+    const retry = await deliver(body);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.message, 'Event already processed');
+    assert.equal((await payments()).length, 1);
+  });
+
+  it('records paid invoices and starts pending subscriptions', async () => {
+    await env.DB.prepare(
+      `INSERT INTO subscriptions (user_id, square_subscription_id, plan_type, status, price_amount, currency, frequency, created_at)
+       VALUES (?, 'sub-1', 'pro-monthly', 'PENDING', 299, 'GBP', 'MONTHLY', datetime('now'))`
+    ).bind(userId).run();
+
+    assert.equal((await deliver(event('invoice.payment_made', { invoice: invoice() }))).status, 200);
+
+    const [payment] = await payments();
+    assert.equal(payment.status, 'SUCCESS');
+    assert.equal(payment.amount, 299);
+    assert.equal(payment.square_invoice_id, 'inv-1');
+    const subscription = await env.DB.prepare('SELECT status FROM subscriptions WHERE square_subscription_id = ?').bind('sub-1').first();
+    assert.equal(subscription.status, 'ACTIVE');
+  });
+
+  it('opens a dunning case for a failed renewal', async () => {
+    assert.equal((await deliver(event('invoice.payment_failed', { invoice: invoice() }))).status, 200);
+    assert.equal((await deliver(event('invoice.payment_failed', { invoice: invoice({ id: 'inv-2' }) }))).status, 200);
+
+    assert.deepEqual((await payments()).map(payment => payment.status), ['FAILED', 'FAILED']);
+    const dunningCase = await env.DB.prepare('SELECT * FROM dunning_cases WHERE subscription_id = ?').bind('sub-1').first();
+    assert.equal(dunningCase.status, 'open');
+    assert.equal(dunningCase.failure_count, 2);
+    assert.equal(dunningCase.square_invoice_id, 'inv-2');
+  });
+
+  it('records a completed refund of a card payment once', async () => {
+    await env.DB.prepare(
+      `INSERT INTO payments (user_id, subscription_id, amount, currency, status, square_payment_id, created_at)
+       VALUES (?, 'sub-1', 150, 'GBP', 'SUCCESS', 'pay-1', datetime('now'))`
+    ).bind(userId).run();
+    const refund = { id: 'refund-1', payment_id: 'pay-1', status: 'COMPLETED', amount_money: { amount: 150, currency: 'GBP' } };
+
+    assert.equal((await deliver(event('refund.updated', { refund: { ...refund, status: 'PENDING' } }))).status, 200);
+    assert.equal((await deliver(event('refund.updated', { refund }))).status, 200);
+    assert.equal((await deliver(event('refund.updated', { refund }))).status, 200);
+
+    const refunds = (await payments()).filter(payment => payment.status === 'REFUNDED');
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, 150);
+    assert.equal(refunds[0].square_payment_id, 'refund-1');
+  });
+
+  it('records a refund of a subscription invoice by its order', async () => {
+    assert.equal((await deliver(event('invoice.payment_made', { invoice: invoice() }))).status, 200);
+    const refund = { id: 'refund-2', payment_id: 'pay-inv-1', order_id: 'order-1', status: 'COMPLETED', amount_money: { amount: 299, currency: 'GBP' } };
+
+    assert.equal((await deliver(event('refund.updated', { refund }))).status, 200);
+
+    const [paid, refunded] = await payments();
+    assert.equal(paid.square_order_id, 'order-1');
+    assert.equal(refunded.status, 'REFUNDED');
+    assert.equal(refunded.user_id, userId);
+    assert.equal(refunded.subscription_id, 'sub-1');
+    assert.equal(refunded.amount, 299);
+  });
+
+  it('asks Square which order a refunded invoice payment was for', async () => {
+    mockSquare('paymentsApi', 'getPayment', id => ({ payment: { id, orderId: 'order-1' } }));
+    assert.equal((await deliver(event('invoice.payment_made', { invoice: invoice() }))).status, 200);
+    const refund = { id: 'refund-3', payment_id: 'pay-inv-1', status: 'COMPLETED', amount_money: { amount: 100, currency: 'GBP' } };
+
+    assert.equal((await deliver(event('refund.updated', { refund }))).status, 200);
+
+    const [paid, refunded] = await payments();
+    assert.equal(paid.square_payment_id, 'pay-inv-1');
+    assert.equal(refunded.status, 'REFUNDED');
+    assert.equal(refunded.amount, 100);
+  });
+
+  it('retries a refund while Square cannot be reached', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    mockSquare('paymentsApi', 'getPayment', () => {
+      throw new Error('Network error');
+    });
+    const refund = { id: 'refund-4', payment_id: 'pay-unknown', status: 'COMPLETED', amount_money: { amount: 100, currency: 'GBP' } };
+
+    assert.equal((await deliver(event('refund.updated', { refund }))).status, 500);
+  });
+
+  it('acknowledges events it does not handle', async () => {
+    const result = await deliver(event('customer.created', {}));
+    assert.equal(result.status, 200);
+    assert.equal(result.message, 'Event not handled');
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockSquare, resetSquare, squareCalls, ApiError } from 'squareup';
+import { previewPlanChange, requestSubscriptionChange, describeSubscription } from '../functions/api/subscription-api.js';
+import { SUBSCRIPTION_PLANS } from '../functions/api/square-subscription-api.js';
+import { createTestDatabase } from './support/d1.js';
+
+function isoDate(offsetDays) {
+  return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+let env;
+let userId;
+
+// Square's catalog, with Business Monthly dearer than the built-in plan list
+function catalogWithBusinessMonthly(amount) {
+  return () => ({
+    objects: [{
+      type: 'SUBSCRIPTION_PLAN_VARIATION',
+      id: 'BUSINESS_MONTHLY',
+      subscriptionPlanVariationData: {
+        phases: [{ cadence: 'MONTHLY', pricing: { type: 'STATIC', priceMoney: { amount: BigInt(amount), currency: 'GBP' } } }]
+      }
+    }]
+  });
+}
+
+async function latestChange() {
+  return await env.DB.prepare('SELECT * FROM subscription_changes ORDER BY id DESC LIMIT 1').first();
+}
+
+describe('previewPlanChange', () => {
+  beforeEach(async () => {
+    resetSquare();
+    mockSquare('catalogApi', 'listCatalog', () => ({ objects: [] }));
+    env = { DB: await createTestDatabase(), SQUARE_VARIATION_BUSINESS_MONTHLY: 'BUSINESS_MONTHLY' };
+  });
+
+  it('charges the difference now for an upgrade', async () => {
+    const preview = await previewPlanChange(env, 'pro-monthly', 'business-monthly', '2025-01-31', '2025-01-16');
+    assert.equal(preview.timing, 'now');
+    assert.equal(preview.remainingDays, 15);
+    assert.equal(preview.amountDue, preview.charge - preview.credit);
+    assert.ok(preview.amountDue > 0);
+  });
+
+  it('moves to a cheaper plan at the next billing date', async () => {
+    const preview = await previewPlanChange(env, 'pro-monthly', 'pro-annual', '2025-01-31', '2025-01-16');
+    assert.equal(preview.timing, 'next_billing');
+    assert.equal(preview.amountDue, 0);
+    assert.equal(preview.effectiveDate, '2025-01-31');
+  });
+
+  it('prices the change from the catalog', async () => {
+    mockSquare('catalogApi', 'listCatalog', catalogWithBusinessMonthly(2000));
+
+    const preview = await previewPlanChange(env, 'pro-monthly', 'business-monthly', '2025-01-31', '2025-01-16');
+
+    assert.notEqual(SUBSCRIPTION_PLANS['business-monthly'].amount, 2000);
+    assert.equal(preview.newPrice, 2000);
+    assert.equal(preview.currency, 'GBP');
+    assert.equal(preview.charge, Math.round(2000 / (365 / 12) * 15));
+    assert.equal(preview.amountDue, preview.charge - preview.credit);
+  });
+});
+
+describe('plan changes', () => {
+  beforeEach(async (t) => {
+    t.mock.method(console, 'error', () => {});
+    resetSquare();
+    mockSquare('catalogApi', 'listCatalog', () => ({ objects: [] }));
+    env = { DB: await createTestDatabase(), SQUARE_LOCATION_ID: 'LOC', SQUARE_VARIATION_BUSINESS_MONTHLY: 'BUSINESS_MONTHLY' };
+    userId = (await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, square_customer_id, created_at)
+       VALUES ('a@example.com', 'Ada', 'Doe', 'cust-1', datetime('now')) RETURNING id`
+    ).first()).id;
+    await env.DB.prepare(
+      `INSERT INTO subscriptions (user_id, square_subscription_id, plan_type, status, price_amount, currency, frequency, created_at)
+       VALUES (?, 'sub-1', 'pro-monthly', 'ACTIVE', 299, 'GBP', 'MONTHLY', datetime('now'))`
+    ).bind(userId).run();
+
+    mockSquare('subscriptionsApi', 'retrieveSubscription', () => ({
+      subscription: { id: 'sub-1', chargedThroughDate: isoDate(15), cardId: 'card-1', customerId: 'cust-1' }
+    }));
+    mockSquare('paymentsApi', 'createPayment', request => ({ payment: { id: 'pay-1', amountMoney: request.amountMoney } }));
+  });
+
+  it('charges an upgrade and swaps the plan', async () => {
+    mockSquare('subscriptionsApi', 'swapPlan', () => ({ subscription: { id: 'sub-1' } }));
+
+    const result = await requestSubscriptionChange(env, userId, 'change_plan', { planType: 'business-monthly' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(squareCalls.map(call => call.method).filter(method => method !== 'listCatalog'), ['retrieveSubscription', 'createPayment', 'swapPlan']);
+    const subscription = await env.DB.prepare('SELECT plan_type, price_amount FROM subscriptions WHERE id = 1').first();
+    assert.deepEqual({ ...subscription }, { plan_type: 'business-monthly', price_amount: 1000 });
+    const payment = await env.DB.prepare('SELECT * FROM payments').first();
+    assert.equal(payment.square_payment_id, 'pay-1');
+    assert.equal(payment.amount, result.change.amountDue);
+  });
+
+  it('charges and lists the catalog price', async () => {
+    mockSquare('catalogApi', 'listCatalog', catalogWithBusinessMonthly(2000));
+    mockSquare('subscriptionsApi', 'swapPlan', () => ({ subscription: { id: 'sub-1' } }));
+
+    const row = await env.DB.prepare('SELECT * FROM subscriptions WHERE id = 1').first();
+    const option = (await describeSubscription(env, row)).planChanges.find(item => item.planType === 'business-monthly');
+    assert.deepEqual({ amount: option.amount, currency: option.currency, available: option.available }, { amount: 2000, currency: 'GBP', available: true });
+
+    const result = await requestSubscriptionChange(env, userId, 'change_plan', { planType: 'business-monthly' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.change.amountDue, option.preview.amountDue);
+    const charge = squareCalls.find(call => call.method === 'createPayment').args[0];
+    assert.deepEqual(charge.amountMoney, { amount: BigInt(option.preview.amountDue), currency: 'GBP' });
+    const subscription = await env.DB.prepare('SELECT price_amount FROM subscriptions WHERE id = 1').first();
+    assert.equal(subscription.price_amount, 2000);
+  });
+
+  it('refunds the upgrade charge when the swap fails', async () => {
+    mockSquare('subscriptionsApi', 'swapPlan', () => {
+      throw new ApiError([{ code: 'BAD_REQUEST', detail: 'Plan variation is archived' }]);
+    });
+    mockSquare('refundsApi', 'refundPayment', request => ({ refund: { id: 'refund-1', paymentId: request.paymentId, status: 'PENDING' } }));
+
+    const result = await requestSubscriptionChange(env, userId, 'change_plan', { planType: 'business-monthly' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 502);
+    assert.match(result.error, /^Plan variation is archived\. The £\d+\.\d\d upgrade charge has been refunded\.$/);
+
+    const refund = squareCalls.find(call => call.method === 'refundPayment').args[0];
+    assert.equal(refund.paymentId, 'pay-1');
+    const charge = squareCalls.find(call => call.method === 'createPayment').args[0];
+    assert.equal(refund.amountMoney.amount, charge.amountMoney.amount);
+
+    const change = await latestChange();
+    assert.equal(change.status, 'failed');
+    assert.equal(change.error, result.error);
+    const subscription = await env.DB.prepare('SELECT plan_type FROM subscriptions WHERE id = 1').first();
+    assert.equal(subscription.plan_type, 'pro-monthly');
+  });
+
+  it('reports a charge it could not refund', async () => {
+    mockSquare('subscriptionsApi', 'swapPlan', () => {
+      throw new ApiError([{ code: 'BAD_REQUEST', detail: 'Plan variation is archived' }]);
+    });
+    mockSquare('refundsApi', 'refundPayment', () => {
+      throw new ApiError([{ code: 'REFUND_DECLINED', detail: 'Refund declined' }]);
+    });
+
+    const result = await requestSubscriptionChange(env, userId, 'change_plan', { planType: 'business-monthly' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /could not be refunded automatically; please contact support quoting payment pay-1/);
+    assert.equal((await latestChange()).error, result.error);
+  });
+
+  it('does not charge when the card payment fails', async () => {
+    mockSquare('paymentsApi', 'createPayment', () => {
+      throw new ApiError([{ code: 'CARD_DECLINED', detail: 'The card was declined' }]);
+    });
+
+    const result = await requestSubscriptionChange(env, userId, 'change_plan', { planType: 'business-monthly' });
+
+    assert.deepEqual({ success: result.success, status: result.status, error: result.error }, { success: false, status: 402, error: 'The card was declined' });
+    assert.equal(squareCalls.some(call => call.method === 'swapPlan'), false);
+    assert.equal((await latestChange()).status, 'failed');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * In-memory stand-in for a D1 binding (env.DB), backed by sql.js, with the
+ * schema built from migrations/
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import initSqlJs from 'sql.js';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'migrations');
+
+let sqlJs = null;
+
+export function migrationFiles() {
+  return fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{4}_[a-z0-9_]+\.sql$/.test(file)).sort();
+}
+
+// D1 stores booleans as integers and refuses undefined
+function toSqlValue(value) {
+  if (value === undefined) {
+    throw new Error('D1_TYPE_ERROR: Type \'undefined\' not supported for value \'undefined\'');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+class Statement {
+  constructor(db, sql, params = []) {
+    this.db = db;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new Statement(this.db, this.sql, params.map(toSqlValue));
+  }
+
+  execute() {
+    const statement = this.db.sqlite.prepare(this.sql);
+    try {
+      statement.bind(this.params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  async first(column) {
+    const row = this.execute()[0] || null;
+    return column && row ? row[column] : row;
+  }
+
+  async all() {
+    return { success: true, results: this.execute(), meta: this.meta() };
+  }
+
+  async run() {
+    const results = this.execute();
+    return { success: true, results, meta: this.meta() };
+  }
+
+  meta() {
+    return {
+      changes: this.db.sqlite.getRowsModified(),
+      last_row_id: this.db.sqlite.exec('SELECT last_insert_rowid()')[0].values[0][0]
+    };
+  }
+}
+
+export class TestD1 {
+  constructor(sqlite) {
+    this.sqlite = sqlite;
+  }
+
+  prepare(sql) {
+    return new Statement(this, sql);
+  }
+
+  // All statements or none, like D1
+  async batch(statements) {
+    this.sqlite.exec('SAVEPOINT batch');
+    try {
+      const results = statements.map(statement => ({ success: true, results: statement.execute(), meta: statement.meta() }));
+      this.sqlite.exec('RELEASE batch');
+      return results;
+    } catch (error) {
+      this.sqlite.exec('ROLLBACK TO batch; RELEASE batch');
+      throw error;
+    }
+  }
+
+  async exec(sql) {
+    this.sqlite.exec(sql);
+    return { count: 1 };
+  }
+}
+
+/**
+ * Empty database with migrations up to `version` applied (all by default)
+ */
+export async function createTestDatabase(version = Infinity) {
+  sqlJs = sqlJs || await initSqlJs();
+  const sqlite = new sqlJs.Database();
+  sqlite.exec('PRAGMA foreign_keys = ON');
+
+  migrationFiles()
+    .filter(file => parseInt(file.slice(0, 4), 10) <= version)
+    .forEach(file => sqlite.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')));
+
+  return new TestD1(sqlite);
+}
@@ -0,0 +1,47 @@
+// A Business organization with members, trips and traveller profiles in the
+// in-memory D1
+import { createTestDatabase } from './d1.js';
+
+export async function createOrganization() {
+  const env = { DB: await createTestDatabase() };
+
+  async function addUser(email, firstName) {
+    return (await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, subscription_active, created_at)
+       VALUES (?, ?, 'Doe', true, datetime('now')) RETURNING id`
+    ).bind(email, firstName).first()).id;
+  }
+
+  const ownerId = await addUser('owner@example.com', 'Olive');
+  await env.DB.prepare(
+    `INSERT INTO subscriptions (user_id, square_subscription_id, plan_type, status, price_amount, currency, frequency, created_at)
+     VALUES (?, 'sub-1', 'business-monthly', 'ACTIVE', 1000, 'GBP', 'MONTHLY', datetime('now'))`
+  ).bind(ownerId).run();
+  const organization = await env.DB.prepare(
+    `INSERT INTO organizations (name, owner_user_id, created_at) VALUES ('Acme', ?, datetime('now')) RETURNING id`
+  ).bind(ownerId).first();
+  const membership = { organizationId: organization.id, name: 'Acme', ownerUserId: ownerId, userId: ownerId, role: 'owner' };
+
+  // trips are [entryDate, exitDate] pairs in France
+  async function addMember(email, firstName, { role = 'member', trips = [], profile = null } = {}) {
+    const userId = email === 'owner@example.com' ? ownerId : await addUser(email, firstName);
+    await env.DB.prepare(
+      `INSERT INTO organization_members (organization_id, user_id, role, created_at) VALUES (?, ?, ?, datetime('now'))`
+    ).bind(organization.id, userId, role).run();
+    for (const [entryDate, exitDate] of trips) {
+      await env.DB.prepare(
+        `INSERT INTO travel_calculations (user_id, calculation_name, passport_country, entry_date, exit_date, total_days, calculation_data, created_at)
+         VALUES (?, '🇫🇷 France', 'UNSPECIFIED', ?, ?, 1, ?, datetime('now'))`
+      ).bind(userId, entryDate, exitDate, JSON.stringify({ country: '🇫🇷 France' })).run();
+    }
+    if (profile) {
+      await env.DB.prepare(
+        `INSERT INTO traveller_profiles (user_id, profile, updated_at) VALUES (?, ?, datetime('now'))`
+      ).bind(userId, JSON.stringify(profile)).run();
+    }
+    return userId;
+  }
+
+  await addMember('owner@example.com', 'Olive', { role: 'owner' });
+  return { env, membership, addMember };
+}
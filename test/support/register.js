@@ -0,0 +1,8 @@
+/**
+ * Loaded with --import before every test file: resolves 'squareup' to the
+ * Square double in square.js, so no test reaches the Square API
+ */
+
+import { register } from 'node:module';
+
+register('./square-hooks.js', import.meta.url);
@@ -0,0 +1,6 @@
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'squareup') {
+    return { url: new URL('./square.js', import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,56 @@
+/**
+ * Stand-in for the Square SDK. Tests set what each API method returns with
+ * mockSquare(); every call is recorded in squareCalls.
+ */
+
+export const Environment = { Production: 'production', Sandbox: 'sandbox', Custom: 'custom' };
+
+export class ApiError extends Error {
+  constructor(errors, statusCode = 400) {
+    super(errors[0]?.detail || 'Square API error');
+    this.errors = errors;
+    this.statusCode = statusCode;
+  }
+}
+
+export const squareCalls = [];
+const handlers = new Map();
+
+/**
+ * Answer calls to e.g. ('subscriptionsApi', 'swapPlan') with handler(...args);
+ * a handler may throw an ApiError. Unmocked methods throw.
+ */
+export function mockSquare(api, method, handler) {
+  handlers.set(`${api}.${method}`, handler);
+}
+
+export function resetSquare() {
+  handlers.clear();
+  squareCalls.length = 0;
+}
+
+function apiProxy(api) {
+  return new Proxy({}, {
+    get(target, method) {
+      return async (...args) => {
+        squareCalls.push({ api, method, args });
+        const handler = handlers.get(`${api}.${method}`);
+        if (!handler) {
+          throw new Error(`Square ${api}.${String(method)} is not mocked`);
+        }
+        return { result: await handler(...args) };
+      };
+    }
+  });
+}
+
+export class Client {
+  constructor(config) {
+    this.config = config;
+    return new Proxy(this, {
+      get(target, property) {
+        return property in target ? target[property] : apiProxy(property);
+      }
+    });
+  }
+}
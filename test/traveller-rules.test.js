@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RULES,
+  applicableRule,
+  normalizeProfile,
+  validateProfile,
+  countingTrips,
+  checkVisas,
+  assessTraveller,
+  maxStayForTraveller,
+  earliestEntryForTraveller,
+  checkPlannedVisas,
+  assessTravellerRisk
+} from '../js/traveller-rules.js';
+
+function trip(entryDate, exitDate, country = '🇫🇷 France', extra = {}) {
+  return { id: `${entryDate}-${country}`, entryDate, exitDate, country, ...extra };
+}
+
+function profile(fields) {
+  return normalizeProfile(fields);
+}
+
+const VISA = { id: 'v1', validFrom: '2025-01-01', validUntil: '2025-06-30', days: 30, entries: 'single' };
+
+describe('applicableRule', () => {
+  it('uses the most favourable passport', () => {
+    assert.deepEqual(applicableRule(profile({ passports: ['in', 'US'] })), { rule: RULES.VISA_EXEMPT, passport: 'US' });
+    assert.deepEqual(applicableRule(profile({ passports: ['US', 'IE'] })), { rule: RULES.FREE_MOVEMENT, passport: 'IE' });
+    assert.equal(applicableRule(profile({ passports: ['IN'] })).rule, RULES.VISA_REQUIRED);
+  });
+
+  it('applies 90/180 without a passport', () => {
+    assert.deepEqual(applicableRule(profile({})), { rule: RULES.VISA_EXEMPT, passport: null });
+  });
+});
+
+describe('validateProfile', () => {
+  it('accepts a complete profile', () => {
+    assert.equal(validateProfile(profile({
+      passports: ['IN'],
+      visas: [VISA],
+      permits: [{ id: 'p1', type: 'residence-permit', country: '🇫🇷 France', from: '2025-01-01', to: '2025-12-31' }]
+    })), null);
+  });
+
+  it('names the first problem', () => {
+    assert.equal(validateProfile(profile({ passports: ['ZZ'] })), 'Unknown passport country: ZZ');
+    assert.match(validateProfile(profile({ visas: [{ ...VISA, days: 0 }] })), /^Visa 1 needs a duration of stay/);
+    assert.match(validateProfile(profile({ permits: [{ type: 'residence-permit', from: '2025-02-01', to: '2025-01-01' }] })), /^Permit 1 needs valid dates/);
+  });
+});
+
+describe('countingTrips', () => {
+  it('cuts out the days covered by a permit in its country', () => {
+    const permits = [{ type: 'residence-permit', country: '🇫🇷 France', from: '2025-03-05', to: '2025-03-08' }];
+    const pieces = countingTrips([trip('2025-03-01', '2025-03-10')], profile({ permits }));
+    assert.deepEqual(pieces.map(piece => [piece.entryDate, piece.exitDate]), [['2025-03-01', '2025-03-04'], ['2025-03-09', '2025-03-10']]);
+  });
+
+  it('matches the permit country with or without its flag', () => {
+    const permits = [{ type: 'residence-permit', country: 'France', from: '2025-01-01', to: '2025-12-31' }];
+    assert.deepEqual(countingTrips([trip('2025-03-01', '2025-03-10', '🇫🇷 France')], profile({ permits })), []);
+    assert.equal(countingTrips([trip('2025-03-01', '2025-03-10', '🇩🇪 Germany')], profile({ permits })).length, 1);
+  });
+
+  it('only cuts out the legs in the permit country', () => {
+    const permits = [{ type: 'residence-permit', country: '🇫🇷 France', from: '2025-01-01', to: '2025-12-31' }];
+    const multiLeg = trip('2025-03-01', '2025-03-10', '🇫🇷 France', {
+      legs: [
+        { country: '🇫🇷 France', entryDate: '2025-03-01', exitDate: '2025-03-05' },
+        { country: '🇩🇪 Germany', entryDate: '2025-03-06', exitDate: '2025-03-10' }
+      ]
+    });
+    const [piece] = countingTrips([multiLeg], profile({ permits }));
+    assert.equal(piece.entryDate, '2025-03-06');
+    assert.deepEqual(piece.legs, [{ country: '🇩🇪 Germany', entryDate: '2025-03-06', exitDate: '2025-03-10' }]);
+  });
+});
+
+describe('checkVisas', () => {
+  it('needs nothing from visa-exempt travellers', () => {
+    assert.deepEqual(checkVisas([trip('2025-03-01', '2025-03-10')], profile({ passports: ['US'] })), { usage: [], problems: [] });
+  });
+
+  it('adds up the days and entries used on each visa', () => {
+    const { usage, problems } = checkVisas([trip('2025-02-01', '2025-02-10')], profile({ passports: ['IN'], visas: [VISA] }));
+    assert.deepEqual(problems, []);
+    assert.equal(usage[0].daysUsed, 10);
+    assert.equal(usage[0].daysLeft, 20);
+    assert.equal(usage[0].entriesLeft, 0);
+  });
+
+  it('reports days without a visa, over its days and over its entries', () => {
+    const trips = [
+      trip('2025-02-01', '2025-02-25'),
+      trip('2025-03-01', '2025-03-10'),
+      trip('2025-07-05', '2025-07-06')
+    ];
+    const { problems } = checkVisas(trips, profile({ passports: ['IN'], visas: [VISA] }));
+    assert.deepEqual(problems.map(problem => [problem.type, problem.date]), [
+      ['visa-entries', '2025-03-01'],
+      ['visa-days', '2025-03-06'],
+      ['no-visa', '2025-07-05']
+    ]);
+  });
+
+  it('needs no visa during a permit period', () => {
+    const permits = [{ type: 'long-stay-visa', country: '🇫🇷 France', from: '2025-01-01', to: '2025-12-31' }];
+    assert.deepEqual(checkVisas([trip('2025-03-01', '2025-03-10', '🇩🇪 Germany')], profile({ passports: ['IN'], permits })).problems, []);
+  });
+});
+
+describe('assessTraveller', () => {
+  it('has no limit with free movement', () => {
+    const status = assessTraveller([trip('2025-01-01', '2025-06-30')], profile({ passports: ['FR'] }), '2025-06-30');
+    assert.equal(status.unlimited, true);
+    assert.equal(status.remaining, null);
+    assert.equal(status.compliant, true);
+  });
+
+  it('lowers the days remaining to what the visa allows', () => {
+    const status = assessTraveller([trip('2025-02-01', '2025-02-10')], profile({ passports: ['IN'], visas: [{ ...VISA, entries: 'multiple' }] }), '2025-03-01');
+    assert.equal(status.remaining, 20);
+    assert.equal(status.limitedBy, 'visa');
+  });
+
+  it('is not compliant with visa problems in the window', () => {
+    const status = assessTraveller([trip('2025-02-01', '2025-02-10')], profile({ passports: ['IN'] }), '2025-03-01');
+    assert.equal(status.compliant, false);
+    assert.equal(status.limitedBy, 'no-visa');
+    assert.equal(status.remaining, 0);
+  });
+});
+
+describe('planning for a traveller', () => {
+  it('caps the longest stay at the visa', () => {
+    const result = maxStayForTraveller([], profile({ passports: ['IN'], visas: [VISA] }), '2025-06-20');
+    assert.equal(result.maxDays, 11);
+    assert.equal(result.latestExitDate, '2025-06-30');
+    assert.equal(result.limitedBy, 'visa');
+    assert.equal(maxStayForTraveller([], profile({ passports: ['DE'] }), '2025-06-20'), null);
+  });
+
+  it('finds the earliest entry inside a visa', () => {
+    const result = earliestEntryForTraveller([], profile({ passports: ['IN'], visas: [{ ...VISA, validFrom: '2025-04-01' }] }), 10, '2025-03-01');
+    assert.equal(result.entryDate, '2025-04-01');
+    assert.equal(result.waitDays, 31);
+  });
+
+  it('reports only the visa problems a plan adds', () => {
+    const recorded = [trip('2025-02-01', '2025-02-10')];
+    const problems = checkPlannedVisas(recorded, [trip('2025-03-01', '2025-03-02')], profile({ passports: ['IN'], visas: [VISA] }));
+    assert.deepEqual(problems.map(problem => problem.type), ['visa-entries']);
+  });
+});
+
+describe('assessTravellerRisk', () => {
+  it('is safe with no limit for free movement', () => {
+    const risk = assessTravellerRisk([trip('2025-01-01', '2025-06-30')], profile({ passports: ['IE'] }), '2025-06-30');
+    assert.equal(risk.level, 'safe');
+    assert.equal(risk.remaining, null);
+    assert.equal(risk.rule, RULES.FREE_MOVEMENT);
+  });
+
+  it('leaves out days covered by a residence permit', () => {
+    const trips = [trip('2025-01-01', '2025-04-30')];
+    const permits = [{ type: 'residence-permit', country: 'France', from: '2024-12-01', to: '2025-12-31' }];
+    assert.equal(assessTravellerRisk(trips, profile({}), '2025-04-30').level, 'overstay');
+
+    const risk = assessTravellerRisk(trips, profile({ permits }), '2025-04-30');
+    assert.equal(risk.level, 'safe');
+    assert.equal(risk.used, 0);
+    assert.equal(risk.remaining, 90);
+  });
+
+  it('treats a planned trip without a visa like an overstay', () => {
+    const risk = assessTravellerRisk([trip('2025-05-01', '2025-05-05')], profile({ passports: ['IN'] }), '2025-03-01');
+    assert.equal(risk.level, 'overstay');
+    assert.equal(risk.reason, 'visa');
+    assert.equal(risk.nextRiskyDate, '2025-05-01');
+  });
+
+  it('ends the current stay when the visa runs out', () => {
+    const risk = assessTravellerRisk([trip('2025-06-20', '2025-06-30')], profile({ passports: ['IN'], visas: [VISA] }), '2025-06-25');
+    assert.equal(risk.reason, 'stay_limit');
+    assert.equal(risk.nextRiskyDate, '2025-07-01');
+  });
+});
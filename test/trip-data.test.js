@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tripsToCsv,
+  parseCsv,
+  guessMapping,
+  hasHeadingRow,
+  parseDateCell,
+  detectDateFormat,
+  matchCountry,
+  rowsToCandidates,
+  validateImportedTrips
+} from '../js/trip-data.js';
+
+const COUNTRIES = ['🇫🇷 France', '🇩🇪 Germany', '🇮🇹 Italy', '🇬🇧 United Kingdom'];
+
+function importCsv(text, options = {}) {
+  const rows = parseCsv(text);
+  const candidates = rowsToCandidates(rows, guessMapping(rows[0]));
+  return validateImportedTrips(candidates, { countries: COUNTRIES, ...options });
+}
+
+describe('parseCsv', () => {
+  it('handles quoted fields, doubled quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n'), [
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    assert.deepEqual(parseCsv('\uFEFFa;b\n1;2'), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('column mapping', () => {
+  it('guesses fields from common headings', () => {
+    const mapping = guessMapping(['Start Date', 'End', 'Destination', 'Comments']);
+    assert.equal(mapping.entryDate, 0);
+    assert.equal(mapping.exitDate, 1);
+    assert.equal(mapping.country, 2);
+    assert.equal(mapping.notes, 3);
+    assert.equal(mapping.id, -1);
+    assert.equal(hasHeadingRow([['2025-01-01', '2025-01-02', 'France']]), false);
+  });
+});
+
+describe('dates and countries', () => {
+  it('reads ISO, local and spreadsheet serial dates', () => {
+    assert.equal(parseDateCell('2025-03-01'), '2025-03-01');
+    assert.equal(parseDateCell('2025-03-01T10:00:00'), '2025-03-01');
+    assert.equal(parseDateCell('01/03/2025', 'dmy'), '2025-03-01');
+    assert.equal(parseDateCell('01/03/2025', 'mdy'), '2025-01-03');
+    assert.equal(parseDateCell('45717'), '2025-03-01');
+    assert.equal(parseDateCell('31/02/2025', 'dmy'), null);
+  });
+
+  it('decides day/month order for the whole column', () => {
+    assert.equal(detectDateFormat(['01/02/2025', '25/02/2025']), 'dmy');
+    assert.equal(detectDateFormat(['01/02/2025', '02/25/2025']), 'mdy');
+    assert.equal(detectDateFormat(['2025-01-02']), 'ymd');
+  });
+
+  it('matches names, ISO codes and aliases to the calculator values', () => {
+    assert.equal(matchCountry('france', COUNTRIES), '🇫🇷 France');
+    assert.equal(matchCountry('DE', COUNTRIES), '🇩🇪 Germany');
+    assert.equal(matchCountry('England', COUNTRIES), '🇬🇧 United Kingdom');
+    assert.equal(matchCountry('Atlantis', COUNTRIES), null);
+  });
+});
+
+describe('validateImportedTrips', () => {
+  it('reads back what tripsToCsv writes', () => {
+    const trips = [
+      { id: '1718000000000', entryDate: '2025-03-01', exitDate: '2025-03-10', country: '🇫🇷 France', tripType: 'business', notes: '=SUM(A1), "quoted"' },
+      {
+        id: '1718000000001',
+        entryDate: '2025-05-01',
+        exitDate: '2025-05-09',
+        country: '🇫🇷 France',
+        legs: [
+          { country: '🇫🇷 France', entryDate: '2025-05-01', exitDate: '2025-05-05' },
+          { country: '🇮🇹 Italy', entryDate: '2025-05-05', exitDate: '2025-05-09' }
+        ]
+      }
+    ];
+    const results = importCsv(tripsToCsv(trips));
+    assert.deepEqual(results.map(result => result.errors), [[], []]);
+    assert.equal(results[0].trip.id, '1718000000000');
+    assert.equal(results[0].trip.notes, '=SUM(A1), "quoted"');
+    assert.equal(results[0].trip.tripType, 'business');
+    assert.equal(results[0].trip.days, 10);
+    assert.deepEqual(results[1].trip.legs, trips[1].legs);
+  });
+
+  it('reports every problem in a row', () => {
+    const [result] = importCsv('entry,exit,country,purpose\n2025-03-10,2025-03-01,France,skiing\n');
+    assert.equal(result.trip, null);
+    assert.deepEqual(result.errors, [
+      'Exit date is before entry date',
+      'Unknown trip purpose "skiing" (use tourism, business or transit)'
+    ]);
+  });
+
+  it('flags duplicates by id and by dates, within the file and against saved trips', () => {
+    const existingTrips = [{ id: 'a1', entryDate: '2025-01-01', exitDate: '2025-01-05' }];
+    const results = importCsv([
+      'entry,exit,country,id',
+      '2025-02-01,2025-02-03,France,a1',
+      '2025-01-01,2025-01-05,Germany,',
+      '2025-04-01,2025-04-03,Italy,b2',
+      '2025-04-01,2025-04-03,Italy,'
+    ].join('\n'), { existingTrips });
+    assert.deepEqual(results.map(result => result.duplicate), ['id', 'dates', null, 'dates']);
+  });
+
+  it('gives trips with unsafe ids a new one', () => {
+    const results = importCsv([
+      'entry,exit,country,id,notes',
+      "2025-02-01,2025-02-03,France,1');alert(document.cookie);('",
+      '2025-03-01,2025-03-03,Germany,<b>x</b>,<img src=x onerror=alert(1)>'
+    ].join('\n'));
+    for (const result of results) {
+      assert.deepEqual(result.errors, []);
+      assert.match(result.trip.id, /^\d+$/);
+    }
+    assert.notEqual(results[0].trip.id, results[1].trip.id);
+  });
+});
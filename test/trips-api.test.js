@@ -0,0 +1,94 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays } from '../js/schengen-rules.js';
+import { validateTrip, syncUserTrips } from '../functions/api/trips-api.js';
+import { createTestDatabase } from './support/d1.js';
+
+function trip(extra = {}) {
+  return { entryDate: '2025-01-01', exitDate: '2025-01-10', country: '🇫🇷 France', ...extra };
+}
+
+describe('validateTrip', () => {
+  it('accepts trips with and without an id', () => {
+    assert.equal(validateTrip(trip()), null);
+    assert.equal(validateTrip(trip({ id: '1718000000000' })), null);
+    assert.equal(validateTrip(trip({ id: 42 })), null);
+  });
+
+  it('rejects ids that could break out of the page markup', () => {
+    for (const id of ["1');alert(document.cookie);('", '<script>', 'a b', '', 'x'.repeat(65)]) {
+      assert.match(validateTrip(trip({ id })), /^id may only contain/);
+    }
+  });
+});
+
+describe('syncUserTrips', () => {
+  let env;
+  let userId;
+  let queries;
+
+  beforeEach(async () => {
+    env = { DB: await createTestDatabase() };
+    userId = (await env.DB.prepare(
+      `INSERT INTO users (email, first_name, last_name, created_at) VALUES ('a@example.com', 'Ada', 'Doe', datetime('now')) RETURNING id`
+    ).first()).id;
+
+    queries = 0;
+    const prepare = env.DB.prepare.bind(env.DB);
+    env.DB.prepare = sql => {
+      queries++;
+      return prepare(sql);
+    };
+  });
+
+  it('loads the profile and trips once however many trips are sent', async () => {
+    const trips = Array.from({ length: 50 }, (_, index) => ({
+      id: `t${index}`,
+      entryDate: addDays('2025-01-01', index * 10),
+      exitDate: addDays('2025-01-01', index * 10 + 2),
+      country: '🇫🇷 France',
+      updatedAt: '2025-06-01T00:00:00.000Z'
+    }));
+
+    const result = await syncUserTrips(env, userId, trips);
+
+    assert.equal(result.uploaded, 50);
+    assert.equal(result.trips.length, 50);
+    // Read everything, read the profile, one write per trip, read the merged set
+    assert.equal(queries, 53);
+  });
+
+  it('checks each trip against the ones synced before it', async () => {
+    const result = await syncUserTrips(env, userId, [
+      { id: 'a', entryDate: '2025-01-01', exitDate: '2025-03-01', country: '🇫🇷 France', updatedAt: '2025-06-01T00:00:00.000Z' },
+      { id: 'b', entryDate: '2025-03-10', exitDate: '2025-04-20', country: '🇩🇪 Germany', updatedAt: '2025-06-01T00:00:00.000Z' },
+      { id: 'c', entryDate: '2025-03-02', exitDate: '2025-03-03', country: '🇫🇷 France', deleted: true, updatedAt: '2025-06-01T00:00:00.000Z' }
+    ]);
+
+    const flags = Object.fromEntries(result.trips.map(trip => [trip.id, trip.isCompliant]));
+    assert.deepEqual(flags, { a: true, b: false });
+  });
+
+  it('saves a new id sent twice as one trip, keeping the newer copy', async () => {
+    const result = await syncUserTrips(env, userId, [
+      { id: 'a', entryDate: '2025-01-01', exitDate: '2025-01-05', country: '🇫🇷 France', updatedAt: '2025-06-01T00:00:00.000Z' },
+      { id: 'a', entryDate: '2025-01-01', exitDate: '2025-01-09', country: '🇫🇷 France', updatedAt: '2025-06-02T00:00:00.000Z' },
+      { id: 'a', entryDate: '2025-01-01', exitDate: '2025-01-02', country: '🇫🇷 France', updatedAt: '2025-05-01T00:00:00.000Z' }
+    ]);
+
+    assert.equal(result.uploaded, 2);
+    assert.deepEqual(result.trips.map(({ id, exitDate }) => ({ id, exitDate })), [{ id: 'a', exitDate: '2025-01-09' }]);
+  });
+
+  it('applies the traveller profile', async () => {
+    await env.DB.prepare(
+      `INSERT INTO traveller_profiles (user_id, profile, updated_at) VALUES (?, ?, datetime('now'))`
+    ).bind(userId, JSON.stringify({ passports: ['DE'] })).run();
+
+    const result = await syncUserTrips(env, userId, [
+      { id: 'a', entryDate: '2025-01-01', exitDate: '2025-06-30', country: '🇫🇷 France', updatedAt: '2025-06-01T00:00:00.000Z' }
+    ]);
+
+    assert.equal(result.trips[0].isCompliant, true);
+  });
+});
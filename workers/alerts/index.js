@@ -0,0 +1,21 @@
+/**
+ * Schengen Calc - Alerts Worker
+ * Scheduled handler that evaluates every account's stored trips and sends
+ * the threshold, overstay and recovery alerts users have asked for. The
+ * logic lives in functions/api/alerts-api.js next to the settings endpoints.
+ */
+
+import { runAlerts } from '../../functions/api/alerts-api.js';
+
+export default {
+  async scheduled(event, env, ctx) {
+    // ALERTS_NOW lets a local run pretend to be another time, e.g. outside quiet hours
+    const now = env.ALERTS_NOW ? new Date(env.ALERTS_NOW) : new Date(event.scheduledTime);
+
+    ctx.waitUntil(
+      runAlerts(env, now)
+        .then(summary => console.log('Alerts run finished:', JSON.stringify(summary)))
+        .catch(error => console.error('Alerts run failed:', error))
+    );
+  }
+};
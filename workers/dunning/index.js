@@ -0,0 +1,21 @@
+/**
+ * Schengen Calc - Dunning Worker
+ * Scheduled handler that sends payment reminders and downgrades accounts
+ * whose grace period has ended. The logic lives in functions/api/dunning-api.js
+ * so the webhook and the worker share it.
+ */
+
+import { runDunning } from '../../functions/api/dunning-api.js';
+
+export default {
+  async scheduled(event, env, ctx) {
+    // DUNNING_NOW lets a local run pretend to be later, e.g. past a grace period
+    const now = env.DUNNING_NOW ? new Date(env.DUNNING_NOW) : new Date(event.scheduledTime);
+
+    ctx.waitUntil(
+      runDunning(env, now)
+        .then(summary => console.log('Dunning run finished:', JSON.stringify(summary)))
+        .catch(error => console.error('Dunning run failed:', error))
+    );
+  }
+};